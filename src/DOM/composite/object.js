@@ -4,6 +4,8 @@
  * @license MIT
  */
 
+import { QueryString } from '../../network/URL/query.js';
+
 /**
  * Utility functions for working with objects.
  * @class
@@ -351,14 +353,17 @@ export class Obj {
     }
 
     /**
-     * Convert an object to a query string.
+     * Convert an object to a query string. Arrays and nested objects are written in bracket notation.
+     * Top-level null and undefined values are still written as `key=null` / `key=undefined`, as they always have here.
      * @param {Object} obj - The object.
+     * @param {Object} [options] - Options for the serialization (see QueryString.stringify), e.g. `{ arrayFormat: 'repeat' }`.
      * @returns {string} - A query string representation of the object.
      */
-    static objectToQueryString(obj) {
-        const queryString = Object.entries(obj)
-            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-            .join('&');
-        return queryString;
+    static objectToQueryString(obj, options = {}) {
+        const legacy = {};
+        Object.entries(obj).forEach(([key, value]) => {
+            legacy[key] = value === null || value === undefined ? String(value) : value;
+        });
+        return QueryString.stringify(legacy, options);
     }
 }
\ No newline at end of file
@@ -344,16 +344,20 @@ export class Element {
      * @param {string} childSelector - The selector for child elements.
      * @param {string} eventType - The event type to delegate.
      * @param {Function} handler - The event handler.
+     * @returns {Function} - A function that removes the delegated listener.
      */
     static delegateEvent(parentElement, childSelector, eventType, handler) {
-        parentElement.addEventListener(eventType, (event) => {
+        const listener = (event) => {
             const potentialElements = parentElement.querySelectorAll(childSelector);
             potentialElements.forEach((el) => {
                 if (el === event.target || el.contains(event.target)) {
                     handler.call(el, event);
                 }
             });
-        });
+        };
+
+        parentElement.addEventListener(eventType, listener);
+        return () => parentElement.removeEventListener(eventType, listener);
     }
 
     /**
@@ -0,0 +1,677 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { Element } from "./element.js";
+import { Utility } from "../main/utility.js";
+import { Style } from "../styling/style.js";
+
+/**
+ * A value that notifies the effects reading it when it changes.
+ * @class
+ *
+ * @example
+ * const count = new Signal(0);
+ * Reactive.effect(() => console.log(count.value)); // logs 0
+ * count.value++;                                    // logs 1
+ */
+export class Signal {
+    /**
+     * @constructor
+     * @param {*} value - The initial value.
+     * @param {Object} [options] - Options for the signal.
+     * @param {Function} [options.equals=Object.is] - Decides whether a new value is the same as the current one,
+     * in which case nothing is notified.
+     */
+    constructor(value, options = {}) {
+        this.current = value;
+        this.equals = options.equals || Object.is;
+        this.subscribers = new Set();
+    }
+
+    /**
+     * The current value. Reading it inside an effect makes the effect depend on the signal.
+     * @type {*}
+     */
+    get value() {
+        Reactive.track(this);
+        return this.current;
+    }
+
+    set value(next) {
+        if (this.equals(this.current, next)) return;
+        this.current = next;
+        Reactive.trigger(this);
+    }
+
+    /**
+     * Reads the value without making the running effect depend on it.
+     * @returns {*} - The current value.
+     */
+    peek() {
+        return this.current;
+    }
+
+    /**
+     * Replaces the value with the result of a function of the current one.
+     * @param {Function} updater - Receives the current value and returns the next one.
+     */
+    update(updater) {
+        this.value = updater(this.current);
+    }
+
+    /**
+     * Calls a handler with the value now and after every change.
+     * @param {Function} handler - Receives the value.
+     * @returns {Function} - A function that stops the subscription.
+     */
+    subscribe(handler) {
+        return Reactive.effect(() => {
+            const value = this.value;
+            Reactive.untrack(() => handler(value));
+        });
+    }
+}
+
+/**
+ * Lightweight reactivity for elements built with Element.create: signals, observable state objects, effects and
+ * bindings that update only the nodes whose data changed.
+ *
+ * Bindings take a "source": a Signal, a function reading signals or state (re-evaluated when they change), or a
+ * plain value (applied once). Each binding is tied to its element, and Reactive.dispose(element) stops the
+ * bindings of an element and its descendants, as the keyed list does for the items it removes.
+ *
+ * @class
+ *
+ * @example
+ * const state = Reactive.store({ todos: [{ id: 1, title: 'Write docs', done: false }], filter: 'all' });
+ *
+ * const list = Reactive.create({
+ *     name: 'ul',
+ *     class: ['todos'],
+ *     list: {
+ *         source: () => state.todos.filter(todo => state.filter === 'all' || !todo.done),
+ *         key: todo => todo.id,
+ *         render: todo => Reactive.create({
+ *             name: 'li',
+ *             text: () => todo.title,
+ *             class: { done: () => todo.done },
+ *             on: { click: () => { todo.done = !todo.done; } }
+ *         })
+ *     }
+ * });
+ *
+ * state.todos.push({ id: 2, title: 'Ship it', done: false }); // only the new <li> is created
+ */
+export class Reactive {
+    static activeEffect = null;
+    static batchDepth = 0;
+    static pending = new Set();
+    static flushing = false;
+    static disposers = new WeakMap();
+    static stores = new WeakMap();
+    static targets = new WeakMap();
+    static keySignals = new WeakMap();
+    static arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+    /**
+     * Creates a signal.
+     * @param {*} value - The initial value.
+     * @param {Object} [options] - Options for the signal (see Signal).
+     * @returns {Signal} - The signal.
+     */
+    static signal(value, options) {
+        return new Signal(value, options);
+    }
+
+    /**
+     * Creates a signal whose value is derived from other signals and recomputed when they change.
+     * @param {Function} compute - Computes the value.
+     * @returns {Signal} - The derived signal. Writing to it is overwritten by the next recomputation.
+     */
+    static computed(compute) {
+        const derived = new Signal(undefined);
+        this.effect(() => {
+            derived.value = compute();
+        });
+        return derived;
+    }
+
+    /**
+     * Runs a function now and again whenever a signal or state property it read changes.
+     * @param {Function} fn - The function. It may return a cleanup function, called before each rerun and on disposal.
+     * @returns {Function} - A function that stops the effect.
+     * @throws Will rethrow an error of the first run, after stopping the effect so it stays subscribed to nothing.
+     */
+    static effect(fn) {
+        const effect = {
+            fn,
+            deps: new Set(),
+            cleanup: null,
+            disposed: false,
+            run: () => this.runEffect(effect)
+        };
+
+        const stop = () => {
+            effect.disposed = true;
+            this.unsubscribe(effect);
+            this.runCleanup(effect);
+        };
+
+        try {
+            effect.run();
+        } catch (error) {
+            // The caller never gets the stop function, so nothing else could release the signals it read
+            stop();
+            throw error;
+        }
+        return stop;
+    }
+
+    /**
+     * Runs an effect, collecting the signals it reads.
+     * @param {Object} effect - The effect.
+     */
+    static runEffect(effect) {
+        if (effect.disposed) return;
+
+        this.unsubscribe(effect);
+        this.runCleanup(effect);
+
+        const parent = this.activeEffect;
+        this.activeEffect = effect;
+        try {
+            const cleanup = effect.fn();
+            effect.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        } finally {
+            this.activeEffect = parent;
+        }
+    }
+
+    /**
+     * Removes an effect from the signals it depended on.
+     * @param {Object} effect - The effect.
+     */
+    static unsubscribe(effect) {
+        effect.deps.forEach(signal => signal.subscribers.delete(effect));
+        effect.deps.clear();
+    }
+
+    /**
+     * Calls the cleanup function returned by an effect's last run.
+     * @param {Object} effect - The effect.
+     */
+    static runCleanup(effect) {
+        if (!effect.cleanup) return;
+
+        const cleanup = effect.cleanup;
+        effect.cleanup = null;
+        this.untrack(cleanup);
+    }
+
+    /**
+     * Records that the running effect read a signal.
+     * @param {Signal} signal - The signal.
+     */
+    static track(signal) {
+        const effect = this.activeEffect;
+        if (!effect) return;
+
+        signal.subscribers.add(effect);
+        effect.deps.add(signal);
+    }
+
+    /**
+     * Schedules the effects depending on a signal that changed.
+     * @param {Signal} signal - The signal.
+     */
+    static trigger(signal) {
+        signal.subscribers.forEach(effect => this.pending.add(effect));
+        if (!this.batchDepth) this.flush();
+    }
+
+    /**
+     * Runs the scheduled effects until no more are scheduled. An effect that throws is reported and the others
+     * still run, so one failing binding does not leave the rest of the DOM stale.
+     * @throws Will throw an error if effects keep changing each other's signals.
+     */
+    static flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        try {
+            for (let round = 0; this.pending.size; round++) {
+                if (round >= 100) {
+                    this.pending.clear();
+                    throw new Error('Reactive effects did not settle; an effect probably changes a signal it reads.');
+                }
+
+                const effects = [...this.pending];
+                this.pending.clear();
+                effects.forEach(effect => {
+                    try {
+                        effect.run();
+                    } catch (error) {
+                        console.error('Error in reactive effect:', error);
+                    }
+                });
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Groups changes so the effects depending on them run once, after the function returns.
+     * @param {Function} fn - The function making the changes.
+     * @returns {*} - The function's return value.
+     */
+    static batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (!this.batchDepth) this.flush();
+        }
+    }
+
+    /**
+     * Runs a function without making the running effect depend on what it reads.
+     * @param {Function} fn - The function.
+     * @returns {*} - The function's return value.
+     */
+    static untrack(fn) {
+        const parent = this.activeEffect;
+        this.activeEffect = null;
+        try {
+            return fn();
+        } finally {
+            this.activeEffect = parent;
+        }
+    }
+
+    /**
+     * Wraps a plain object or array in an observable state object. Reading a property inside an effect makes the
+     * effect depend on that property only; nested plain objects and arrays are observable too, and array methods
+     * such as push and splice notify the effects reading the array.
+     * @param {Object|Array} target - The state. It is changed in place through the returned proxy.
+     * @returns {Proxy} - The observable state. Wrapping the same object twice returns the same proxy.
+     */
+    static store(target) {
+        if (!this.isObservable(target)) {
+            throw new Error('Reactive.store needs a plain object or an array.');
+        }
+        if (this.targets.has(target)) return target;
+        if (this.stores.has(target)) return this.stores.get(target);
+
+        const structure = Symbol.for('butility.structure');
+        const proxy = new Proxy(target, {
+            get: (object, key, receiver) => {
+                const value = Reflect.get(object, key, receiver);
+                if (typeof key === 'symbol') return value;
+
+                if (Array.isArray(object) && this.arrayMutators.includes(key)) {
+                    // Their intermediate writes must not be seen, nor their reads tracked
+                    return (...args) => this.batch(() => this.untrack(() => value.apply(receiver, args)));
+                }
+
+                this.track(this.keySignal(object, key));
+                return this.isObservable(value) ? this.store(value) : value;
+            },
+            has: (object, key) => {
+                this.track(this.keySignal(object, structure));
+                return Reflect.has(object, key);
+            },
+            ownKeys: object => {
+                this.track(this.keySignal(object, Array.isArray(object) ? 'length' : structure));
+                return Reflect.ownKeys(object);
+            },
+            set: (object, key, value, receiver) => {
+                // Keep raw objects in the state, so reading them back always yields the same proxy
+                value = this.targets.get(value) || value;
+
+                const added = !Object.prototype.hasOwnProperty.call(object, key);
+                const previous = object[key];
+                const length = Array.isArray(object) ? object.length : undefined;
+                const result = Reflect.set(object, key, value, receiver);
+
+                if (added || !Object.is(previous, value)) {
+                    this.batch(() => {
+                        this.bump(object, key);
+                        if (added) this.bump(object, structure);
+                        // Writing past the end grows an array without a separate write to length
+                        if (length !== undefined && key !== 'length' && object.length !== length) {
+                            this.bump(object, 'length');
+                        }
+                    });
+                }
+                return result;
+            },
+            deleteProperty: (object, key) => {
+                const existed = Object.prototype.hasOwnProperty.call(object, key);
+                const result = Reflect.deleteProperty(object, key);
+
+                if (existed) {
+                    this.batch(() => {
+                        this.bump(object, key);
+                        this.bump(object, structure);
+                    });
+                }
+                return result;
+            }
+        });
+
+        this.stores.set(target, proxy);
+        this.targets.set(proxy, target);
+        return proxy;
+    }
+
+    /**
+     * Tells whether a value can be wrapped by Reactive.store.
+     * @param {*} value - The value.
+     * @returns {boolean} - True for arrays and plain objects.
+     */
+    static isObservable(value) {
+        if (Array.isArray(value)) return true;
+        if (!value || typeof value !== 'object') return false;
+
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    /**
+     * Returns the signal standing for one property of a state object.
+     * @param {Object} object - The raw state object.
+     * @param {string|symbol} key - The property.
+     * @returns {Signal} - The signal, whose value is a change counter.
+     */
+    static keySignal(object, key) {
+        if (!this.keySignals.has(object)) {
+            this.keySignals.set(object, new Map());
+        }
+
+        const signals = this.keySignals.get(object);
+        if (!signals.has(key)) {
+            signals.set(key, new Signal(0));
+        }
+        return signals.get(key);
+    }
+
+    /**
+     * Notifies the effects depending on a property of a state object.
+     * @param {Object} object - The raw state object.
+     * @param {string|symbol} key - The property.
+     */
+    static bump(object, key) {
+        const signals = this.keySignals.get(object);
+        const signal = signals && signals.get(key);
+        if (signal) signal.value = signal.peek() + 1;
+    }
+
+    /**
+     * Reads a source: the value of a signal, the result of a function, or the value itself.
+     * @param {*} source - The source.
+     * @returns {*} - The value.
+     */
+    static read(source) {
+        if (source instanceof Signal) return source.value;
+        if (typeof source === 'function') return source();
+        return source;
+    }
+
+    /**
+     * Tells whether a source can change, i.e. is a signal or a function.
+     * @param {*} source - The source.
+     * @returns {boolean} - True for signals and functions.
+     */
+    static isDynamic(source) {
+        return source instanceof Signal || typeof source === 'function';
+    }
+
+    /**
+     * Runs an effect for an element and ties it to the element, so Reactive.dispose stops it.
+     * @param {Node} element - The element.
+     * @param {Function} fn - The effect.
+     * @returns {Function} - A function that stops the effect.
+     */
+    static bindEffect(element, fn) {
+        const stop = this.effect(fn);
+        if (!this.disposers.has(element)) {
+            this.disposers.set(element, new Set());
+        }
+        this.disposers.get(element).add(stop);
+        return stop;
+    }
+
+    /**
+     * Stops the bindings of an element and of all its descendants.
+     * @param {Node} element - The element.
+     */
+    static dispose(element) {
+        // Walk text nodes too, since bound text children can sit at any depth
+        const walker = (element.ownerDocument || document).createTreeWalker(element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        for (let node = walker.currentNode; node; node = walker.nextNode()) {
+            nodes.push(node);
+        }
+
+        nodes.forEach(node => {
+            const stops = this.disposers.get(node);
+            if (!stops) return;
+            stops.forEach(stop => stop());
+            this.disposers.delete(node);
+        });
+    }
+
+    /**
+     * Binds the text content of a node. null and undefined render as an empty string.
+     * @param {Node} element - The element or text node.
+     * @param {*} source - The text source.
+     * @returns {Function} - A function that stops the binding.
+     */
+    static text(element, source) {
+        return this.bindEffect(element, () => {
+            const value = this.read(source);
+            const text = value === null || value === undefined ? '' : String(value);
+            if (element.textContent !== text) element.textContent = text;
+        });
+    }
+
+    /**
+     * Binds an attribute. null, undefined and false remove it, and true sets it empty (for boolean attributes).
+     * @param {HTMLElement} element - The element.
+     * @param {string} name - The attribute name.
+     * @param {*} source - The attribute value source.
+     * @returns {Function} - A function that stops the binding.
+     */
+    static attr(element, name, source) {
+        return this.bindEffect(element, () => {
+            const value = this.read(source);
+
+            if (value === null || value === undefined || value === false) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, value === true ? '' : String(value));
+            }
+        });
+    }
+
+    /**
+     * Binds classes, each one present while its source is truthy.
+     * @param {HTMLElement} element - The element.
+     * @param {Object<string, *>} classes - The sources keyed by class name.
+     * @returns {Function} - A function that stops the bindings.
+     */
+    static classes(element, classes) {
+        const stops = Object.entries(classes).map(([className, source]) => this.bindEffect(element, () => {
+            if (this.read(source)) {
+                Utility.addClass(element, className);
+            } else {
+                Utility.removeClass(element, className);
+            }
+        }));
+
+        return () => stops.forEach(stop => stop());
+    }
+
+    /**
+     * Binds inline styles. A null, undefined or false value removes the property.
+     * @param {HTMLElement} element - The element.
+     * @param {Object<string, *>|Function|Signal} styles - The sources keyed by style property, or a source
+     * of a whole style object (properties missing from a new object are removed).
+     * @returns {Function} - A function that stops the bindings.
+     */
+    static style(element, styles) {
+        const apply = (property, value) => {
+            if (value === null || value === undefined || value === false) {
+                Style.removeStyles(element, property);
+            } else {
+                Style.addStyles(element, { [property]: String(value) });
+            }
+        };
+
+        if (this.isDynamic(styles)) {
+            let previous = {};
+            return this.bindEffect(element, () => {
+                const next = this.read(styles) || {};
+                Object.keys(previous).filter(property => !(property in next)).forEach(property => apply(property, null));
+                Object.entries(next).forEach(([property, value]) => apply(property, value));
+                previous = { ...next };
+            });
+        }
+
+        const stops = Object.entries(styles).map(([property, source]) => (
+            this.bindEffect(element, () => apply(property, this.read(source)))
+        ));
+        return () => stops.forEach(stop => stop());
+    }
+
+    /**
+     * Renders an array into a container, one node per item, reconciling by key: when the array changes, nodes of
+     * kept items are reused and moved, new items are rendered and removed items are disposed. An item whose key is
+     * kept but whose value is a different object is rendered again. The container should hold nothing else.
+     * @param {HTMLElement} container - The container.
+     * @param {*} source - The array source.
+     * @param {Object} options - Options for the list.
+     * @param {Function} options.render - Renders an item, `(item, index) => Node`. It runs untracked, so reactive
+     * parts of the item need their own bindings.
+     * @param {Function} [options.key] - Returns the key of an item, `(item, index) => key`. Defaults to the item itself.
+     * @returns {Function} - A function that stops the binding.
+     * @throws Will throw an error if two items have the same key on the first render; later duplicates are reported by flush.
+     */
+    static list(container, source, options) {
+        const { render, key = item => item } = options;
+        let entries = new Map();
+
+        return this.bindEffect(container, () => {
+            const items = Array.from(this.read(source) || []);
+            const keys = items.map((item, index) => key(item, index));
+            const next = new Map();
+
+            // Checked before rendering, so a bad array leaves no rendered nodes or bindings behind
+            const seen = new Set();
+            keys.forEach(itemKey => {
+                if (seen.has(itemKey)) {
+                    throw new Error(`Duplicate key in reactive list: ${String(itemKey)}`);
+                }
+                seen.add(itemKey);
+            });
+
+            items.forEach((item, index) => {
+                const itemKey = keys[index];
+                const existing = entries.get(itemKey);
+                if (existing && existing.item === item) {
+                    next.set(itemKey, existing);
+                } else {
+                    next.set(itemKey, { item, node: this.untrack(() => render(item, index)) });
+                }
+            });
+
+            entries.forEach((entry, itemKey) => {
+                if (next.get(itemKey) !== entry) this.removeNode(entry.node);
+            });
+
+            // Walk backwards so each node can be placed before its already placed successor
+            let anchor = null;
+            [...next.values()].reverse().forEach(({ node }) => {
+                if (node.parentNode !== container || node.nextSibling !== anchor) {
+                    container.insertBefore(node, anchor);
+                }
+                anchor = node;
+            });
+
+            entries = next;
+        });
+    }
+
+    /**
+     * Stops the bindings of a node and removes it from the document.
+     * @param {Node} node - The node.
+     */
+    static removeNode(node) {
+        this.dispose(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+    }
+
+    /**
+     * Creates an element like Element.create, with reactive options.
+     * @param {Object} options - The Element.create options, plus:
+     * @param {*} [options.text] - The text content source.
+     * @param {Object<string, *>} [options.attr] - Attributes; signal and function values are bound.
+     * @param {Array<string>|Object<string, *>} [options.class] - Static class names, or sources keyed by class name.
+     * @param {string|Object<string, *>|Function|Signal} [options.style] - Static CSS text, or bound styles (see Reactive.style).
+     * @param {Array<Node|string|*>} [options.children] - Children; strings become text nodes and signals or
+     * functions become bound text nodes.
+     * @param {Object} [options.list] - A keyed list rendered into the element: `{ source, key, render }` (see Reactive.list).
+     * @param {Object<string, Function>} [options.on] - Event listeners keyed by event type.
+     * @param {Function} [callback] - Receives the created element, as with Element.create.
+     * @returns {HTMLElement} - The element.
+     */
+    static create(options, callback) {
+        const { text, attr = {}, class: classes, style, children, list, on, ...rest } = options;
+
+        const staticAttr = {};
+        const dynamicAttr = {};
+        Object.entries(attr).forEach(([name, value]) => {
+            (this.isDynamic(value) ? dynamicAttr : staticAttr)[name] = value;
+        });
+
+        const element = Element.create({
+            ...rest,
+            attr: staticAttr,
+            class: Array.isArray(classes) ? classes : undefined,
+            style: typeof style === 'string' ? style : undefined
+        });
+
+        Object.entries(dynamicAttr).forEach(([name, source]) => this.attr(element, name, source));
+
+        if (classes && !Array.isArray(classes)) this.classes(element, classes);
+        if (style && typeof style !== 'string') this.style(element, style);
+
+        if (text !== undefined) this.text(element, text);
+
+        (children || []).forEach(child => {
+            if (child instanceof Node) {
+                element.appendChild(child);
+            } else if (this.isDynamic(child)) {
+                const node = document.createTextNode('');
+                this.text(node, child);
+                element.appendChild(node);
+            } else if (child !== null && child !== undefined && child !== false) {
+                element.appendChild(document.createTextNode(String(child)));
+            }
+        });
+
+        if (list) this.list(element, list.source, list);
+
+        Object.entries(on || {}).forEach(([type, handler]) => element.addEventListener(type, handler));
+
+        if (callback && typeof callback === 'function') {
+            callback(element);
+        }
+
+        return element;
+    }
+}
@@ -209,19 +209,28 @@ export class Scroll {
     /**
      * Scrolls smoothly to the specified position over a specified duration.
      * @param {number} targetPosition - The target scroll position.
-     * @param {number} duration - The duration of the smooth scroll in milliseconds.
+     * @param {number} duration - The duration of the smooth scroll in milliseconds (0 jumps).
+     * @param {number} [targetLeft=0] - The target horizontal scroll position.
      * @private
      */
-    static smoothScrollToPosition(targetPosition, duration) {
+    static smoothScrollToPosition(targetPosition, duration, targetLeft = 0) {
+        if (!(duration > 0)) {
+            window.scrollTo(targetLeft, targetPosition);
+            return;
+        }
+
         const start = window.pageYOffset || document.documentElement.scrollTop;
         const change = targetPosition - start;
+        const startLeft = window.pageXOffset || document.documentElement.scrollLeft;
+        const changeLeft = targetLeft - startLeft;
         const increment = 20;
         let currentTime = 0;
 
         const animateScroll = () => {
             currentTime += increment;
             const val = this.easeInOutQuad(currentTime, start, change, duration);
-            window.scrollTo(0, val);
+            const left = this.easeInOutQuad(currentTime, startLeft, changeLeft, duration);
+            window.scrollTo(left, val);
             if (currentTime < duration) {
                 setTimeout(animateScroll, increment);
             }
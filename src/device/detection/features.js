@@ -153,6 +153,14 @@ export class DetectFeature {
         return 'WebSocket' in window || 'MozWebSocket' in window;
     }
 
+    /**
+     * Detects if Server-Sent Events (EventSource) are supported in the browser.
+     * @returns {boolean} True if EventSource is supported, false otherwise.
+     */
+    static detectEventSource() {
+        return 'EventSource' in window;
+    }
+
     /**
      * Detects if SVG support is available in the browser.
      * @returns {boolean} True if SVG is supported, false otherwise.
@@ -76,6 +76,24 @@ export class BrowserStorage {
         return null;
     }
 
+    /**
+     * Removes a key from local storage.
+     *
+     * @param {string} key - The key of the storage item to remove.
+     */
+    static removeLocal(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Removes a key from session storage.
+     *
+     * @param {string} key - The key of the storage item to remove.
+     */
+    static removeSession(key) {
+        sessionStorage.removeItem(key);
+    }
+
     /**
      * Checks if a key exists in local storage.
      *
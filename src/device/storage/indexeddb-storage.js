@@ -0,0 +1,153 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+/**
+ * Promise-based key-value store on top of IndexedDB.
+ * Works in pages, web workers and service workers.
+ * @class
+ */
+export class IndexedDBStorage {
+    /**
+     * @constructor
+     * @param {string} [dbName='butility'] - The name of the database.
+     * @param {string} [storeName='keyval'] - The name of the object store inside the database.
+     */
+    constructor(dbName = 'butility', storeName = 'keyval') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database, creating the object store on first use.
+     * @returns {Promise<IDBDatabase>} - A promise that resolves with the open database.
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not supported in this environment.'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => {
+                    const db = this.watchVersionChange(request.result);
+
+                    // Another IndexedDBStorage may share the database with a different store name
+                    if (db.objectStoreNames.contains(this.storeName)) {
+                        resolve(db);
+                        return;
+                    }
+
+                    const version = db.version + 1;
+                    db.close();
+                    const upgrade = indexedDB.open(this.dbName, version);
+                    upgrade.onupgradeneeded = () => {
+                        upgrade.result.createObjectStore(this.storeName);
+                    };
+                    upgrade.onsuccess = () => resolve(this.watchVersionChange(upgrade.result));
+                    upgrade.onerror = () => reject(upgrade.error);
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to try again after a failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Closes the connection when another connection upgrades the database, so the upgrade is not blocked.
+     * The next operation reopens it.
+     * @param {IDBDatabase} db - The open database.
+     * @returns {IDBDatabase} - The same database.
+     */
+    watchVersionChange(db) {
+        db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+        };
+        return db;
+    }
+
+    /**
+     * Runs a single request against the object store.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {Function} callback - Receives the object store and returns an IDBRequest.
+     * @returns {Promise<*>} - A promise that resolves with the result of the request once the transaction completes.
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Gets the value stored under a key.
+     * @param {IDBValidKey} key - The key to read.
+     * @returns {Promise<*>} - A promise that resolves with the value, or undefined if there is none.
+     */
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    /**
+     * Stores a value under a key. The value may be anything the structured clone algorithm supports.
+     * @param {IDBValidKey} key - The key to write.
+     * @param {*} value - The value to store.
+     * @returns {Promise<void>} - A promise that resolves once the value is written.
+     */
+    set(key, value) {
+        return this.run('readwrite', store => store.put(value, key)).then(() => undefined);
+    }
+
+    /**
+     * Removes a key.
+     * @param {IDBValidKey} key - The key to remove.
+     * @returns {Promise<void>} - A promise that resolves once the key is removed.
+     */
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key)).then(() => undefined);
+    }
+
+    /**
+     * Lists every key in the store.
+     * @returns {Promise<IDBValidKey[]>} - A promise that resolves with the keys.
+     */
+    keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+
+    /**
+     * Lists every value in the store.
+     * @returns {Promise<Array<*>>} - A promise that resolves with the values.
+     */
+    values() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Removes every key from the store.
+     * @returns {Promise<void>} - A promise that resolves once the store is empty.
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear()).then(() => undefined);
+    }
+}
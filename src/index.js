@@ -1,5 +1,6 @@
 // DOM modules
 import {Element} from "./DOM/element/element.js";
+import {Signal, Reactive} from "./DOM/element/reactive.js";
 import {Attribute} from "./DOM/element/attribute.js";
 import {Obj} from "./DOM/composite/object.js";
 import {String} from "./DOM/composite/string.js";
@@ -20,31 +21,53 @@ import {Capture} from "./media/device-media/capture.js";
 import {FullScreen} from "./media/device-media/fullScreen.js";
 import {File} from "./media/file/file.js";
 import {Blob} from "./media/file/blob.js";
+import {ResumableUpload} from "./media/file/resumable-upload.js";
 // network modules
 import {URLUtility} from "./network/URL/url.js";
+import {QueryString} from "./network/URL/query.js";
+import {Router} from "./network/URL/router.js";
 import {RequestServer} from "./network/request/server.js";
-import {IP} from "./network/ip/ip.js";
+import {RequestError, HttpError, NetworkError, TimeoutError, AbortError, GraphQLError} from "./network/request/errors.js";
+import {RetryPolicy} from "./network/request/retry.js";
+import {ResponseCache} from "./network/request/cache.js";
+import {GraphQLClient} from "./network/request/graphql.js";
+import {HttpClient, InterceptorChain, XhrTransport} from "./network/request/client.js";
+import {MockTransport} from "./network/request/mock.js";
+import {SyncQueue} from "./network/request/queue.js";
+import {IP, EndpointProvider, IpinfoProvider, IpApiProvider, LocationTableProvider} from "./network/ip/ip.js";
 import {ServiceWorkerManager} from "./network/serviceWorker/serviceWorker.js";
+import {WorkerCache} from "./network/serviceWorker/worker.js";
+import {WorkerMessenger, ServiceWorkerError} from "./network/serviceWorker/messaging.js";
+import {PushNotifications} from "./network/serviceWorker/push.js";
+import {Stream} from "./network/stream/stream.js";
+import {StreamConnection} from "./network/stream/connection.js";
+import {WebSocketConnection} from "./network/stream/websocket.js";
+import {EventSourceConnection} from "./network/stream/event-source.js";
 // device modules
 import {DetectFeature} from "./device/detection/features.js";
 import {DetectDevice} from "./device/detection/device.js";
 import {EnvInfo} from "./device/detection/envInfo.js";
 import {BrowserStorage} from "./device/storage/browser-storage.js";
 import {DeviceStorage} from "./device/storage/device-storage.js";
+import {IndexedDBStorage} from "./device/storage/indexeddb-storage.js";
 import {DeviceAPIs} from "./device/browser-api/device-api.js";
 
 const Butility = {
-    Element, Attribute, Obj, String, Scroll, Utility, Ripple, RippleEffect, DragDrop, Style, Color, Modal, Tooltip,
+    Element, Signal, Reactive, Attribute, Obj, String, Scroll, Utility, Ripple, RippleEffect, DragDrop, Style, Color, Modal, Tooltip,
     Validate, FormAction, SerializeForm,
-    File, Blob, Image, Capture, FullScreen,
-    IP, RequestServer, URLUtility, ServiceWorkerManager,
-    DetectDevice, DetectFeature, EnvInfo, DeviceStorage, BrowserStorage, DeviceAPIs
+    File, Blob, ResumableUpload, Image, Capture, FullScreen,
+    IP, EndpointProvider, IpinfoProvider, IpApiProvider, LocationTableProvider,
+    RequestServer, URLUtility, QueryString, Router, ServiceWorkerManager, WorkerCache, WorkerMessenger, ServiceWorkerError, PushNotifications, Stream, StreamConnection, WebSocketConnection, EventSourceConnection,
+    RequestError, HttpError, NetworkError, TimeoutError, AbortError, GraphQLError, HttpClient, InterceptorChain, RetryPolicy, ResponseCache, GraphQLClient, XhrTransport, MockTransport, SyncQueue,
+    DetectDevice, DetectFeature, EnvInfo, DeviceStorage, BrowserStorage, IndexedDBStorage, DeviceAPIs
 };
 
 export default Butility;
-export { Element, Attribute, Obj, String, Scroll, Utility, Ripple, RippleEffect, DragDrop, Style, Color, Modal, Tooltip };
+export { Element, Signal, Reactive, Attribute, Obj, String, Scroll, Utility, Ripple, RippleEffect, DragDrop, Style, Color, Modal, Tooltip };
 export { Validate, FormAction, SerializeForm };
-export { File, Blob, Image, Capture, FullScreen };
-export { IP, RequestServer, URLUtility, ServiceWorkerManager };
-export { DetectDevice, DetectFeature, EnvInfo, DeviceStorage, BrowserStorage, DeviceAPIs };
+export { File, Blob, ResumableUpload, Image, Capture, FullScreen };
+export { IP, EndpointProvider, IpinfoProvider, IpApiProvider, LocationTableProvider };
+export { RequestServer, URLUtility, QueryString, Router, ServiceWorkerManager, WorkerCache, WorkerMessenger, ServiceWorkerError, PushNotifications, Stream, StreamConnection, WebSocketConnection, EventSourceConnection };
+export { RequestError, HttpError, NetworkError, TimeoutError, AbortError, GraphQLError, HttpClient, InterceptorChain, RetryPolicy, ResponseCache, GraphQLClient, XhrTransport, MockTransport, SyncQueue };
+export { DetectDevice, DetectFeature, EnvInfo, DeviceStorage, BrowserStorage, IndexedDBStorage, DeviceAPIs };
 
@@ -5,6 +5,7 @@
  */
 
 import { RequestServer } from '../../network/request/server.js';
+import { ResumableUpload } from './resumable-upload.js';
 
 /**
  * Utility class for working with files.
@@ -34,50 +35,83 @@ export class File {
     }
 
     /**
-     * Uploads a file using a basic XMLHttpRequest without external dependencies.
+     * Uploads a file as multipart/form-data using the RequestServer class.
      * @param {File} file - The file to upload.
      * @param {string} url - The URL to upload the file to.
-     * @param {function} progressCallback - A callback function to handle upload progress (optional).
-     * @returns {Promise<string>} - A Promise that resolves to the server response.
+     * @param {function} [progressCallback] - Receives `{ loaded, total, percent, rate, eta }` while the file is sent.
+     * @param {Object} [options] - Additional options for the upload.
+     * @param {string} [options.fieldName='file'] - The form field name of the file.
+     * @param {Object} [options.fields] - Extra form fields to send along with the file.
+     * @param {Object} [options.headers] - Additional headers to include in the request.
+     * @param {AbortSignal} [options.signal] - Cancels the upload.
+     * @returns {Promise<*>} - A Promise that resolves to the parsed server response.
      */
-    static uploadFile(file, url, progressCallback) {
-        return new Promise((resolve, reject) => {
-            const formData = new FormData();
-            formData.append('file', file);
-
-            RequestServer.post(url, formData, (response) => {
-                if (response) {
-                    resolve(response);
-                } else {
-                    reject(new Error('File upload failed'));
-                }
-            }, progressCallback);
-        });
+    static uploadFile(file, url, progressCallback, options = {}) {
+        const { fieldName = 'file', fields = {}, ...requestOptions } = options;
+        const formData = new FormData();
+
+        for (const [key, value] of Object.entries(fields)) {
+            formData.append(key, value);
+        }
+        formData.append(fieldName, file);
+
+        return RequestServer.post(url, formData, {
+            ...requestOptions,
+            onUploadProgress: progressCallback
+        }).then(response => response.body);
+    }
+
+    /**
+     * Uploads a large file in chunks that can be paused, resumed and continued after a page reload.
+     * The upload starts immediately unless `options.autoStart` is false.
+     * @param {File} file - The file to upload.
+     * @param {string} url - The upload endpoint (the creation endpoint for tus).
+     * @param {Object} [options] - Options for the upload (see ResumableUpload).
+     * @param {boolean} [options.autoStart=true] - Whether to start the upload right away.
+     * @returns {ResumableUpload} - The upload, with start, pause, resume and abort methods and a `promise`
+     * that resolves once every chunk is sent.
+     *
+     * @example
+     * const upload = File.uploadResumable(input.files[0], '/videos', {
+     *     chunkSize: 8 * 1024 * 1024,
+     *     onProgress: ({ percent }) => bar.style.width = `${percent}%`
+     * });
+     * pauseButton.onclick = () => upload.pause();
+     * resumeButton.onclick = () => upload.resume();
+     * const result = await upload.promise;
+     */
+    static uploadResumable(file, url, options = {}) {
+        const { autoStart = true, ...uploadOptions } = options;
+        const upload = new ResumableUpload(file, url, uploadOptions);
+
+        if (autoStart) {
+            upload.start();
+        }
+        return upload;
     }
 
     /**
      * Downloads a file from the server using the RequestServer class.
      * @param {string} fileUrl - The URL for the zip file to be downloaded.
      * @param {string} fileName - The desired name for the downloaded zip file.
+     * @param {function} [progressCallback] - Receives `{ loaded, total, percent, rate, eta }` while the file is received.
      * @returns {Promise<void>} A Promise that resolves once the download is complete.
      */
-    static async downloadZip(fileUrl, fileName) {
-        return new Promise((resolve, reject) => {
-            // Use the RequestServer's GET method to fetch the zip file
-            RequestServer.get(fileUrl, {}, (response) => {
-                if (response) {
-                    const blob = new Blob([response], { type: 'application/zip' });
-                    const link = document.createElement('a');
-                    
-                    link.href = window.URL.createObjectURL(blob);
-                    link.download = fileName;
-                    link.click();
-                    resolve();
-                } else {
-                    reject(new Error(`Failed to download zip file.`));
-                }
-            });
+    static async downloadZip(fileUrl, fileName, progressCallback) {
+        const response = await RequestServer.get(fileUrl, null, {
+            responseType: 'blob',
+            onDownloadProgress: progressCallback
         });
+
+        const blob = new Blob([response.body], { type: 'application/zip' });
+        const link = document.createElement('a');
+        const objectUrl = window.URL.createObjectURL(blob);
+
+        link.href = objectUrl;
+        link.download = fileName;
+        link.click();
+        // Revoking in the same task can cancel the download in Safari and older Firefox
+        setTimeout(() => window.URL.revokeObjectURL(objectUrl), 0);
     }
 
 
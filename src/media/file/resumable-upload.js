@@ -0,0 +1,476 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { Blob as BlobUtility } from './blob.js';
+import { RequestServer } from '../../network/request/server.js';
+import { AbortError } from '../../network/request/errors.js';
+import { BrowserStorage } from '../../device/storage/browser-storage.js';
+
+/**
+ * Uploads a large file in chunks that can be paused, resumed, retried and continued after a reload.
+ *
+ * The wire format is decided by a protocol object:
+ * - `parallel` {boolean} - Whether chunks may be sent concurrently.
+ * - `init(upload)` - Prepares the upload and resolves with the number of bytes the server already has.
+ * - `uploadChunk(upload, chunk, { signal, onUploadProgress })` - Sends one chunk `{ blob, start, end }`.
+ * - `finish(upload, lastResponse)` - Resolves with the final result of the upload. `lastResponse` is the response that
+ *   completed the upload: a 200/201 when the server sent one, otherwise the response to the last byte range.
+ * - `terminate(upload)` - Optional, discards the upload on the server when it is aborted.
+ *
+ * Built-in protocols are available as ResumableUpload.protocols['content-range'] and ResumableUpload.protocols.tus.
+ * @class
+ */
+export class ResumableUpload {
+    /**
+     * @constructor
+     * @param {File|Blob} file - The file to upload.
+     * @param {string} url - The upload endpoint (the creation endpoint for tus).
+     * @param {Object} [options] - Options for the upload.
+     * @param {number} [options.chunkSize=5242880] - The size of each chunk in bytes.
+     * @param {number} [options.parallel=3] - The maximum number of chunks in flight (ignored by sequential protocols).
+     * @param {string|Object} [options.protocol='content-range'] - A built-in protocol name or a custom protocol object.
+     * @param {string} [options.method='PUT'] - The HTTP method of chunk requests for the content-range protocol.
+     * @param {Object} [options.headers] - Additional headers sent with every chunk.
+     * @param {Object} [options.metadata] - Metadata sent to the server (Upload-Metadata for tus).
+     * @param {number|Object} [options.retry] - The retry policy of a single chunk (see RetryPolicy).
+     * @param {boolean} [options.persist=true] - Whether to remember progress in local storage so a reload can resume.
+     * @param {number} [options.persistFor=86400000] - How long persisted progress is kept, in milliseconds.
+     * @param {string} [options.storageKey] - The local storage key; derived from the file and URL by default.
+     * @param {HttpClient} [options.client] - The client used to send chunks. Defaults to the RequestServer client.
+     * @param {Function} [options.onProgress] - Receives `{ loaded, total, percent, rate, eta }` for the whole file.
+     * @param {Function} [options.onChunkComplete] - Receives the chunk `{ start, end }` and its response.
+     * @param {Function} [options.onStateChange] - Receives the new state ('uploading', 'paused', 'completed', 'aborted', 'failed').
+     */
+    constructor(file, url, options = {}) {
+        this.file = file;
+        this.url = url;
+        this.options = {
+            chunkSize: 5 * 1024 * 1024,
+            parallel: 3,
+            protocol: 'content-range',
+            method: 'PUT',
+            headers: {},
+            metadata: {},
+            retry: { retries: 3, methods: ['PUT', 'POST', 'PATCH'] },
+            persist: true,
+            persistFor: 24 * 60 * 60 * 1000,
+            ...options
+        };
+        this.client = this.options.client || RequestServer.defaultClient;
+        this.protocol = typeof this.options.protocol === 'string'
+            ? ResumableUpload.protocols[this.options.protocol]
+            : this.options.protocol;
+
+        if (!this.protocol) {
+            throw new Error(`Unknown upload protocol: ${this.options.protocol}`);
+        }
+
+        this.storageKey = this.options.storageKey || ResumableUpload.fingerprint(file, url);
+        this.state = 'idle';
+        this.controller = null;
+        this.session = this.loadSession();
+
+        this.createPromise();
+    }
+
+    /**
+     * Starts the upload, or continues it after a pause or a failure.
+     * @returns {Promise<*>} - A promise that resolves with the result of the upload once every chunk is sent.
+     */
+    start() {
+        if (this.state === 'uploading' || this.state === 'completed' || this.state === 'aborted') {
+            return this.promise;
+        }
+
+        if (this.state === 'failed') {
+            this.createPromise();
+        }
+
+        this.controller = new AbortController();
+        this.setState('uploading');
+        this.run(this.controller.signal);
+        return this.promise;
+    }
+
+    /**
+     * Pauses the upload. Chunks in flight are cancelled and sent again when the upload resumes.
+     */
+    pause() {
+        if (this.state !== 'uploading') return;
+        this.setState('paused');
+        this.controller.abort();
+    }
+
+    /**
+     * Resumes a paused upload.
+     * @returns {Promise<*>} - The upload promise.
+     */
+    resume() {
+        return this.start();
+    }
+
+    /**
+     * Aborts the upload, forgets its persisted progress and asks the server to discard it when the protocol supports it.
+     * @returns {Promise<void>} - A promise that resolves once the upload is discarded.
+     */
+    async abort() {
+        if (this.state === 'completed' || this.state === 'aborted') return;
+
+        const wasUploading = this.state === 'uploading';
+        this.setState('aborted');
+        if (wasUploading) this.controller.abort();
+        this.clearSession();
+        this.rejectPromise(new AbortError('Upload was aborted'));
+
+        if (this.protocol.terminate) {
+            try {
+                await this.protocol.terminate(this);
+            } catch (error) {
+                // The server cleans up abandoned uploads on its own eventually
+            }
+        }
+    }
+
+    /**
+     * Sends the remaining chunks until the upload completes, fails or is paused.
+     * @param {AbortSignal} signal - The signal of the current run.
+     */
+    async run(signal) {
+        try {
+            const offset = await this.protocol.init(this, { signal });
+            const chunks = this.getPendingChunks(offset);
+            const inFlight = new Map();
+            const startedAt = Date.now();
+            const initialBytes = this.getUploadedBytes(offset);
+            let uploadedBytes = initialBytes;
+            let lastResponse = this.session.lastResponse || null;
+
+            const reportProgress = () => {
+                if (!this.options.onProgress) return;
+
+                const loaded = uploadedBytes + [...inFlight.values()].reduce((sum, bytes) => sum + bytes, 0);
+                const elapsed = (Date.now() - startedAt) / 1000;
+                const rate = elapsed > 0 ? (loaded - initialBytes) / elapsed : 0;
+                const total = this.file.size;
+
+                this.options.onProgress({
+                    loaded,
+                    total,
+                    percent: total ? Math.min(100, (loaded / total) * 100) : 100,
+                    rate,
+                    eta: rate > 0 ? Math.max(0, (total - loaded) / rate) : null
+                });
+            };
+
+            const worker = async () => {
+                while (chunks.length && !signal.aborted) {
+                    const chunk = chunks.shift();
+                    inFlight.set(chunk.start, 0);
+
+                    const response = await this.protocol.uploadChunk(this, chunk, {
+                        signal,
+                        onUploadProgress: ({ loaded }) => {
+                            inFlight.set(chunk.start, loaded);
+                            reportProgress();
+                        }
+                    });
+
+                    inFlight.delete(chunk.start);
+                    uploadedBytes += chunk.end - chunk.start;
+                    this.markChunkComplete(chunk, response);
+                    lastResponse = this.session.lastResponse;
+                    reportProgress();
+
+                    if (this.options.onChunkComplete) {
+                        this.options.onChunkComplete({ start: chunk.start, end: chunk.end }, response);
+                    }
+                }
+            };
+
+            const workers = this.protocol.parallel ? Math.max(1, this.options.parallel) : 1;
+            await Promise.all(Array.from({ length: Math.min(workers, chunks.length) }, worker));
+
+            if (signal.aborted) return;
+
+            const result = await this.protocol.finish(this, lastResponse);
+            this.clearSession();
+            this.setState('completed');
+            this.resolvePromise(result);
+        } catch (error) {
+            // Pausing and aborting cancel the requests in flight; that is not a failure. The run may also have been
+            // superseded by a resume in the same tick, and only the current run can fail the upload.
+            if (signal.aborted || signal !== this.controller.signal) return;
+
+            this.controller.abort();
+            this.setState('failed');
+            this.rejectPromise(error);
+        }
+    }
+
+    /**
+     * Lists the chunks that still have to be sent.
+     * @param {number} [offset=0] - The number of bytes the server reported as already received.
+     * @returns {Array<{blob: Blob, start: number, end: number}>} - The pending chunks.
+     */
+    getPendingChunks(offset = 0) {
+        const { chunkSize } = this.session;
+        const completed = new Set(this.session.completed);
+
+        return BlobUtility.chunkBlob(this.file.slice(offset), chunkSize)
+            .map((blob, index) => {
+                const start = offset + index * chunkSize;
+                return { blob, start, end: start + blob.size };
+            })
+            .filter(chunk => !completed.has(chunk.start));
+    }
+
+    /**
+     * Counts the bytes already uploaded before the current run.
+     * @param {number} [offset=0] - The number of bytes the server reported as already received.
+     * @returns {number} - The uploaded byte count.
+     */
+    getUploadedBytes(offset = 0) {
+        const { chunkSize, completed } = this.session;
+        return offset + completed
+            .filter(start => start >= offset)
+            .reduce((sum, start) => sum + Math.min(chunkSize, this.file.size - start), 0);
+    }
+
+    /**
+     * Records a finished chunk and persists the progress. Parallel chunks finish in any order, so the kept response
+     * is the one that completed the upload rather than whichever arrived last.
+     * @param {{start: number, end: number}} chunk - The finished chunk.
+     * @param {Object} response - The response of the chunk request.
+     */
+    markChunkComplete(chunk, response) {
+        this.session.completed.push(chunk.start);
+
+        if (response) {
+            const rank = ResumableUpload.completionRank(response, chunk, this.file.size);
+            const previous = this.session.lastResponse;
+            if (!previous || rank >= (previous.rank || 0)) {
+                this.session.lastResponse = { status: response.status, body: response.body, rank };
+            }
+        }
+        this.saveSession();
+    }
+
+    /**
+     * Creates the promise returned by start, settled when the upload completes, fails or is aborted.
+     */
+    createPromise() {
+        this.promise = new Promise((resolve, reject) => {
+            this.resolvePromise = resolve;
+            this.rejectPromise = reject;
+        });
+        // Avoid unhandled rejection warnings when only the callbacks are used
+        this.promise.catch(() => {});
+    }
+
+    /**
+     * Changes the state and notifies the onStateChange callback.
+     * @param {string} state - The new state.
+     */
+    setState(state) {
+        this.state = state;
+        if (this.options.onStateChange) {
+            this.options.onStateChange(state);
+        }
+    }
+
+    /**
+     * Loads the persisted progress of this upload, or starts a new session.
+     * @returns {{chunkSize: number, completed: number[], uploadUrl: (string|null), lastResponse: (Object|null)}} - The session.
+     */
+    loadSession() {
+        const fresh = { chunkSize: this.options.chunkSize, completed: [], uploadUrl: null, lastResponse: null };
+
+        if (!this.options.persist) {
+            return fresh;
+        }
+
+        try {
+            return { ...fresh, ...(BrowserStorage.getLocal(this.storageKey) || {}) };
+        } catch (error) {
+            // Storage can be unavailable (private mode, quota, disabled cookies)
+            return fresh;
+        }
+    }
+
+    /**
+     * Persists the progress of this upload.
+     */
+    saveSession() {
+        if (!this.options.persist) return;
+
+        try {
+            BrowserStorage.setLocal(this.storageKey, this.session, this.options.persistFor);
+        } catch (error) {
+            // Progress is still tracked in memory; only reload-resume is lost
+        }
+    }
+
+    /**
+     * Forgets the persisted progress of this upload.
+     */
+    clearSession() {
+        if (!this.options.persist) return;
+
+        try {
+            BrowserStorage.removeLocal(this.storageKey);
+        } catch (error) {
+            // Nothing to clean up
+        }
+    }
+
+    /**
+     * Rates how surely a chunk response is the one that completed the upload.
+     * @param {Object} response - The response of the chunk request.
+     * @param {{start: number, end: number}} chunk - The chunk.
+     * @param {number} size - The file size.
+     * @returns {number} - 2 for a final 200/201 status, 1 for the response to the last byte range, otherwise 0.
+     */
+    static completionRank(response, chunk, size) {
+        if (response.status === 200 || response.status === 201) return 2;
+        return chunk.end >= size ? 1 : 0;
+    }
+
+    /**
+     * Derives a storage key that identifies the same file sent to the same endpoint across reloads.
+     * @param {File|Blob} file - The file to upload.
+     * @param {string} url - The upload endpoint.
+     * @returns {string} - The storage key.
+     */
+    static fingerprint(file, url) {
+        return ['butility-upload', file.name || '', file.size, file.lastModified || 0, file.type || '', url].join(':');
+    }
+}
+
+/**
+ * Built-in upload protocols.
+ * @type {Object<string, Object>}
+ */
+ResumableUpload.protocols = {
+    /**
+     * Sends every chunk to the same URL with a `Content-Range: bytes start-end/total` header.
+     * Chunks are independent, so they may be sent in parallel.
+     */
+    'content-range': {
+        parallel: true,
+
+        init() {
+            return 0;
+        },
+
+        uploadChunk(upload, chunk, { signal, onUploadProgress }) {
+            return upload.client.request({
+                method: upload.options.method,
+                url: upload.url,
+                data: chunk.blob,
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${chunk.start}-${chunk.end - 1}/${upload.file.size}`,
+                    ...upload.options.headers
+                },
+                retry: upload.options.retry,
+                signal,
+                onUploadProgress
+            });
+        },
+
+        finish(upload, lastResponse) {
+            return lastResponse ? lastResponse.body : null;
+        }
+    },
+
+    /**
+     * Implements the core tus 1.0.0 protocol (https://tus.io/protocols/resumable-upload):
+     * a POST creates the upload, HEAD reads its offset and PATCH requests append chunks in order.
+     */
+    tus: {
+        parallel: false,
+
+        async init(upload, { signal }) {
+            const headers = { 'Tus-Resumable': '1.0.0', ...upload.options.headers };
+
+            if (upload.session.uploadUrl) {
+                try {
+                    const response = await upload.client.request({
+                        method: 'HEAD',
+                        url: upload.session.uploadUrl,
+                        headers,
+                        signal
+                    });
+                    const offset = parseInt(response.headers['upload-offset'], 10);
+                    if (!isNaN(offset)) {
+                        return offset;
+                    }
+                } catch (error) {
+                    if (error instanceof AbortError) throw error;
+                    // The server forgot the upload (expired or removed); start a new one
+                }
+            }
+
+            const metadata = Object.entries({ filename: upload.file.name, filetype: upload.file.type, ...upload.options.metadata })
+                .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(String(value))))}`)
+                .join(',');
+
+            const response = await upload.client.request({
+                method: 'POST',
+                url: upload.url,
+                headers: {
+                    ...headers,
+                    'Upload-Length': String(upload.file.size),
+                    ...(metadata ? { 'Upload-Metadata': metadata } : {})
+                },
+                signal
+            });
+
+            if (!response.headers.location) {
+                throw new Error('tus server did not return an upload Location.');
+            }
+
+            upload.session = {
+                ...upload.session,
+                completed: [],
+                uploadUrl: new URL(response.headers.location, new URL(upload.url, location.href)).href
+            };
+            upload.saveSession();
+            return 0;
+        },
+
+        uploadChunk(upload, chunk, { signal, onUploadProgress }) {
+            return upload.client.request({
+                method: 'PATCH',
+                url: upload.session.uploadUrl,
+                data: chunk.blob,
+                headers: {
+                    ...upload.options.headers,
+                    'Tus-Resumable': '1.0.0',
+                    'Upload-Offset': String(chunk.start),
+                    'Content-Type': 'application/offset+octet-stream'
+                },
+                retry: upload.options.retry,
+                signal,
+                onUploadProgress
+            });
+        },
+
+        finish(upload) {
+            return { url: upload.session.uploadUrl };
+        },
+
+        terminate(upload) {
+            if (!upload.session.uploadUrl) return null;
+
+            return upload.client.request({
+                method: 'DELETE',
+                url: upload.session.uploadUrl,
+                headers: { 'Tus-Resumable': '1.0.0', ...upload.options.headers }
+            });
+        }
+    }
+};
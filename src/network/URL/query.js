@@ -0,0 +1,381 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+/**
+ * Query string codec with support for arrays and nested objects.
+ *
+ * Arrays are written in one of four formats:
+ * - 'brackets' (default): `tags[]=a&tags[]=b`
+ * - 'indices': `tags[0]=a&tags[1]=b`
+ * - 'repeat': `tags=a&tags=b`
+ * - 'comma': `tags=a,b`
+ *
+ * Nested objects use bracket notation (`filter[status]=open`), and arrays of objects always use indices
+ * (`items[0][id]=1`) since no other format can tell where one object ends. A null value is written as a
+ * bare key (`flag`) and undefined values are left out.
+ *
+ * parse understands every format but 'comma' (which needs `arrayFormat: 'comma'`), so parse reverses
+ * stringify when both get the same options. To keep that true for 'repeat' and 'comma', single-element
+ * arrays are written with brackets (`tags[]=a`). Empty arrays and objects have no representation and are left out,
+ * and keys are decoded before their brackets are read, so keys themselves cannot contain brackets.
+ * The parse limits hold for stringify too: it refuses to nest deeper than `depth`, and parse reads consecutive
+ * indices as array items however long the array is, whatever `arrayLimit` says.
+ * @class
+ */
+export class QueryString {
+    /**
+     * Parses a query string into an object.
+     *
+     * @param {string} queryString - The query string, with or without the leading '?'.
+     * @param {object} [options] - Options for parsing.
+     * @param {string} [options.arrayFormat='brackets'] - The array format; only 'comma' changes how values are read.
+     * @param {boolean} [options.decode=true] - Whether to percent-decode keys and values ('+' is read as a space).
+     * @param {number} [options.depth=5] - How many levels of brackets are turned into nested objects.
+     * Deeper brackets stay part of the key.
+     * @param {number} [options.arrayLimit=20] - The highest index read as an array index, unless it appends to the
+     * array (the next index in order); others become object keys, so `a[999999]=x` cannot create a huge sparse array.
+     * @param {*} [options.bareValue=null] - The value of keys written without '=', e.g. `flag` in `?flag&page=2`.
+     * @param {number} [options.parameterLimit=1000] - The maximum number of parameters read.
+     * @param {boolean|function} [options.coerce] - Converts values after decoding: true for the built-in
+     * conversion of numbers and booleans (see QueryString.coerceValue), or a function `(value, key) => any`.
+     * @returns {object} - The parsed parameters.
+     *
+     * @example
+     * QueryString.parse('?filter[status][]=open&filter[status][]=closed&page=2', { coerce: true });
+     * // => { filter: { status: ['open', 'closed'] }, page: 2 }
+     */
+    static parse(queryString, options = {}) {
+        const {
+            arrayFormat = 'brackets',
+            decode = true,
+            depth = 5,
+            arrayLimit = 20,
+            parameterLimit = 1000,
+            coerce = null,
+            bareValue = null
+        } = options;
+        const result = {};
+
+        if (!queryString || typeof queryString !== 'string') {
+            return result;
+        }
+
+        const decodePart = part => (decode ? QueryString.decode(part) : part);
+        const convert = typeof coerce === 'function'
+            ? coerce
+            : (coerce ? QueryString.coerceValue : value => value);
+
+        const pairs = queryString.replace(/^\?/, '').split('&').slice(0, parameterLimit);
+
+        for (const pair of pairs) {
+            if (!pair) continue;
+
+            const index = pair.indexOf('=');
+            const key = decodePart(index < 0 ? pair : pair.slice(0, index));
+            const rawValue = index < 0 ? null : pair.slice(index + 1);
+            let value;
+
+            if (rawValue === null) {
+                value = convert(bareValue, key);
+            } else if (arrayFormat === 'comma' && rawValue.includes(',')) {
+                // Split before decoding, so encoded commas inside values survive
+                value = rawValue.split(',').map(item => convert(decodePart(item), key));
+            } else {
+                value = convert(decodePart(rawValue), key);
+            }
+
+            QueryString.assign(result, QueryString.splitKey(key, depth), value, arrayLimit);
+        }
+
+        return QueryString.compact(result);
+    }
+
+    /**
+     * Serializes an object into a query string.
+     *
+     * @param {object} params - The parameters to serialize.
+     * @param {object} [options] - Options for serializing.
+     * @param {string} [options.arrayFormat='brackets'] - 'brackets', 'indices', 'repeat' or 'comma'.
+     * @param {boolean} [options.encode=true] - Whether to percent-encode keys and values. Brackets are kept readable.
+     * @param {boolean|function} [options.sort=false] - Sorts keys at every level: true for alphabetical order,
+     * or a comparator `(a, b) => number`.
+     * @param {function} [options.serialize] - Converts leaf values to strings, `(value, key) => string`.
+     * Defaults to ISO strings for dates and String() for everything else.
+     * @param {boolean} [options.skipNulls=false] - Whether to leave out null values instead of writing bare keys.
+     * @param {boolean} [options.addQueryPrefix=false] - Whether to prepend '?' to a non-empty result.
+     * @param {number} [options.depth=5] - The deepest bracket nesting written; it must not exceed the `depth` given to parse.
+     * @returns {string} - The query string.
+     * @throws Will throw an error if the object contains a circular reference, or nests deeper than `depth`.
+     *
+     * @example
+     * QueryString.stringify({ filter: { status: ['open', 'closed'] }, page: 2 }, { sort: true });
+     * // => 'filter[status][]=open&filter[status][]=closed&page=2'
+     */
+    static stringify(params, options = {}) {
+        const {
+            arrayFormat = 'brackets',
+            encode = true,
+            sort = false,
+            serialize = QueryString.serializeValue,
+            skipNulls = false,
+            addQueryPrefix = false,
+            depth = 5
+        } = options;
+
+        if (!['brackets', 'indices', 'repeat', 'comma'].includes(arrayFormat)) {
+            throw new Error(`Unknown array format '${arrayFormat}'.`);
+        }
+
+        const encodePart = part => (encode ? QueryString.encode(part) : part);
+        const compare = typeof sort === 'function' ? sort : undefined;
+        const seen = new Set();
+        const pairs = [];
+
+        const formatKey = (path, format = encodePart) => format(path[0]) + path.slice(1).map(segment => `[${format(segment)}]`).join('');
+        const isContainer = value => value !== null && typeof value === 'object' && !(value instanceof Date);
+
+        const write = (value, path) => {
+            if (value === undefined) return;
+
+            if (path.length - 1 > depth) {
+                // parse would keep the deeper brackets as a literal key
+                throw new Error(`Cannot serialize '${formatKey(path, String)}': it nests deeper than ${depth} levels.`);
+            }
+
+            if (value === null) {
+                if (!skipNulls) pairs.push(formatKey(path));
+                return;
+            }
+
+            if (!isContainer(value)) {
+                pairs.push(`${formatKey(path)}=${encodePart(serialize(value, formatKey(path, String)))}`);
+                return;
+            }
+
+            if (seen.has(value)) {
+                throw new Error('Cannot serialize a circular structure to a query string.');
+            }
+            seen.add(value);
+
+            if (Array.isArray(value)) {
+                const items = value.filter(item => item !== undefined);
+                const nested = items.some(isContainer);
+
+                if (nested || arrayFormat === 'indices') {
+                    items.forEach((item, index) => write(item, [...path, String(index)]));
+                } else if (items.length === 1 || arrayFormat === 'brackets') {
+                    items.forEach(item => write(item, [...path, '']));
+                } else if (arrayFormat === 'repeat') {
+                    items.forEach(item => write(item, path));
+                } else if (items.length) {
+                    const key = formatKey(path, String);
+                    const joined = items.map(item => encodePart(item === null ? '' : serialize(item, key))).join(',');
+                    pairs.push(`${formatKey(path)}=${joined}`);
+                }
+            } else {
+                const keys = Object.keys(value);
+                if (sort) keys.sort(compare);
+                keys.forEach(key => write(value[key], [...path, key]));
+            }
+
+            seen.delete(value);
+        };
+
+        if (isContainer(params) && !Array.isArray(params)) {
+            const keys = Object.keys(params);
+            if (sort) keys.sort(compare);
+            keys.forEach(key => write(params[key], [key]));
+        }
+
+        const queryString = pairs.join('&');
+        return addQueryPrefix && queryString ? `?${queryString}` : queryString;
+    }
+
+    /**
+     * Splits a decoded key into its bracket segments, e.g. 'a[b][]' into ['a', 'b', ''].
+     *
+     * @param {string} key - The decoded key.
+     * @param {number} depth - The maximum number of bracket segments; the rest stays in the last segment.
+     * @returns {string[]} - The segments.
+     */
+    static splitKey(key, depth) {
+        const first = key.indexOf('[');
+        // A key that starts with a bracket, or has none, is taken literally
+        if (first <= 0) return [key];
+
+        const segments = [key.slice(0, first)];
+        const pattern = /\[([^[\]]*)\]/y;
+        let position = first;
+
+        while (segments.length <= depth) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(key);
+            if (!match) break;
+
+            segments.push(match[1]);
+            position = pattern.lastIndex;
+        }
+
+        if (position < key.length) {
+            // Unparsed brackets beyond the depth limit (or malformed ones) are kept as a literal key
+            segments.push(key.slice(position));
+        }
+
+        return segments;
+    }
+
+    /**
+     * Stores a value at a path of segments, creating arrays and objects as needed.
+     * Repeated keys collect their values in an array.
+     *
+     * @param {object} target - The object being built.
+     * @param {string[]} path - The key segments.
+     * @param {*} value - The value to store.
+     * @param {number} arrayLimit - The highest index treated as an array index, besides the one appending to an array.
+     */
+    static assign(target, path, value, arrayLimit) {
+        const isIndex = (segment, array = []) => segment === ''
+            || (/^\d+$/.test(segment) && Number(segment) <= Math.max(arrayLimit, array.length));
+        let node = target;
+
+        for (let i = 0; i < path.length; i++) {
+            const segment = path[i];
+
+            if (['__proto__', 'constructor', 'prototype'].includes(segment)) {
+                return;
+            }
+
+            let key = segment;
+            if (Array.isArray(node)) {
+                if (segment === '') {
+                    key = node.length;
+                } else if (!isIndex(segment, node)) {
+                    // A named key under an array turns the array into an object
+                    node = QueryString.replaceWithObject(target, path.slice(0, i), node);
+                }
+            }
+
+            if (i === path.length - 1) {
+                const existing = node[key];
+                if (existing === undefined) {
+                    node[key] = value;
+                } else {
+                    node[key] = [].concat(existing, value);
+                }
+                return;
+            }
+
+            const next = path[i + 1];
+            const existing = node[key];
+
+            if (existing === undefined || existing === null || typeof existing !== 'object') {
+                const container = isIndex(next) ? [] : {};
+                // A plain value followed by a bracketed one with the same key, e.g. 'a=1&a[]=2'
+                if (existing !== undefined && existing !== null && Array.isArray(container)) {
+                    container.push(existing);
+                }
+                node[key] = container;
+            }
+
+            node = node[key];
+        }
+    }
+
+    /**
+     * Replaces an array in the result with an object holding the same items under their indexes.
+     *
+     * @param {object} target - The object being built.
+     * @param {string[]} path - The path of the array.
+     * @param {Array} array - The array to replace.
+     * @returns {object} - The replacement object.
+     */
+    static replaceWithObject(target, path, array) {
+        const replacement = { ...array };
+        let parent = target;
+
+        for (let i = 0; i < path.length - 1; i++) {
+            parent = parent[Array.isArray(parent) && path[i] === '' ? parent.length - 1 : path[i]];
+        }
+
+        const last = path[path.length - 1];
+        parent[Array.isArray(parent) && last === '' ? parent.length - 1 : last] = replacement;
+        return replacement;
+    }
+
+    /**
+     * Removes the holes left in arrays by indices that were missing or out of order.
+     *
+     * @param {*} value - The parsed value.
+     * @returns {*} - The value with dense arrays.
+     */
+    static compact(value) {
+        if (Array.isArray(value)) {
+            return value.filter((item, index) => index in value).map(item => QueryString.compact(item));
+        }
+
+        if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => {
+                value[key] = QueryString.compact(value[key]);
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts numeric and boolean strings to numbers and booleans. Strings whose conversion would not
+     * read back identically, such as '007' or '1e3', are left alone.
+     *
+     * @param {*} value - The decoded value.
+     * @returns {*} - The converted value.
+     */
+    static coerceValue(value) {
+        if (typeof value !== 'string') return value;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+
+        if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) {
+            const number = Number(value);
+            if (String(number) === value) return number;
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts a leaf value to a string.
+     *
+     * @param {*} value - The value.
+     * @returns {string} - ISO strings for dates, String() for everything else.
+     */
+    static serializeValue(value) {
+        return value instanceof Date ? value.toISOString() : String(value);
+    }
+
+    /**
+     * Percent-encodes a key segment or value.
+     *
+     * @param {string} value - The value to encode.
+     * @returns {string} - The encoded value.
+     */
+    static encode(value) {
+        return encodeURIComponent(value);
+    }
+
+    /**
+     * Percent-decodes a key or value, reading '+' as a space. Malformed escapes are kept as they are.
+     *
+     * @param {string} value - The value to decode.
+     * @returns {string} - The decoded value.
+     */
+    static decode(value) {
+        const text = value.replace(/\+/g, ' ');
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+}
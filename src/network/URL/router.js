@@ -0,0 +1,674 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { URLUtility } from './url.js';
+import { QueryString } from './query.js';
+import { Element } from '../../DOM/element/element.js';
+import { Scroll } from '../../DOM/general/scroll.js';
+
+/**
+ * Client-side router on top of the History API, with a hash mode for servers that cannot rewrite URLs.
+ *
+ * Routes are declared with URLUtility path patterns and may be nested: a child path is appended to the
+ * path of its parent, and a match lists every route from the outermost parent down in `matched`.
+ *
+ * Navigation runs these guards in order, each of which may return (or resolve to) false to cancel the
+ * navigation, or a path / location object to redirect it:
+ * `beforeLeave` of the routes being left (innermost first), the global `beforeEach` guards, then
+ * `beforeEnter` of the routes being entered (outermost first). Guards receive `(to, from, router)`.
+ *
+ * Events: 'change' (every completed navigation), 'querychange' and 'hashchange' (when only those parts of the
+ * location differ), 'notfound' (no route matches), 'blocked' (a guard cancelled the navigation) and 'error'.
+ * Handlers receive `(to, from)`, or `(error, to, from)` for 'error'.
+ * @class
+ * @example
+ * const router = new Router({
+ *     routes: [
+ *         { path: '/', name: 'home' },
+ *         { path: '/users', name: 'users', children: [
+ *             { path: ':id(\\d+)', name: 'user', beforeEnter: to => auth.canSee(to.params.id) }
+ *         ] },
+ *         { path: '*', name: 'notFound' }
+ *     ]
+ * });
+ * router.on('change', to => render(to.name, to.params, to.query));
+ * router.start();
+ * router.navigate({ name: 'user', params: { id: 7 }, query: { tab: 'posts' } });
+ */
+export class Router {
+    /**
+     * @constructor
+     * @param {Object} [options] - Options for the router.
+     * @param {Array<Object>} [options.routes=[]] - The routes. Each has a `path` pattern and optionally `name`, `meta`,
+     * `beforeEnter`, `beforeLeave`, `redirect` (a path or location object) and `children`.
+     * @param {string} [options.mode='history'] - 'history' or 'hash'. History mode falls back to hash mode
+     * when the History API is not available.
+     * @param {string} [options.base=''] - The path the application lives under in history mode, e.g. '/app'.
+     * @param {Function} [options.beforeEach] - A global guard run before every navigation.
+     * @param {HTMLElement|Document|false} [options.links=document] - The element whose link clicks are handled by the router,
+     * or false to leave links alone.
+     * @param {string} [options.linkSelector='a[href]'] - The links that are intercepted. Links with a `target`,
+     * a `download` attribute, `rel="external"` or `data-router-ignore` are always left to the browser.
+     * @param {Object|false} [options.scroll] - Scroll behavior, or false to leave scrolling alone.
+     * @param {number} [options.scroll.duration=0] - The duration of scrolling, in milliseconds (0 jumps).
+     * @param {Object} [options.query] - Options for reading and writing query strings (see QueryString).
+     * @param {boolean} [options.sensitive=false] - Whether paths are matched case-sensitively.
+     */
+    constructor(options = {}) {
+        this.options = {
+            routes: [],
+            mode: 'history',
+            base: '',
+            links: typeof document !== 'undefined' ? document : false,
+            linkSelector: 'a[href]',
+            query: {},
+            sensitive: false,
+            ...options,
+            scroll: options.scroll === false ? false : { duration: 0, ...options.scroll }
+        };
+
+        const hasHistory = typeof history !== 'undefined' && typeof history.pushState === 'function';
+        this.mode = this.options.mode === 'hash' || !hasHistory ? 'hash' : 'history';
+        this.useHistoryAPI = hasHistory;
+        this.base = this.options.base.replace(/\/+$/, '');
+        this.records = Router.flattenRoutes(this.options.routes);
+        this.guards = this.options.beforeEach ? [this.options.beforeEach] : [];
+        this.listeners = new Map();
+        this.current = null;
+        this.index = 0;
+        // Positions saved when leaving an entry through back/forward, which can no longer write to that entry
+        this.scrollPositions = new Map();
+        this.navigationId = 0;
+        this.pendingPath = null;
+        this.ignoreNextPop = false;
+        this.started = false;
+        this.cleanups = [];
+    }
+
+    /**
+     * Starts listening to the browser and navigates to the current location.
+     * @returns {Promise<Object|null>} - A promise that resolves with the initial route, or null if it was cancelled.
+     */
+    start() {
+        if (this.started) {
+            return Promise.resolve(this.current);
+        }
+        this.started = true;
+
+        const onPop = event => this.handlePop(event);
+        const popEvent = this.useHistoryAPI ? 'popstate' : 'hashchange';
+        window.addEventListener(popEvent, onPop);
+        this.cleanups.push(() => window.removeEventListener(popEvent, onPop));
+
+        if (this.options.links) {
+            const router = this;
+            this.cleanups.push(Element.delegateEvent(this.options.links, this.options.linkSelector, 'click', function (event) {
+                router.handleLinkClick(this, event);
+            }));
+        }
+
+        if (this.options.scroll && this.useHistoryAPI && 'scrollRestoration' in history) {
+            const previous = history.scrollRestoration;
+            history.scrollRestoration = 'manual';
+            this.cleanups.push(() => {
+                history.scrollRestoration = previous;
+            });
+        }
+
+        const entry = this.useHistoryAPI ? Router.readEntry(history.state) : null;
+        if (entry) {
+            this.index = entry.index;
+        }
+
+        const to = this.resolve(this.getCurrentLocation());
+        to.state = entry ? entry.data : undefined;
+        return this.transition(to, { mode: 'replace', scroll: entry ? entry.scroll : null });
+    }
+
+    /**
+     * Stops listening to the browser and to link clicks.
+     */
+    stop() {
+        this.cleanups.splice(0).forEach(cleanup => cleanup());
+        this.started = false;
+    }
+
+    /**
+     * Navigates to a location, adding a history entry.
+     * @param {string|Object} target - A path (relative to the base, with an optional query string and hash)
+     * or a location object `{ path | name, params, query, hash }`.
+     * @param {Object} [options] - Options for the navigation.
+     * @param {boolean} [options.replace=false] - Whether to replace the current history entry instead.
+     * @param {*} [options.state] - Data stored with the history entry, available as `route.state`.
+     * @param {boolean} [options.force=false] - Whether to navigate even if the location is the current one.
+     * @returns {Promise<Object|null>} - A promise that resolves with the new route, or null if the navigation
+     * was cancelled or superseded by another one.
+     */
+    navigate(target, options = {}) {
+        const to = this.resolve(target);
+        to.state = options.state;
+        return this.transition(to, { mode: options.replace ? 'replace' : 'push', force: options.force });
+    }
+
+    /**
+     * Navigates to a location, replacing the current history entry.
+     * @param {string|Object} target - The location (see navigate).
+     * @param {Object} [options] - Options for the navigation (see navigate).
+     * @returns {Promise<Object|null>} - A promise that resolves with the new route, or null.
+     */
+    replace(target, options = {}) {
+        return this.navigate(target, { ...options, replace: true });
+    }
+
+    /**
+     * Moves through the history by the given number of entries.
+     * @param {number} delta - The number of entries, negative to go back.
+     */
+    go(delta) {
+        history.go(delta);
+    }
+
+    /**
+     * Goes back one history entry.
+     */
+    back() {
+        this.go(-1);
+    }
+
+    /**
+     * Goes forward one history entry.
+     */
+    forward() {
+        this.go(1);
+    }
+
+    /**
+     * Adds a global guard run before every navigation, after the beforeLeave guards.
+     * @param {Function} guard - Called with `(to, from, router)`.
+     * @returns {Function} - A function that removes the guard.
+     */
+    beforeEach(guard) {
+        this.guards.push(guard);
+        return () => {
+            this.guards = this.guards.filter(item => item !== guard);
+        };
+    }
+
+    /**
+     * Subscribes to a router event.
+     * @param {string} type - The event name.
+     * @param {Function} handler - The event handler.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a subscription.
+     * @param {string} type - The event name.
+     * @param {Function} handler - The handler passed to on.
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Calls every handler subscribed to an event.
+     * @param {string} type - The event name.
+     * @param {...*} args - The arguments passed to the handlers.
+     */
+    emit(type, ...args) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`Error in router "${type}" handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Resolves a location to a route without navigating.
+     * @param {string|Object} target - A path or a location object (see navigate).
+     * @returns {Object} - The route: `{ name, path, fullPath, params, query, hash, meta, matched, state }`.
+     * `matched` is empty when no route matches.
+     * @throws Will throw an error if a named route does not exist or its parameters are missing.
+     */
+    resolve(target) {
+        let path;
+        let query;
+        let hash;
+
+        if (typeof target === 'string') {
+            const hashIndex = target.indexOf('#');
+            hash = hashIndex < 0 ? '' : target.slice(hashIndex + 1);
+            const withoutHash = hashIndex < 0 ? target : target.slice(0, hashIndex);
+            const queryIndex = withoutHash.indexOf('?');
+            path = queryIndex < 0 ? withoutHash : withoutHash.slice(0, queryIndex);
+            query = QueryString.parse(queryIndex < 0 ? '' : withoutHash.slice(queryIndex + 1), this.options.query);
+        } else {
+            if (target.name) {
+                const record = this.records.find(item => item.route.name === target.name);
+                if (!record) {
+                    throw new Error(`No route named '${target.name}'.`);
+                }
+                path = URLUtility.generatePath(record.path, target.params);
+            } else {
+                path = target.path || (this.current ? this.current.path : '/');
+            }
+            query = target.query || {};
+            hash = (target.hash || '').replace(/^#/, '');
+        }
+
+        path = `/${path.replace(/^\/+/, '')}`;
+
+        let params = {};
+        const record = this.records.find(item => {
+            const match = URLUtility.matchPath(item.path, path, { sensitive: this.options.sensitive });
+            if (match) params = match;
+            return match !== null;
+        });
+
+        const search = QueryString.stringify(query, this.options.query);
+        const matched = record ? record.matched : [];
+
+        return {
+            name: record ? record.route.name || null : null,
+            path,
+            fullPath: `${path}${search ? `?${search}` : ''}${hash ? `#${hash}` : ''}`,
+            params,
+            query,
+            hash,
+            meta: Object.assign({}, ...matched.map(route => route.meta || {})),
+            matched,
+            state: undefined
+        };
+    }
+
+    /**
+     * Builds the href of a location, including the base or the hash prefix.
+     * @param {string|Object} target - A path or a location object (see navigate).
+     * @returns {string} - The href for a link.
+     */
+    href(target) {
+        const { fullPath } = this.resolve(target);
+        return this.mode === 'hash' ? `#${fullPath}` : `${this.base}${fullPath}`;
+    }
+
+    /**
+     * Runs the guards of a navigation and, unless they cancel it, updates the history and the current route.
+     * @param {Object} to - The target route.
+     * @param {Object} options - How the navigation was started.
+     * @param {string} options.mode - 'push', 'replace' or 'pop' (the browser already moved).
+     * @param {boolean} [options.force] - Whether to navigate even if the location is the current one.
+     * @param {Object} [options.scroll] - The scroll position saved with the history entry.
+     * @param {number} [options.delta] - For 'pop', how many entries the browser moved.
+     * @param {number} [redirects=0] - How many redirects led to this navigation.
+     * @returns {Promise<Object|null>} - A promise that resolves with the new route, or null.
+     */
+    async transition(to, options, redirects = 0) {
+        const from = this.current;
+        const id = ++this.navigationId;
+
+        if (from && to.fullPath === from.fullPath && options.mode !== 'pop' && !options.force) {
+            return from;
+        }
+
+        this.pendingPath = to.fullPath;
+        let result;
+
+        try {
+            const leaf = to.matched[to.matched.length - 1];
+            result = leaf && leaf.redirect !== undefined
+                ? (typeof leaf.redirect === 'function' ? leaf.redirect(to) : leaf.redirect)
+                : await this.runGuards(to, from);
+        } catch (error) {
+            if (id === this.navigationId) {
+                this.pendingPath = null;
+                this.cancelPop(options);
+                this.emit('error', error, to, from);
+            }
+            return null;
+        }
+
+        // A newer navigation started while the guards were running
+        if (id !== this.navigationId) {
+            return null;
+        }
+        this.pendingPath = null;
+
+        if (result === false) {
+            this.cancelPop(options);
+            this.emit('blocked', to, from);
+            return null;
+        }
+
+        if (result !== undefined && result !== true) {
+            if (redirects >= 10) {
+                this.emit('error', new Error(`Too many redirects while navigating to ${to.fullPath}`), to, from);
+                return null;
+            }
+
+            const redirected = this.resolve(result);
+            redirected.state = to.state;
+            return this.transition(redirected, { ...options, mode: options.mode === 'push' ? 'push' : 'replace' }, redirects + 1);
+        }
+
+        this.commit(to, options);
+        this.current = to;
+
+        if (!to.matched.length) {
+            this.emit('notfound', to, from);
+        }
+        this.emit('change', to, from);
+
+        if (from && from.path === to.path) {
+            if (QueryString.stringify(from.query, this.options.query) !== QueryString.stringify(to.query, this.options.query)) {
+                this.emit('querychange', to, from);
+            }
+            if (from.hash !== to.hash) {
+                this.emit('hashchange', to, from);
+            }
+        }
+
+        this.restoreScroll(to, from, options);
+        return to;
+    }
+
+    /**
+     * Runs the beforeLeave, beforeEach and beforeEnter guards of a navigation in order.
+     * @param {Object} to - The target route.
+     * @param {Object|null} from - The current route.
+     * @returns {Promise<*>} - A promise that resolves with the first result that is not undefined or true.
+     */
+    async runGuards(to, from) {
+        const leaving = from ? from.matched.filter(route => !to.matched.includes(route)).reverse() : [];
+        const entering = to.matched.filter(route => !from || !from.matched.includes(route));
+
+        const guards = [
+            ...leaving.map(route => route.beforeLeave),
+            ...this.guards,
+            ...entering.map(route => route.beforeEnter)
+        ].filter(guard => typeof guard === 'function');
+
+        for (const guard of guards) {
+            const result = await guard(to, from, this);
+            if (result !== undefined && result !== true) {
+                return result;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Writes a completed navigation to the history, saving the scroll position of the entry being left.
+     * @param {Object} to - The new route.
+     * @param {Object} options - How the navigation was started.
+     */
+    commit(to, options) {
+        if (options.mode === 'pop') {
+            this.index = options.index !== undefined ? options.index : this.index;
+            return;
+        }
+
+        if (!this.useHistoryAPI) {
+            // Without the History API the hash is the only thing that can change
+            if (options.mode === 'replace') {
+                location.replace(`#${to.fullPath}`);
+            } else {
+                location.hash = to.fullPath;
+            }
+            return;
+        }
+
+        if (options.mode === 'push') {
+            this.saveScroll();
+            this.index++;
+            // Pushing discards the forward entries, and their remembered positions with them
+            [...this.scrollPositions.keys()].filter(index => index >= this.index).forEach(index => this.scrollPositions.delete(index));
+        }
+
+        const state = { butilityRouter: { index: this.index, scroll: null, data: to.state } };
+        const url = this.href(to.fullPath);
+
+        if (options.mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state, '', url);
+        }
+    }
+
+    /**
+     * Stores the current scroll position in the current history entry.
+     */
+    saveScroll() {
+        if (!this.options.scroll || !this.useHistoryAPI) return;
+
+        const entry = Router.readEntry(history.state) || { index: this.index, data: undefined };
+        history.replaceState({
+            ...history.state,
+            butilityRouter: { ...entry, scroll: this.rememberScroll() }
+        }, '');
+    }
+
+    /**
+     * Remembers the current scroll position for the current history index. On popstate the history state
+     * already belongs to the new entry, so this is the only record of where the left entry was scrolled.
+     * @returns {{x: number, y: number}} - The position.
+     */
+    rememberScroll() {
+        const position = { x: window.pageXOffset, y: window.pageYOffset };
+        this.scrollPositions.set(this.index, position);
+        return position;
+    }
+
+    /**
+     * Scrolls after a navigation: back to the saved position for history moves, to the target of the hash
+     * when there is one, and to the top when the path changed.
+     * @param {Object} to - The new route.
+     * @param {Object|null} from - The previous route.
+     * @param {Object} options - How the navigation was started.
+     */
+    restoreScroll(to, from, options) {
+        if (!this.options.scroll || typeof window === 'undefined') return;
+
+        let position = null;
+        let left = 0;
+
+        if (options.scroll) {
+            position = options.scroll.y;
+            left = options.scroll.x || 0;
+        } else if (to.hash) {
+            const target = document.getElementById(to.hash);
+            if (target) {
+                position = target.getBoundingClientRect().top + window.pageYOffset;
+            }
+        } else if (from && from.path !== to.path && options.mode !== 'pop') {
+            position = 0;
+        }
+
+        if (position === null) return;
+
+        // Let 'change' handlers render the new view before measuring and scrolling
+        setTimeout(() => Scroll.smoothScrollToPosition(position, this.options.scroll.duration, left), 0);
+    }
+
+    /**
+     * Handles the back and forward buttons and manual changes of the hash.
+     * @param {PopStateEvent|HashChangeEvent} event - The browser event.
+     */
+    handlePop(event) {
+        if (this.ignoreNextPop) {
+            this.ignoreNextPop = false;
+            return;
+        }
+
+        const location = this.getCurrentLocation();
+        if (location === this.pendingPath || (this.current && location === this.current.fullPath && !this.pendingPath)) {
+            return;
+        }
+
+        const entry = Router.readEntry(event.state);
+        const to = this.resolve(location);
+        to.state = entry ? entry.data : undefined;
+
+        if (this.options.scroll && this.useHistoryAPI) {
+            this.rememberScroll();
+        }
+
+        this.transition(to, {
+            mode: 'pop',
+            index: entry ? entry.index : this.index + 1,
+            delta: entry ? this.index - entry.index : null,
+            scroll: entry ? this.scrollPositions.get(entry.index) || entry.scroll : null
+        });
+    }
+
+    /**
+     * Puts the previous location back in the address bar after a back/forward navigation was cancelled.
+     * @param {Object} options - How the navigation was started.
+     */
+    cancelPop(options) {
+        if (options.mode !== 'pop' || !this.current) return;
+
+        if (options.delta) {
+            this.ignoreNextPop = true;
+            history.go(options.delta);
+        } else if (this.useHistoryAPI) {
+            history.replaceState(history.state, '', this.href(this.current.fullPath));
+        } else {
+            this.ignoreNextPop = true;
+            location.replace(`#${this.current.fullPath}`);
+        }
+    }
+
+    /**
+     * Navigates with the router instead of the browser when an intercepted link is clicked.
+     * @param {HTMLAnchorElement} link - The clicked link.
+     * @param {MouseEvent} event - The click event.
+     */
+    handleLinkClick(link, event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        if ((link.getAttribute('target') && link.getAttribute('target') !== '_self')
+            || link.hasAttribute('download')
+            || link.hasAttribute('data-router-ignore')
+            || /\bexternal\b/.test(link.getAttribute('rel') || '')) {
+            return;
+        }
+
+        const path = this.linkToPath(link);
+        if (path === null) return;
+
+        event.preventDefault();
+        this.navigate(path, { replace: link.hasAttribute('data-router-replace') });
+    }
+
+    /**
+     * Finds the router path a link points to.
+     * @param {HTMLAnchorElement} link - The link.
+     * @returns {string|null} - The path with its query string and hash, or null if the link leaves the application.
+     */
+    linkToPath(link) {
+        const href = link.getAttribute('href');
+        if (!href) return null;
+
+        let url;
+        try {
+            url = new URL(href, location.href);
+        } catch (error) {
+            return null;
+        }
+
+        if (url.origin !== location.origin) {
+            return null;
+        }
+
+        if (this.mode === 'hash') {
+            if (url.pathname !== location.pathname || url.search !== location.search) return null;
+            return url.hash.slice(1) || '/';
+        }
+
+        // A bare fragment stays on the current route
+        if (href.startsWith('#')) {
+            return `${this.current ? this.current.path : '/'}${location.search}${url.hash}`;
+        }
+
+        const path = Router.stripBase(url.pathname, this.base);
+        return path === null ? null : `${path}${url.search}${url.hash}`;
+    }
+
+    /**
+     * Reads the router location from the address bar.
+     * @returns {string} - The path, query string and hash, relative to the base.
+     */
+    getCurrentLocation() {
+        if (this.mode === 'hash') {
+            return location.hash.slice(1) || '/';
+        }
+
+        const path = Router.stripBase(location.pathname, this.base);
+        return `${path === null ? location.pathname : path}${location.search}${location.hash}`;
+    }
+
+    /**
+     * Removes the base from a path.
+     * @param {string} path - The path.
+     * @param {string} base - The base, without a trailing slash.
+     * @returns {string|null} - The path relative to the base, or null if it is outside the base.
+     */
+    static stripBase(path, base) {
+        if (!base) return path || '/';
+
+        if (path.toLowerCase() === base.toLowerCase()) return '/';
+        if (path.toLowerCase().startsWith(`${base.toLowerCase()}/`)) return path.slice(base.length);
+        return null;
+    }
+
+    /**
+     * Reads the router's data from a history state.
+     * @param {*} state - The history state.
+     * @returns {Object|null} - `{ index, scroll, data }`, or null for entries the router did not create.
+     */
+    static readEntry(state) {
+        return state && typeof state === 'object' && state.butilityRouter ? state.butilityRouter : null;
+    }
+
+    /**
+     * Flattens nested routes into records with full paths, children before their parent so that
+     * a child with an empty path wins over the parent it shares its path with.
+     * @param {Array<Object>} routes - The routes.
+     * @param {string} [parentPath=''] - The full path of the parent.
+     * @param {Array<Object>} [ancestors=[]] - The parents, outermost first.
+     * @returns {Array<{path: string, route: Object, matched: Array<Object>}>} - The records, in matching order.
+     */
+    static flattenRoutes(routes, parentPath = '', ancestors = []) {
+        return routes.flatMap(route => {
+            const path = route.path.startsWith('/') || route.path === '*'
+                ? route.path
+                : `${parentPath.replace(/\/+$/, '')}/${route.path}`;
+            const fullPath = path === '*' ? (parentPath ? `${parentPath.replace(/\/+$/, '')}/*` : '*') : (path || '/');
+            const matched = [...ancestors, route];
+
+            return [
+                ...Router.flattenRoutes(route.children || [], fullPath, matched),
+                { path: fullPath, route, matched }
+            ];
+        });
+    }
+}
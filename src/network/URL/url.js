@@ -3,6 +3,8 @@
  * @license MIT
  */
 
+import { QueryString } from './query.js';
+
 /**
  * Utility class for working with URLs.
  * @class
@@ -10,39 +12,16 @@
 export class URLUtility {
     /**
      * Parses a query string and returns an object containing the parameters.
+     * Repeated keys become arrays and bracketed keys become nested objects (see QueryString.parse).
+     * Keys without a value read as an empty string, as they always have here.
      *
      * @param {string} queryString - The query string to parse.
-     * @param {boolean} [decode=true] - Whether to decode the parameters.
+     * @param {boolean|object} [options=true] - Whether to decode the parameters, or the options of QueryString.parse.
      * @returns {object} - An object containing key-value pairs of parameters.
      */
-    static parseQueryStringParameters(queryString, decode = true) {
-        const params = {};
-    
-        if (!queryString || typeof queryString !== 'string') {
-            return params;
-        }
-    
-        queryString = queryString.startsWith('?') ? queryString.slice(1) : queryString;
-    
-        const pairs = queryString.split('&');
-    
-        for (const pair of pairs) {
-            const [key, value] = pair.split('=');
-            const decodedKey = decode ? decodeURIComponent(key) : key;
-            const decodedValue = value ? (decode ? decodeURIComponent(value) : value) : '';
-    
-            if (params.hasOwnProperty(decodedKey)) {
-                if (Array.isArray(params[decodedKey])) {
-                    params[decodedKey].push(decodedValue);
-                } else {
-                    params[decodedKey] = [params[decodedKey], decodedValue];
-                }
-            } else {
-                params[decodedKey] = decodedValue;
-            }
-        }
-    
-        return params;
+    static parseQueryStringParameters(queryString, options = true) {
+        const settings = typeof options === 'boolean' ? { decode: options } : options;
+        return QueryString.parse(queryString, { bareValue: '', ...settings });
     }
 
     /**
@@ -50,38 +29,18 @@ export class URLUtility {
      *
      * @param {string} url - The URL to modify.
      * @param {string} key - The parameter key to replace or add.
-     * @param {string} value - The new value for the parameter.
-     * @param {boolean} [encode=true] - Whether to encode the parameter.
+     * @param {*} value - The new value for the parameter. Arrays and objects are written in the chosen format.
+     * @param {boolean|object} [options=true] - Whether to encode the parameter, or the options of
+     * QueryString.parse and QueryString.stringify.
      * @returns {string} - The modified URL.
      */
-    static replaceQueryStringParameter(url, key, value, encode = true) {
+    static replaceQueryStringParameter(url, key, value, options = true) {
         if (!url || typeof url !== 'string') {
             return url;
         }
-    
-        const [baseUrl, queryString] = url.split('?');
-        const params = {};
-    
-        if (queryString) {
-            const pairs = queryString.split('&');
-            for (const pair of pairs) {
-                const [existingKey, existingValue] = pair.split('=');
-                const decodedKey = decodeURIComponent(existingKey);
-                const decodedValue = existingValue ? decodeURIComponent(existingValue) : '';
-                params[decodedKey] = decodedValue;
-            }
-        }
-    
-        const keyToUse = encode ? encodeURIComponent(key) : key;
-        const valueToUse = encode ? encodeURIComponent(value) : value;
-    
-        params[keyToUse] = valueToUse;
-    
-        const newQueryString = Object.entries(params)
-            .map(([k, v]) => `${k}=${v}`)
-            .join('&');
-    
-        return newQueryString ? `${baseUrl}?${newQueryString}` : baseUrl;
+
+        const settings = typeof options === 'boolean' ? { encode: options } : options;
+        return URLUtility.updateQueryString(url, params => ({ ...params, [key]: value }), settings);
     }
 
     /**
@@ -89,33 +48,40 @@ export class URLUtility {
      *
      * @param {string} url - The URL to modify.
      * @param {string} key - The parameter key to remove.
+     * @param {object} [options] - The options of QueryString.parse and QueryString.stringify.
      * @returns {string} - The modified URL.
      */
-    static removeQueryStringParameter(url, key) {
+    static removeQueryStringParameter(url, key, options = {}) {
         if (!url || typeof url !== 'string') {
             return url;
         }
-    
-        const [baseUrl, queryString] = url.split('?');
-        const params = {};
-    
-        if (queryString) {
-            const pairs = queryString.split('&');
-            for (const pair of pairs) {
-                const [existingKey, existingValue] = pair.split('=');
-                const decodedKey = decodeURIComponent(existingKey);
-                const decodedValue = existingValue ? decodeURIComponent(existingValue) : '';
-                params[decodedKey] = decodedValue;
-            }
-        
-            delete params[key];
-        }
-    
-        const newQueryString = Object.entries(params)
-            .map(([k, v]) => `${k}=${v}`)
-            .join('&');
-    
-        return newQueryString ? `${baseUrl}?${newQueryString}` : baseUrl;
+
+        return URLUtility.updateQueryString(url, params => {
+            const remaining = { ...params };
+            delete remaining[key];
+            return remaining;
+        }, options);
+    }
+
+    /**
+     * Rewrites the query string of a URL, keeping its fragment.
+     *
+     * @param {string} url - The URL to modify.
+     * @param {function} update - Receives the parsed parameters and returns the new ones.
+     * @param {object} [options] - The options of QueryString.parse and QueryString.stringify.
+     * @returns {string} - The modified URL.
+     */
+    static updateQueryString(url, update, options = {}) {
+        const hashIndex = url.indexOf('#');
+        const hash = hashIndex < 0 ? '' : url.slice(hashIndex);
+        const withoutHash = hashIndex < 0 ? url : url.slice(0, hashIndex);
+        const queryIndex = withoutHash.indexOf('?');
+        const baseUrl = queryIndex < 0 ? withoutHash : withoutHash.slice(0, queryIndex);
+        const queryString = queryIndex < 0 ? '' : withoutHash.slice(queryIndex + 1);
+
+        const newQueryString = QueryString.stringify(update(QueryString.parse(queryString, options)), options);
+
+        return `${baseUrl}${newQueryString ? `?${newQueryString}` : ''}${hash}`;
     }
 
     /**
@@ -137,20 +103,374 @@ export class URLUtility {
     /**
      * Normalizes a URL by removing redundant parts and standardizing the format.
      *
+     * Parsing alone lowercases the scheme and host, removes default ports, resolves dot segments and converts
+     * internationalized hosts to punycode. Canonical mode goes further, so that URLs pointing at the same
+     * resource compare equal: it normalizes percent-encoding (unreserved characters decoded, hex digits
+     * uppercased), sorts the query parameters and drops the trailing dot of the host.
+     * The query string is left as parsed unless normalizeEncoding, sortQuery or removeTracking applies.
+     *
      * @param {string} url - The URL to normalize.
+     * @param {object} [options] - Options for the normalization.
+     * @param {boolean} [options.canonical=false] - Whether to enable every step below that is not set explicitly,
+     * except removeTracking, removeHash and unicodeHost.
+     * @param {boolean} [options.normalizeEncoding] - Whether to normalize percent-encoding.
+     * @param {boolean} [options.sortQuery] - Whether to sort the query parameters by key (values of the same key keep their order).
+     * @param {boolean} [options.removeTrailingDot] - Whether to remove the trailing dot of a fully qualified host name.
+     * @param {boolean|Array<string|RegExp>} [options.removeTracking=false] - Whether to remove tracking parameters:
+     * true for URLUtility.trackingParameters (utm_*, fbclid, gclid, ...), or a list of names and patterns.
+     * @param {boolean} [options.removeHash=false] - Whether to remove the fragment.
+     * @param {boolean} [options.unicodeHost=false] - Whether to return the host in Unicode instead of punycode, for display.
      * @returns {string} - The normalized URL.
+     *
+     * @example
+     * URLUtility.normalizeURL('HTTPS://Example.COM:443/a/./b/../%7euser?b=2&utm_source=x&a=1#', { canonical: true, removeTracking: true });
+     * // => 'https://example.com/a/~user?a=1&b=2'
      */
-    static normalizeURL(url) {
+    static normalizeURL(url, options = {}) {
+        const enabled = name => (options[name] !== undefined ? !!options[name] : !!options.canonical);
+
         try {
             const normalized = new URL(url);
             normalized.hash = normalized.hash.replace(/#$/, ''); // Remove trailing hash symbol
-            return normalized.href;
+
+            if (enabled('removeTrailingDot') && normalized.hostname.endsWith('.')) {
+                normalized.hostname = normalized.hostname.replace(/\.+$/, '');
+            }
+
+            if (enabled('normalizeEncoding')) {
+                normalized.pathname = URLUtility.normalizeEncoding(normalized.pathname);
+                normalized.hash = URLUtility.normalizeEncoding(normalized.hash);
+            }
+
+            const patterns = options.removeTracking === true ? URLUtility.trackingParameters : (options.removeTracking || []);
+            // The query is only rewritten when a step asks for it, so the default output keeps it as parsed
+            const rewriteQuery = enabled('normalizeEncoding') || enabled('sortQuery') || patterns.length > 0;
+
+            if (rewriteQuery) {
+                const pairs = normalized.search.slice(1).split('&').filter(Boolean);
+                const keyOf = pair => URLUtility.decodeQueryComponent(pair.split('=')[0]);
+
+                let query = pairs.filter(pair => !patterns.some(pattern => (pattern instanceof RegExp
+                    ? pattern.test(keyOf(pair))
+                    : keyOf(pair) === pattern)));
+
+                if (enabled('normalizeEncoding')) {
+                    query = query.map(pair => URLUtility.normalizeEncoding(pair));
+                }
+                if (enabled('sortQuery')) {
+                    // Array.prototype.sort is stable, so repeated keys keep the order of their values
+                    query.sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : keyOf(a) > keyOf(b) ? 1 : 0));
+                }
+
+                normalized.search = query.join('&');
+            }
+
+            if (options.removeHash) {
+                normalized.hash = '';
+            }
+
+            let href = normalized.href;
+            if (rewriteQuery && href.endsWith('?')) {
+                href = href.slice(0, -1);
+            }
+
+            if (options.unicodeHost && normalized.hostname) {
+                const unicode = URLUtility.domainToUnicode(normalized.hostname);
+                const authority = href.indexOf(normalized.hostname, normalized.protocol.length);
+                href = href.slice(0, authority) + unicode + href.slice(authority + normalized.hostname.length);
+            }
+
+            return href;
         } catch (error) {
             console.error('Invalid URL provided for normalization:', error);
             return url;
         }
     }
 
+    /**
+     * Normalizes the percent-encoding of a URL component: escapes of unreserved characters
+     * (letters, digits, '-', '.', '_', '~') are decoded and the hex digits of other escapes are uppercased.
+     *
+     * @param {string} component - The encoded component.
+     * @returns {string} - The normalized component.
+     */
+    static normalizeEncoding(component) {
+        return component.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+            const char = String.fromCharCode(parseInt(hex, 16));
+            return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+        });
+    }
+
+    /**
+     * Decodes a query string key or value, reading '+' as a space and keeping malformed escapes.
+     *
+     * @param {string} component - The encoded component.
+     * @returns {string} - The decoded component.
+     */
+    static decodeQueryComponent(component) {
+        try {
+            return decodeURIComponent(component.replace(/\+/g, ' '));
+        } catch (error) {
+            return component;
+        }
+    }
+
+    /**
+     * Checks whether a URL is safe to redirect to, to prevent open redirects.
+     *
+     * Relative paths (but not protocol-relative '//host' URLs, or '/\\host' which browsers read the same way)
+     * are safe, as are absolute http(s) URLs on the current origin or on an allowed host. Allowlist entries are
+     * host names ('example.com'), wildcards for subdomains ('*.example.com') or origins ('https://example.com:8443').
+     * Hosts are compared in punycode, so look-alike Unicode hosts do not pass for ASCII ones.
+     * URLs with credentials, and schemes such as javascript: or data:, are never safe.
+     *
+     * @param {string} url - The redirect target, e.g. from a `?next=` parameter.
+     * @param {Array<string>} [allowlist=[]] - The hosts and origins that may be redirected to.
+     * @param {object} [options] - Options for the check.
+     * @param {string} [options.origin] - The origin of the application. Defaults to the current page's origin.
+     * @param {Array<string>} [options.protocols=['https:', 'http:']] - The schemes allowed for absolute URLs.
+     * @returns {boolean} - True if the URL is safe to redirect to.
+     */
+    static isSafeRedirect(url, allowlist = [], options = {}) {
+        if (typeof url !== 'string') {
+            return false;
+        }
+
+        const {
+            origin = typeof location !== 'undefined' ? location.origin : null,
+            protocols = ['https:', 'http:']
+        } = options;
+
+        // Browsers ignore these characters, so they must not hide the real target from the check
+        const cleaned = url.replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+        if (!cleaned || /[\u0000-\u001f\u007f]/.test(cleaned)) {
+            return false;
+        }
+
+        const sentinel = 'https://redirect-check.invalid';
+        let target;
+        try {
+            target = new URL(cleaned, sentinel);
+        } catch (error) {
+            return false;
+        }
+
+        if (target.username || target.password) {
+            return false;
+        }
+
+        if (target.origin === sentinel) {
+            // Stayed on the sentinel origin, so it is relative ('//evil.com' and '/\\evil.com' resolve to another host)
+            return !/^[a-z][a-z\d+\-.]*:/i.test(cleaned);
+        }
+
+        if (!protocols.includes(target.protocol)) {
+            return false;
+        }
+
+        if (origin && target.origin === origin) {
+            return true;
+        }
+
+        const host = target.hostname;
+        return allowlist.some(entry => {
+            const value = String(entry).trim().toLowerCase();
+
+            if (value.includes('://')) {
+                try {
+                    return new URL(value).origin === target.origin;
+                } catch (error) {
+                    return false;
+                }
+            }
+
+            if (value.startsWith('*.')) {
+                const domain = URLUtility.domainToASCII(value.slice(2));
+                return host.endsWith(`.${domain}`);
+            }
+
+            return host === URLUtility.domainToASCII(value);
+        });
+    }
+
+    /**
+     * Converts a domain name to its ASCII (punycode) form, e.g. 'bücher.example' to 'xn--bcher-kva.example'.
+     *
+     * @param {string} domain - The domain name.
+     * @returns {string} - The ASCII domain name, lowercased.
+     */
+    static domainToASCII(domain) {
+        return String(domain).normalize('NFC').toLowerCase().split(/[.\u3002\uFF0E\uFF61]/).map(label => (/[^\x00-\x7F]/.test(label)
+            ? `xn--${URLUtility.punycodeEncode(label)}`
+            : label
+        )).join('.');
+    }
+
+    /**
+     * Converts a domain name from its ASCII (punycode) form to Unicode, e.g. 'xn--bcher-kva.example' to 'bücher.example'.
+     * Labels that are not valid punycode are kept as they are.
+     *
+     * @param {string} domain - The domain name.
+     * @returns {string} - The Unicode domain name.
+     */
+    static domainToUnicode(domain) {
+        return String(domain).split('.').map(label => {
+            if (!/^xn--/i.test(label)) return label;
+            try {
+                return URLUtility.punycodeDecode(label.slice(4).toLowerCase());
+            } catch (error) {
+                return label;
+            }
+        }).join('.');
+    }
+
+    /**
+     * Encodes a string with the Punycode algorithm of RFC 3492 (without the 'xn--' prefix).
+     *
+     * @param {string} input - The Unicode string.
+     * @returns {string} - The punycode string.
+     */
+    static punycodeEncode(input) {
+        const { base, tMin, tMax, initialBias, initialN } = URLUtility.punycode;
+        const codePoints = Array.from(input).map(char => char.codePointAt(0));
+        const basic = codePoints.filter(code => code < 0x80);
+        let output = String.fromCharCode(...basic);
+        let handled = basic.length;
+        let n = initialN;
+        let delta = 0;
+        let bias = initialBias;
+
+        if (handled > 0) {
+            output += '-';
+        }
+
+        while (handled < codePoints.length) {
+            const next = Math.min(...codePoints.filter(code => code >= n));
+            delta += (next - n) * (handled + 1);
+            n = next;
+
+            for (const code of codePoints) {
+                if (code < n) delta++;
+                if (code !== n) continue;
+
+                let q = delta;
+                for (let k = base; ; k += base) {
+                    const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                    if (q < t) break;
+                    output += URLUtility.punycodeDigit(t + (q - t) % (base - t));
+                    q = Math.floor((q - t) / (base - t));
+                }
+
+                output += URLUtility.punycodeDigit(q);
+                bias = URLUtility.punycodeAdapt(delta, handled + 1, handled === basic.length);
+                delta = 0;
+                handled++;
+            }
+
+            delta++;
+            n++;
+        }
+
+        return output;
+    }
+
+    /**
+     * Decodes a Punycode string of RFC 3492 (without the 'xn--' prefix).
+     *
+     * @param {string} input - The punycode string.
+     * @returns {string} - The Unicode string.
+     * @throws Will throw an error if the input is not valid punycode.
+     */
+    static punycodeDecode(input) {
+        const { base, tMin, tMax, initialBias, initialN } = URLUtility.punycode;
+        const separator = input.lastIndexOf('-');
+        const output = separator > 0 ? Array.from(input.slice(0, separator)).map(char => char.codePointAt(0)) : [];
+        let n = initialN;
+        let i = 0;
+        let bias = initialBias;
+
+        if (output.some(code => code >= 0x80)) {
+            throw new RangeError('Invalid punycode input.');
+        }
+
+        for (let position = separator > 0 ? separator + 1 : 0; position < input.length;) {
+            const oldI = i;
+
+            for (let w = 1, k = base; ; k += base) {
+                if (position >= input.length) {
+                    throw new RangeError('Invalid punycode input.');
+                }
+
+                const digit = URLUtility.punycodeValue(input.charCodeAt(position++));
+                if (digit >= base) {
+                    throw new RangeError('Invalid punycode input.');
+                }
+
+                i += digit * w;
+                const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                if (digit < t) break;
+                w *= base - t;
+            }
+
+            bias = URLUtility.punycodeAdapt(i - oldI, output.length + 1, oldI === 0);
+            n += Math.floor(i / (output.length + 1));
+            i %= output.length + 1;
+
+            if (n > 0x10FFFF) {
+                throw new RangeError('Invalid punycode input.');
+            }
+
+            output.splice(i++, 0, n);
+        }
+
+        return String.fromCodePoint(...output);
+    }
+
+    /**
+     * Adapts the Punycode bias after each encoded code point (RFC 3492, section 6.1).
+     *
+     * @param {number} delta - The last delta.
+     * @param {number} numPoints - The number of code points handled so far.
+     * @param {boolean} firstTime - Whether this is the first adaptation.
+     * @returns {number} - The new bias.
+     */
+    static punycodeAdapt(delta, numPoints, firstTime) {
+        const { base, tMin, tMax, skew, damp } = URLUtility.punycode;
+        let k = 0;
+
+        delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+
+        for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+            delta = Math.floor(delta / (base - tMin));
+        }
+
+        return Math.floor(k + (base - tMin + 1) * delta / (delta + skew));
+    }
+
+    /**
+     * Converts a Punycode digit value to its character ('a'-'z' for 0-25, '0'-'9' for 26-35).
+     *
+     * @param {number} value - The digit value.
+     * @returns {string} - The character.
+     */
+    static punycodeDigit(value) {
+        return String.fromCharCode(value < 26 ? value + 97 : value + 22);
+    }
+
+    /**
+     * Converts a Punycode character code to its digit value.
+     *
+     * @param {number} code - The character code.
+     * @returns {number} - The digit value, or the base (36) for characters that are not digits.
+     */
+    static punycodeValue(code) {
+        if (code >= 48 && code <= 57) return code - 22;
+        if (code >= 65 && code <= 90) return code - 65;
+        if (code >= 97 && code <= 122) return code - 97;
+        return URLUtility.punycode.base;
+    }
+
     /**
      * Extracts and decodes the fragment (hash) portion of a URL.
      *
@@ -169,23 +489,337 @@ export class URLUtility {
 
     /**
      * Constructs a URL with the specified base, path, and query parameters.
+     * The parameters are merged into the query string of the base URL.
      *
      * @param {string} base - The base URL.
      * @param {string} path - The path to append to the base URL.
-     * @param {object} [queryParams={}] - An object of query parameters to add.
+     * @param {object} [queryParams={}] - An object of query parameters to add. Arrays and nested objects are supported.
+     * @param {object} [options] - The options of QueryString.parse and QueryString.stringify.
      * @returns {string} - The constructed URL.
      */
-    static constructURL(base, path = '', queryParams = {}) {
+    static constructURL(base, path = '', queryParams = {}, options = {}) {
         try {
             const url = new URL(base);
             if (path) url.pathname = path;
-            Object.entries(queryParams).forEach(([key, value]) => {
-                url.searchParams.set(key, value);
-            });
+            const params = { ...QueryString.parse(url.search, options), ...queryParams };
+            url.search = QueryString.stringify(params, options);
             return url.href;
         } catch (error) {
             console.error('Error constructing URL:', error);
             return '';
         }
     }
+
+    /**
+     * Compiles a path pattern into a regular expression.
+     *
+     * Patterns are made of static text and parameters:
+     * - `:name` matches one segment, `:name?` makes it (and the slash before it) optional
+     * - `:name*` matches zero or more segments and `:name+` one or more, captured as an array
+     * - `:name(\\d+)` constrains the parameter with a regular expression
+     * - `*` matches anything, captured under numeric keys (0, 1, ...)
+     *
+     * @param {string} pattern - The path pattern, e.g. '/users/:id(\\d+)/posts/:postId?'.
+     * @param {object} [options] - Options for the match.
+     * @param {boolean} [options.end=true] - Whether the pattern must match the whole path rather than a prefix of it.
+     * @param {boolean} [options.sensitive=false] - Whether the match is case-sensitive.
+     * @param {boolean} [options.strict=false] - Whether a trailing slash must match exactly.
+     * @returns {{regexp: RegExp, keys: Array<{name: (string|number), modifier: string}>}} - The expression and its parameters, in capture order.
+     * @throws Will throw an error if the pattern is not a string.
+     */
+    static compilePath(pattern, options = {}) {
+        if (typeof pattern !== 'string') {
+            throw new TypeError('Path pattern must be a string.');
+        }
+
+        const { end = true, sensitive = false, strict = false } = options;
+        const escape = text => text.replace(/[.+*?^${}()|[\]\\]/g, '\\$&');
+        const tokenizer = new RegExp(URLUtility.pathParameterPattern.source, 'g');
+        const keys = [];
+        let source = '';
+        let lastIndex = 0;
+        let wildcards = 0;
+        let match;
+
+        while ((match = tokenizer.exec(pattern)) !== null) {
+            let text = escape(pattern.slice(lastIndex, match.index));
+            lastIndex = tokenizer.lastIndex;
+
+            if (match[0] === '*') {
+                keys.push({ name: wildcards++, modifier: '' });
+                source += `${text}(.*)`;
+                continue;
+            }
+
+            const [, name, constraint, modifier = ''] = match;
+            // Groups inside the constraint must not shift the capture indexes
+            const segment = constraint
+                ? constraint.slice(1, -1).replace(/\\.|\((?!\?)/g, token => (token === '(' ? '(?:' : token))
+                : '[^/]+';
+            const repeated = modifier === '*' || modifier === '+';
+            const capture = repeated ? `((?:${segment})(?:/(?:${segment}))*)` : `(${segment})`;
+
+            keys.push({ name, modifier });
+
+            if ((modifier === '?' || modifier === '*') && text.endsWith('/')) {
+                // The slash belongs to the optional part, so '/users/:id?' also matches '/users'
+                text = text.slice(0, -1);
+                source += `${text}(?:/${capture})?`;
+            } else {
+                source += text + (modifier === '?' || modifier === '*' ? `${capture}?` : capture);
+            }
+        }
+
+        source += escape(pattern.slice(lastIndex));
+
+        if (!strict) {
+            source = `${source.replace(/\/$/, '')}/?`;
+        }
+        source = `^${source}${end ? '$' : '(?=/|$)'}`;
+
+        return { regexp: new RegExp(source, sensitive ? '' : 'i'), keys };
+    }
+
+    /**
+     * Matches a URL or path against a path pattern (see compilePath) and extracts its parameters.
+     *
+     * @param {string} pattern - The path pattern, e.g. '/users/:id/posts/:postId?'.
+     * @param {string} url - The URL or path to match. The origin, query string and fragment are ignored.
+     * @param {object} [options] - Options for the match (see compilePath).
+     * @param {boolean} [options.decode=true] - Whether to decode the extracted parameters.
+     * @returns {object|null} - The parameters keyed by name, or null if the URL does not match.
+     * Optional parameters that are absent are undefined; repeated parameters are arrays.
+     *
+     * @example
+     * URLUtility.matchPath('/users/:id(\\d+)/posts/:postId?', 'https://example.com/users/42/posts?page=2');
+     * // => { id: '42', postId: undefined }
+     * URLUtility.matchPath('/files/:path+', '/files/docs/a%20b.txt');
+     * // => { path: ['docs', 'a b.txt'] }
+     */
+    static matchPath(pattern, url, options = {}) {
+        if (typeof url !== 'string') {
+            return null;
+        }
+
+        const { decode = true } = options;
+        const { regexp, keys } = URLUtility.compilePath(pattern, options);
+        const path = url.replace(/^[a-z][a-z\d+\-.]*:\/\/[^/?#]*/i, '').split(/[?#]/)[0] || '/';
+        const match = regexp.exec(path);
+
+        if (!match) {
+            return null;
+        }
+
+        const decodeValue = value => {
+            if (!decode) return value;
+            try {
+                return decodeURIComponent(value);
+            } catch (error) {
+                return value;
+            }
+        };
+
+        const params = {};
+        keys.forEach((key, index) => {
+            const value = match[index + 1];
+
+            if (value === undefined) {
+                params[key.name] = undefined;
+            } else if (key.modifier === '*' || key.modifier === '+') {
+                params[key.name] = value.split('/').map(decodeValue);
+            } else {
+                params[key.name] = decodeValue(value);
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Builds a path from a path pattern (see compilePath) and parameter values; the reverse of matchPath.
+     *
+     * @param {string} pattern - The path pattern, e.g. '/users/:id/posts/:postId?'.
+     * @param {object} [params={}] - The parameter values. Repeated parameters take arrays, wildcards use numeric keys.
+     * @returns {string} - The path, with every value percent-encoded.
+     * @throws Will throw an error if a required parameter is missing or does not satisfy its constraint.
+     *
+     * @example
+     * URLUtility.generatePath('/users/:id/posts/:postId?', { id: 42 }); // => '/users/42/posts'
+     */
+    static generatePath(pattern, params = {}) {
+        const tokenizer = new RegExp(URLUtility.pathParameterPattern.source, 'g');
+        let wildcards = 0;
+
+        const path = pattern.replace(tokenizer, (token, name, constraint, modifier = '') => {
+            if (token === '*') {
+                const value = params[wildcards++];
+                return value === undefined || value === null ? '' : encodeURI(String(value));
+            }
+
+            const value = params[name];
+            const optional = modifier === '?' || modifier === '*';
+
+            if (value === undefined || value === null || (Array.isArray(value) && !value.length)) {
+                if (optional) return '\0';
+                throw new Error(`Missing value for path parameter '${name}' in ${pattern}`);
+            }
+
+            const values = (Array.isArray(value) ? value : [value]).map(String);
+            const check = constraint ? new RegExp(`^(?:${constraint.slice(1, -1)})$`) : null;
+
+            if (check && values.some(item => !check.test(item))) {
+                throw new Error(`Value for path parameter '${name}' does not match ${constraint} in ${pattern}`);
+            }
+
+            return values.map(encodeURIComponent).join('/');
+        });
+
+        // Absent optional parameters take the slash in front of them along
+        return path.replace(/\/?\0/g, '') || '/';
+    }
+
+    /**
+     * Expands an RFC 6570 URI template (levels 1 to 4).
+     *
+     * Supports simple (`{var}`), reserved (`{+var}`), fragment (`{#var}`), label (`{.var}`), path segment (`{/var}`),
+     * path parameter (`{;var}`), query (`{?var}`) and query continuation (`{&var}`) expressions, several
+     * variables per expression, prefix modifiers (`{var:3}`) and explode modifiers (`{var*}`).
+     * Variables that are undefined, null, empty arrays or empty objects are left out.
+     *
+     * @param {string} template - The URI template.
+     * @param {object} [variables={}] - The values of the variables: strings, numbers, booleans, arrays or objects.
+     * @returns {string} - The expanded URI.
+     * @throws Will throw an error if the template contains an invalid expression.
+     *
+     * @example
+     * URLUtility.expandTemplate('/search{?q,tags*}{#section}', { q: 'a b', tags: ['x', 'y'], section: 'top' });
+     * // => '/search?q=a%20b&tags=x&tags=y#top'
+     */
+    static expandTemplate(template, variables = {}) {
+        return String(template).replace(/\{([^{}]*)\}/g, (expression, body) => {
+            const operatorChar = /^[+#./;?&=,!@|]/.test(body) ? body[0] : '';
+            const operator = URLUtility.templateOperators[operatorChar];
+
+            if (!operator) {
+                throw new Error(`Unsupported URI template operator '${operatorChar}' in ${expression}`);
+            }
+
+            const expanded = body.slice(operatorChar.length).split(',').map(varspec => {
+                const parts = /^((?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2})(?:\.?(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2}))*)(?::([1-9]\d{0,3})|(\*))?$/.exec(varspec);
+                if (!parts) {
+                    throw new Error(`Invalid variable '${varspec}' in URI template expression ${expression}`);
+                }
+
+                const [, name, prefix, explode] = parts;
+                return URLUtility.expandVariable(operator, name, variables[name], {
+                    explode: !!explode,
+                    prefix: prefix ? parseInt(prefix, 10) : 0
+                });
+            }).filter(value => value !== null);
+
+            return expanded.length ? operator.first + expanded.join(operator.separator) : '';
+        });
+    }
+
+    /**
+     * Expands a single variable of a URI template expression.
+     *
+     * @param {object} operator - The expression operator (see URLUtility.templateOperators).
+     * @param {string} name - The variable name.
+     * @param {*} value - The variable value.
+     * @param {{explode: boolean, prefix: number}} modifiers - The variable modifiers.
+     * @returns {string|null} - The expansion, or null if the variable is undefined.
+     */
+    static expandVariable(operator, name, value, { explode, prefix }) {
+        const encode = text => URLUtility.encodeTemplateValue(String(text), operator.allowReserved);
+        const named = (key, text) => (text === '' ? key + operator.ifEmpty : `${key}=${text}`);
+
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (typeof value !== 'object') {
+            let text = String(value);
+            if (prefix) {
+                text = Array.from(text).slice(0, prefix).join('');
+            }
+            return operator.named ? named(name, encode(text)) : encode(text);
+        }
+
+        const pairs = Array.isArray(value)
+            ? value.filter(item => item !== undefined && item !== null).map(item => [null, item])
+            : Object.entries(value).filter(([, item]) => item !== undefined && item !== null);
+
+        if (!pairs.length) {
+            return null;
+        }
+
+        if (!explode) {
+            const joined = pairs.flatMap(([key, item]) => (key === null ? [encode(item)] : [encode(key), encode(item)])).join(',');
+            return operator.named ? named(name, joined) : joined;
+        }
+
+        return pairs.map(([key, item]) => {
+            if (key === null) {
+                return operator.named ? named(name, encode(item)) : encode(item);
+            }
+            return operator.named ? named(encode(key), encode(item)) : `${encode(key)}=${encode(item)}`;
+        }).join(operator.separator);
+    }
+
+    /**
+     * Percent-encodes a value for a URI template expansion.
+     *
+     * @param {string} value - The value to encode.
+     * @param {boolean} allowReserved - Whether reserved characters and existing percent-encoded triplets are kept as they are.
+     * @returns {string} - The encoded value.
+     */
+    static encodeTemplateValue(value, allowReserved) {
+        if (!allowReserved) {
+            return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        }
+
+        return value.split(/(%[0-9A-Fa-f]{2})/).map((part, index) => (index % 2
+            ? part
+            : encodeURI(part).replace(/%5B/gi, '[').replace(/%5D/gi, ']')
+        )).join('');
+    }
 }
+
+/**
+ * The URI template operators of RFC 6570, keyed by their character. The operators RFC 6570 reserves
+ * for future use ('=', ',', '!', '@', '|') are absent, so expandTemplate rejects them.
+ * @type {Object<string, {first: string, separator: string, named: boolean, ifEmpty: string, allowReserved: boolean}>}
+ */
+URLUtility.templateOperators = {
+    '': { first: '', separator: ',', named: false, ifEmpty: '', allowReserved: false },
+    '+': { first: '', separator: ',', named: false, ifEmpty: '', allowReserved: true },
+    '#': { first: '#', separator: ',', named: false, ifEmpty: '', allowReserved: true },
+    '.': { first: '.', separator: '.', named: false, ifEmpty: '', allowReserved: false },
+    '/': { first: '/', separator: '/', named: false, ifEmpty: '', allowReserved: false },
+    ';': { first: ';', separator: ';', named: true, ifEmpty: '', allowReserved: false },
+    '?': { first: '?', separator: '&', named: true, ifEmpty: '=', allowReserved: false },
+    '&': { first: '&', separator: '&', named: true, ifEmpty: '=', allowReserved: false }
+};
+
+/**
+ * Matches a single parameter of a path pattern: `:name`, an optional `(constraint)` and an optional
+ * `?`, `*` or `+` modifier, or a bare `*` wildcard.
+ * @type {RegExp}
+ */
+URLUtility.pathParameterPattern = /:([A-Za-z_$][\w$]*)(\((?:\\.|[^\\()]|\((?:\\.|[^\\()])*\))+\))?([?*+])?|\*/;
+
+/**
+ * The query parameters removed by normalizeURL with `removeTracking: true`.
+ * @type {Array<string|RegExp>}
+ */
+URLUtility.trackingParameters = [
+    /^utm_/i, 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+    'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'oly_anon_id', 'oly_enc_id'
+];
+
+/**
+ * The Punycode parameters of RFC 3492, section 5.
+ * @type {{base: number, tMin: number, tMax: number, skew: number, damp: number, initialBias: number, initialN: number}}
+ */
+URLUtility.punycode = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
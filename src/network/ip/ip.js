@@ -4,11 +4,219 @@
  * @license MIT
  */
 
+/**
+ * A geolocation provider that looks addresses up with a JSON HTTP endpoint.
+ *
+ * A provider is any object with a `lookup(ip)` method returning a promise of a location
+ * `{ ip, latitude, longitude, city, region, country, postal, timezone, org }` (unknown fields are null),
+ * or of null when the provider has no location for the address. It rejects when the lookup itself fails.
+ * @class
+ */
+export class EndpointProvider {
+    /**
+     * @param {Object} options - The endpoint options.
+     * @param {string|Function} options.url - The URL, with '{ip}' standing for the address, or a function `ip => url`.
+     * @param {Object} [options.headers={}] - Headers sent with every request.
+     * @param {Function} [options.parse] - Converts the response body to a location, `(data, ip) => location|null`.
+     * Defaults to EndpointProvider.parseLocation.
+     * @param {number} [options.timeout=5000] - Milliseconds before the request is aborted, or 0 for no limit.
+     */
+    constructor({ url, headers = {}, parse = EndpointProvider.parseLocation, timeout = 5000 } = {}) {
+        if (!url) {
+            throw new Error('A geolocation endpoint needs a URL.');
+        }
+
+        this.url = url;
+        this.headers = headers;
+        this.parse = parse;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Looks up the location of an address.
+     * @param {string} ip - The IP address.
+     * @returns {Promise<Object|null>} - A promise that resolves with the location, or null if the endpoint has none.
+     */
+    async lookup(ip) {
+        const url = typeof this.url === 'function' ? this.url(ip) : this.url.replace('{ip}', ip);
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller && this.timeout ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        try {
+            const response = await fetch(url, { headers: this.headers, signal: controller ? controller.signal : undefined });
+            if (!response.ok) {
+                throw new Error(`Geolocation request for ${ip} failed with status ${response.status}.`);
+            }
+            return this.parse(await response.json(), ip);
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                throw new Error(`Geolocation request for ${ip} timed out after ${this.timeout}ms.`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Reads a location from a response that has `latitude`/`longitude`, `lat`/`lon` or a `loc` string ("lat,long").
+     * @param {Object} data - The response body.
+     * @param {string} ip - The IP address that was looked up.
+     * @returns {Object|null} - The location, or null if the response has no coordinates.
+     */
+    static parseLocation(data, ip) {
+        if (!data || typeof data !== 'object') return null;
+
+        const [latitude, longitude] = typeof data.loc === 'string'
+            ? data.loc.split(',')
+            : [data.latitude ?? data.lat, data.longitude ?? data.lon];
+
+        return EndpointProvider.createLocation(ip, { ...data, latitude, longitude });
+    }
+
+    /**
+     * Builds a location object, filling in null for unknown fields.
+     * @param {string} ip - The IP address.
+     * @param {Object} fields - The known fields.
+     * @returns {Object|null} - The location, or null if the coordinates are missing or not numbers.
+     */
+    static createLocation(ip, fields) {
+        const latitude = parseFloat(fields.latitude);
+        const longitude = parseFloat(fields.longitude);
+        if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+
+        return {
+            ip,
+            latitude,
+            longitude,
+            city: fields.city ?? null,
+            region: fields.region ?? null,
+            country: fields.country ?? null,
+            postal: fields.postal ?? null,
+            timezone: fields.timezone ?? null,
+            org: fields.org ?? null
+        };
+    }
+}
+
+/**
+ * Looks addresses up with ipinfo.io. Bogon addresses, which ipinfo returns without a `loc`, resolve with null.
+ * @class
+ */
+export class IpinfoProvider extends EndpointProvider {
+    /**
+     * @param {Object} [options] - The provider options.
+     * @param {string} [options.token] - The ipinfo access token.
+     * @param {number} [options.timeout=5000] - Milliseconds before the request is aborted.
+     */
+    constructor({ token, timeout = 5000 } = {}) {
+        super({
+            url: ip => `https://ipinfo.io/${ip}/json${token ? `?token=${encodeURIComponent(token)}` : ''}`,
+            parse: (data, ip) => (data.bogon ? null : EndpointProvider.parseLocation(data, ip)),
+            timeout
+        });
+    }
+}
+
+/**
+ * Looks addresses up with ip-api.com. The free service is only served over plain HTTP;
+ * passing a key switches to the HTTPS pro endpoint.
+ * @class
+ */
+export class IpApiProvider extends EndpointProvider {
+    /**
+     * @param {Object} [options] - The provider options.
+     * @param {string} [options.key] - The ip-api pro key.
+     * @param {number} [options.timeout=5000] - Milliseconds before the request is aborted.
+     */
+    constructor({ key, timeout = 5000 } = {}) {
+        super({
+            url: ip => (key
+                ? `https://pro.ip-api.com/json/${ip}?key=${encodeURIComponent(key)}`
+                : `http://ip-api.com/json/${ip}`),
+            parse: (data, ip) => (data.status !== 'success' ? null : EndpointProvider.createLocation(ip, {
+                latitude: data.lat,
+                longitude: data.lon,
+                city: data.city,
+                region: data.regionName,
+                country: data.countryCode,
+                postal: data.zip,
+                timezone: data.timezone,
+                org: data.org || data.isp
+            })),
+            timeout
+        });
+    }
+}
+
+/**
+ * Looks addresses up in a local table of networks, for tests and deployments without internet access.
+ * The most specific network containing the address wins.
+ * @class
+ *
+ * @example
+ * const provider = new LocationTableProvider({
+ *     '10.20.0.0/16': { latitude: 52.52, longitude: 13.405, city: 'Berlin', country: 'DE' },
+ *     '2001:db8::/32': { latitude: 48.857, longitude: 2.352, city: 'Paris', country: 'FR' }
+ * });
+ */
+export class LocationTableProvider {
+    /**
+     * @param {Object|Array} table - An object mapping CIDR notation to locations, or an array of locations
+     * that each have a `cidr` property.
+     * @throws Will throw an error if an entry has invalid CIDR notation.
+     */
+    constructor(table) {
+        const entries = Array.isArray(table)
+            ? table.map(({ cidr, ...location }) => [cidr, location])
+            : Object.entries(table || {});
+
+        this.entries = entries.map(([cidr, location]) => {
+            const range = IP.cidrToRange(cidr);
+            if (!range) {
+                throw new Error(`Invalid network in location table: ${cidr}`);
+            }
+            return { range, location };
+        });
+    }
+
+    /**
+     * Looks up the location of an address.
+     * @param {string} ip - The IP address.
+     * @returns {Promise<Object|null>} - A promise that resolves with the location, or null if no network contains the address.
+     */
+    async lookup(ip) {
+        const address = IP.cidrToRange(ip);
+        if (!address) return null;
+
+        let match = null;
+        for (const entry of this.entries) {
+            const { range } = entry;
+            const contains = range.version === address.version && address.start >= range.start && address.start <= range.end;
+            if (contains && (!match || range.prefix > match.range.prefix)) {
+                match = entry;
+            }
+        }
+
+        return match ? EndpointProvider.createLocation(ip, match.location) : null;
+    }
+}
+
 /**
  * Utility class for working with IP addresses in both IPv4 and IPv6 formats.
  * @class
  */
 export class IP {
+    /**
+     * The provider IP.getLocationByIP uses when none is passed (see EndpointProvider).
+     */
+    static geolocationProvider = new IpinfoProvider();
+
+    /**
+     * Locations looked up by IP.getLocationByIP, by provider and then by address.
+     */
+    static geolocationCache = new Map();
+
     /**
      * Validates an IPv4 address.
      * @param {string} ip - The IPv4 address to validate.
@@ -20,93 +228,177 @@ export class IP {
     }
 
     /**
-     * Validates an IPv6 address.
+     * Validates an IPv6 address, including '::' compression, embedded IPv4 (::ffff:1.2.3.4) and zone IDs (fe80::1%eth0).
      * @param {string} ip - The IPv6 address to validate.
      * @returns {boolean} - True if the IPv6 address is valid, false otherwise.
      */
     static validateIPv6Address(ip) {
-        const ipv6Regex = /^(::(?:[fF]{4}:))(\d+\.\d+\.\d+\.\d+)$/;
-        return ipv6Regex.test(ip);
+        return this.parseIPv6(ip) !== null;
+    }
+
+    /**
+     * Parses an IPv6 address into its eight 16-bit groups.
+     * Accepts '::' compression, a trailing embedded IPv4 address, a zone ID after '%' and surrounding brackets.
+     * @param {string} ip - The IPv6 address to parse.
+     * @returns {{ hextets: number[], zone: (string|null) } | null} - The groups and the zone ID, or null if the address is invalid.
+     */
+    static parseIPv6(ip) {
+        if (typeof ip !== 'string') return null;
+
+        let address = ip.trim();
+        let zone = null;
+
+        if (address.startsWith('[') && address.endsWith(']')) {
+            address = address.slice(1, -1);
+        }
+
+        const zoneIndex = address.indexOf('%');
+        if (zoneIndex >= 0) {
+            zone = address.slice(zoneIndex + 1);
+            address = address.slice(0, zoneIndex);
+            if (!/^[^\s%/\]]+$/.test(zone)) return null;
+        }
+
+        // Replace an embedded IPv4 address with the two groups it stands for
+        if (address.includes('.')) {
+            const lastColon = address.lastIndexOf(':');
+            const ipv4 = address.slice(lastColon + 1);
+            if (lastColon < 0 || !this.validateIPv4Address(ipv4)) return null;
+
+            const octets = ipv4.split('.').map(Number);
+            const groups = [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]].map(group => group.toString(16));
+            address = `${address.slice(0, lastColon + 1)}${groups.join(':')}`;
+        }
+
+        const halves = address.toLowerCase().split('::');
+        if (halves.length > 2) return null;
+
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+
+        if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) return null;
+        if (![...head, ...tail].every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+        const hextets = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail].map(group => parseInt(group, 16));
+        return { hextets, zone };
+    }
+
+    /**
+     * Formats the eight groups of an IPv6 address.
+     * @param {number[]} hextets - The eight 16-bit groups.
+     * @param {string} [format='canonical'] - 'canonical' for the RFC 5952 form (lowercase, no leading zeros, the longest
+     * run of two or more zero groups compressed, IPv4-mapped addresses in dotted notation) or 'expanded' for eight
+     * groups of four digits.
+     * @param {string|null} [zone=null] - The zone ID to append.
+     * @returns {string} - The formatted address.
+     */
+    static formatIPv6(hextets, format = 'canonical', zone = null) {
+        const suffix = zone ? `%${zone}` : '';
+
+        if (format === 'expanded') {
+            return hextets.map(group => group.toString(16).padStart(4, '0')).join(':') + suffix;
+        }
+
+        const isMapped = hextets.slice(0, 5).every(group => group === 0) && hextets[5] === 0xffff;
+        if (isMapped) {
+            return `::ffff:${hextets[6] >> 8}.${hextets[6] & 0xff}.${hextets[7] >> 8}.${hextets[7] & 0xff}${suffix}`;
+        }
+
+        const groups = hextets.map(group => group.toString(16));
+
+        // Compress the longest run of at least two zero groups, the first one on ties (RFC 5952, section 4.2)
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && hextets[i + length] === 0) length++;
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+
+        if (bestStart < 0) return groups.join(':') + suffix;
+        return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}${suffix}`;
     }
 
+    /**
+     * Converts an IPv6 address to its RFC 5952 canonical form, e.g. "2001:0DB8:0:0::1" to "2001:db8::1".
+     * @param {string} ip - The IPv6 address.
+     * @returns {string|null} - The canonical address (with its zone ID, if any), or null if invalid.
+     */
+    static canonicalizeIPv6(ip) {
+        const parsed = this.parseIPv6(ip);
+        return parsed ? this.formatIPv6(parsed.hextets, 'canonical', parsed.zone) : null;
+    }
 
     /**
-     * Converts an IPv4 address to IPv6 format.
+     * Converts an IPv4 address to an IPv4-mapped IPv6 address.
      * @param {string} ip - The IPv4 address to convert.
+     * @param {boolean} [dotted=true] - Whether to keep the IPv4 part in dotted notation (::ffff:192.0.2.1)
+     * rather than hexadecimal (::ffff:c000:201).
      * @returns {string | null} - The IPv6 address derived from the given IPv4 address, or null if the IPv4 is invalid.
      */
-    static convertIPv4ToIPv6(ip) {
+    static convertIPv4ToIPv6(ip, dotted = true) {
         if (!this.validateIPv4Address(ip)) {
             console.error("Invalid IPv4 address provided.");
             return null;
         }
-        // Split the IPv4 address into its components
-        const segments = ip.split('.').map(Number);
 
-        // Convert each segment to hexadecimal and pad it to 2 digits
-        const hexSegments = segments.map(segment => segment.toString(16).padStart(2, '0'));
-
-        // Combine the segments into an IPv6-mapped address
-        const ipv6 = `::ffff:${hexSegments.join(':')}`;
-        return ipv6;
+        const { hextets } = this.parseIPv6(`::ffff:${ip}`);
+        return dotted
+            ? this.formatIPv6(hextets)
+            : `::ffff:${hextets[6].toString(16)}:${hextets[7].toString(16)}`;
     }
 
     /**
-     * Converts an IPv6 address to IPv4 format.
-     * @param {string} ip - The IPv6 address to convert.
+     * Converts an IPv4-mapped (::ffff:0:0/96) or IPv4-compatible (::/96) IPv6 address to IPv4 format.
+     * @param {string} ip - The IPv6 address to convert, in any notation.
      * @returns {string | null} - The IPv4 address derived from the given IPv6 address, or null if the input is not valid.
      */
     static convertIPv6ToIPv4(ip) {
-        if (!this.validateIPv6Address(ip)) {
+        const parsed = this.parseIPv6(ip);
+        if (!parsed) {
             console.error("Invalid IPv6 address provided.");
             return null;
         }
 
-        const ipv4Regex = /::ffff:([\da-f]{2}):([\da-f]{2}):([\da-f]{2}):([\da-f]{2})/i;
-        const match = ip.match(ipv4Regex);
+        const { hextets } = parsed;
+        const isMapped = hextets.slice(0, 5).every(group => group === 0) && hextets[5] === 0xffff;
+        // '::' and '::1' share the IPv4-compatible prefix but are not IPv4 addresses
+        const isCompatible = hextets.slice(0, 6).every(group => group === 0) && (hextets[6] !== 0 || hextets[7] > 1);
 
-        if (!match) {
+        if (!isMapped && !isCompatible) {
             console.error("Not a valid IPv6-mapped IPv4 address.");
             return null;
         }
 
-        // Convert the hexadecimal parts back to decimal
-        const ipv4Parts = match.slice(1, 5).map(hex => parseInt(hex, 16));
-
-        // Return the IPv4 address as a dotted decimal string
-        const ipv4 = ipv4Parts.join('.');
-        return ipv4;
+        return [hextets[6] >> 8, hextets[6] & 0xff, hextets[7] >> 8, hextets[7] & 0xff].join('.');
     }
 
     /**
      * Normalizes an IPv6 address to its full form (e.g., expanding "::" to its full representation).
      * @param {string} ip - The IPv6 address to normalize.
-     * @returns {string|null} - The normalized IPv6 address, or null if invalid.
+     * @returns {string|null} - The expanded IPv6 address (eight groups of four lowercase digits, with its zone ID, if any), or null if invalid.
      */
-    static normalizeIPv6(ip) { // I put the node js code in try/catch block until i figure out how to do so in the browser
-        if (!this.validateIPv6Address(ip)) return null;
-    
-        // Expand shorthand IPv6 notations like "::" into full notation
-        try {
-            const segments = ip.split(':');
-            let fullSegments = [];
-
-            segments.forEach(segment => {
-                if (segment === '') {
-                    // Empty segment corresponds to "::" shorthand, fill the gap with zeroes
-                    const fillLength = 8 - segments.filter(s => s !== '').length;
-                    fullSegments.push(...Array(fillLength).fill('0000'));
-                } else {
-                    // Pad each segment with leading zeros to ensure 4 characters
-                    fullSegments.push(segment.padStart(4, '0'));
-                }
-            });
+    static normalizeIPv6(ip) {
+        const parsed = this.parseIPv6(ip);
+        return parsed ? this.formatIPv6(parsed.hextets, 'expanded', parsed.zone) : null;
+    }
 
-            return fullSegments.join(':');
-        } catch (e) {
-            console.error("Error normalizing IPv6:", e);
-            return null;
+    /**
+     * Builds the reverse DNS name of an address, e.g. "1.0.0.127.in-addr.arpa" or "...8.b.d.0.1.0.0.2.ip6.arpa".
+     * @param {string} ip - The IPv4 or IPv6 address.
+     * @returns {string|null} - The PTR record name, or null if the address is invalid.
+     */
+    static toReverseDNS(ip) {
+        if (this.validateIPv4Address(ip)) {
+            return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
         }
+
+        const expanded = this.normalizeIPv6(String(ip).split('%')[0]);
+        return expanded ? `${expanded.replace(/:/g, '').split('').reverse().join('.')}.ip6.arpa` : null;
     }
 
     /**
@@ -135,29 +427,374 @@ export class IP {
         return privateRanges.some(range => range.test(ip));
     }
 
-        /**
-     * Retrieves the user's IP address (server-side, Node.js).
-     * @param {Request} req - The incoming HTTP request object.
-     * @returns {string|null} - The IP address of the user, or null if not found.
+    /**
+     * Classifies an address using the IANA special-purpose address registries for IPv4 and IPv6
+     * (see IP.specialPurposeRegistry). The most specific matching block wins, so 192.0.0.9 is reported
+     * as the PCP anycast address rather than as part of 192.0.0.0/24.
+     *
+     * Types: 'unspecified', 'this-network', 'loopback', 'private', 'cgnat', 'link-local', 'multicast',
+     * 'documentation', 'benchmarking', 'broadcast', 'reserved', 'protocol-assignment', 'anycast', 'as112', 'amt',
+     * 'unique-local', 'site-local', 'teredo', '6to4', 'ipv4-mapped', 'nat64', 'discard', 'orchid',
+     * 'segment-routing' and 'global-unicast'.
+     * @param {string} ip - The IPv4 or IPv6 address.
+     * @returns {{ version: number, type: string, name: string, range: (string|null), rfc: (string|null), global: boolean, ipv4?: object } | null}
+     * - The classification, or null if the address is invalid. `global` tells whether the address is globally reachable.
+     * IPv4-mapped IPv6 addresses also carry the classification of the IPv4 address in `ipv4`.
+     */
+    static classify(ip) {
+        const version = this.getIPVersion(ip);
+        if (!version) return null;
+
+        const value = this.toBigInt(ip);
+        let match = null;
+
+        for (const entry of this.specialPurposeRegistry[version]) {
+            const range = this.cidrToRange(entry.range);
+            if (value >= range.start && value <= range.end && (!match || range.prefix > match.prefix)) {
+                match = { ...entry, prefix: range.prefix };
+            }
+        }
+
+        if (!match) {
+            // Outside the registries, IPv6 is only allocated for global unicast in 2000::/3
+            const isUnicast = version === 4 || this.contains('2000::/3', ip);
+            return isUnicast
+                ? { version, type: 'global-unicast', name: 'Global Unicast', range: null, rfc: null, global: true }
+                : { version, type: 'reserved', name: 'Reserved by IETF', range: null, rfc: 'RFC 4291', global: false };
+        }
+
+        const { prefix, ...classification } = match;
+        const result = { version, ...classification };
+
+        if (result.type === 'ipv4-mapped') {
+            result.ipv4 = this.classify(this.convertIPv6ToIPv4(ip));
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether an address is globally reachable, i.e. not private, reserved or otherwise special-purpose.
+     * @param {string} ip - The IPv4 or IPv6 address.
+     * @returns {boolean} - True if the address is globally reachable, false if it is not or is invalid.
+     */
+    static isGlobalIP(ip) {
+        const classification = this.classify(ip);
+        return Boolean(classification && classification.global);
+    }
+
+    /**
+     * Retrieves the user's public IPv4 address in the browser, from ipify.
+     * Use discoverAddresses for IPv6, other echo endpoints or the local addresses.
+     * @returns {Promise<string|null>} - A promise that resolves with the IPv4 address, or null if it cannot be found.
      */
-    static async getUserIPAddress(req) { // I put the node js code with common js syntax until i figure out how to do so in the browser
+    static async getUserIPAddress() {
+        const ip = await this.fetchPublicIP('https://api.ipify.org?format=json', 10000);
+        return ip && this.validateIPv4Address(ip) ? ip : null;
+    }
+
+    /**
+     * Discovers the user's IP addresses in the browser.
+     *
+     * The public addresses come from echo endpoints that answer with the caller's address, as JSON with an `ip`
+     * field or as plain text. The local addresses come from the host candidates of a WebRTC connection; most
+     * browsers hide them behind mDNS names (e.g. "1f0e....local") unless the page has camera or microphone access,
+     * in which case the lists stay empty. With STUN servers in `iceServers`, the server-reflexive candidates are
+     * used as public addresses when the endpoints give none.
+     * @param {Object} [options] - The discovery options.
+     * @param {Array<string>} [options.endpoints] - The echo endpoints, queried in parallel. Defaults to ipify's
+     * IPv4-only and dual-stack endpoints.
+     * @param {boolean} [options.local=true] - Whether to gather local addresses with WebRTC.
+     * @param {Array<Object>} [options.iceServers=[]] - ICE servers for the WebRTC connection, e.g. `[{ urls: 'stun:stun.l.google.com:19302' }]`.
+     * @param {number} [options.timeout=3000] - Milliseconds to wait for each endpoint and for candidate gathering.
+     * @returns {Promise<{ ipv4: (string|null), ipv6: (string|null), local: { ipv4: string[], ipv6: string[] } }>}
+     * - A promise that resolves with the public address of each version (null if unknown) and the local addresses.
+     *
+     * @example
+     * const { ipv4, ipv6, local } = await IP.discoverAddresses({ endpoints: ['https://example.com/echo-ip'] });
+     */
+    static async discoverAddresses(options = {}) {
+        const {
+            endpoints = ['https://api.ipify.org?format=json', 'https://api64.ipify.org?format=json'],
+            local = true,
+            iceServers = [],
+            timeout = 3000
+        } = options;
+
+        const [publicAddresses, candidates] = await Promise.all([
+            Promise.all(endpoints.map(endpoint => this.fetchPublicIP(endpoint, timeout))),
+            local ? this.gatherICECandidates(iceServers, timeout) : { host: [], reflexive: [] }
+        ]);
+
+        const pick = (addresses, version) => addresses.filter(ip => this.getIPVersion(ip) === version);
+        const publicIPs = [...new Set([...publicAddresses.filter(Boolean), ...candidates.reflexive])];
+
+        return {
+            ipv4: pick(publicIPs, 4)[0] || null,
+            ipv6: pick(publicIPs, 6)[0] || null,
+            local: {
+                ipv4: pick(candidates.host, 4),
+                ipv6: pick(candidates.host, 6)
+            }
+        };
+    }
+
+    /**
+     * Asks an echo endpoint for the caller's public address.
+     * @param {string} endpoint - The endpoint URL. It answers with JSON holding an `ip` field, or with the address as text.
+     * @param {number} timeout - Milliseconds before the request is aborted.
+     * @returns {Promise<string|null>} - A promise that resolves with the address, or null if the request fails.
+     */
+    static async fetchPublicIP(endpoint, timeout) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
         try {
-            // To get the user's IP address in a browser environment, 
-            // it is impossible to directly access low-level network details like in Node.js, 
-            // as browsers don't expose this information for security reasons.
-            // Instead, we need to use an external API (ipify) to get the public IP address. 
-            const response = await fetch('https://api.ipify.org?format=json');
-            const data = await response.json();
-            const ip = data.ip;
-
-            if (ip && this.validateIPv4Address(ip)) {
-                return ip;
+            const response = await fetch(endpoint, { signal: controller ? controller.signal : undefined });
+            if (!response.ok) return null;
+
+            const text = (await response.text()).trim();
+            let ip = text;
+            try {
+                const data = JSON.parse(text);
+                ip = data && typeof data === 'object' ? data.ip : data;
+            } catch (e) {
+                // Plain text answer
             }
-            return null;
+
+            return this.getIPVersion(ip) ? ip : null;
         } catch (e) {
-            console.error("Error fetching IP address:", e);
+            console.error(`Error fetching IP address from ${endpoint}:`, e);
             return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Gathers the ICE candidates of a throwaway WebRTC connection.
+     * @param {Array<Object>} iceServers - The ICE servers to use.
+     * @param {number} timeout - Milliseconds to wait for gathering to complete.
+     * @returns {Promise<{ host: string[], reflexive: string[] }>} - A promise that resolves with the addresses of the host
+     * candidates and of the server-reflexive (STUN) candidates. Both are empty when WebRTC is unavailable.
+     */
+    static gatherICECandidates(iceServers, timeout) {
+        const found = { host: new Set(), reflexive: new Set() };
+        const result = () => ({ host: [...found.host], reflexive: [...found.reflexive] });
+
+        if (typeof RTCPeerConnection === 'undefined') {
+            return Promise.resolve(result());
+        }
+
+        return new Promise(resolve => {
+            let connection;
+            let timer;
+
+            const finish = () => {
+                clearTimeout(timer);
+                if (connection) {
+                    connection.onicecandidate = null;
+                    connection.close();
+                }
+                resolve(result());
+            };
+
+            const read = line => {
+                // candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ...
+                const parts = line.replace(/^a=/, '').split(' ');
+                const address = parts[4];
+                const type = parts[parts.indexOf('typ') + 1];
+                if (!address || !this.getIPVersion(address)) return; // mDNS names and malformed lines
+
+                if (type === 'host') found.host.add(address);
+                if (type === 'srflx') found.reflexive.add(address);
+            };
+
+            try {
+                connection = new RTCPeerConnection({ iceServers });
+                connection.createDataChannel('');
+                connection.onicecandidate = event => {
+                    if (!event.candidate) {
+                        finish();
+                    } else if (event.candidate.candidate) {
+                        read(event.candidate.candidate);
+                    }
+                };
+
+                timer = setTimeout(finish, timeout);
+
+                connection.createOffer()
+                    .then(offer => {
+                        // Some browsers list candidates in the SDP without firing icecandidate for them
+                        (offer.sdp || '').split(/\r?\n/).filter(line => line.startsWith('a=candidate:')).forEach(read);
+                        return connection.setLocalDescription(offer);
+                    })
+                    .catch(finish);
+            } catch (e) {
+                console.error('Error gathering ICE candidates:', e);
+                finish();
+            }
+        });
+    }
+
+    /**
+     * Determines the client address of an HTTP request (server-side), following the Forwarded (RFC 7239) or
+     * X-Forwarded-For header through trusted proxies only.
+     *
+     * The forwarding headers are written by each proxy in turn, so only the part added by trusted proxies can be
+     * believed. Starting from the socket address, hops are walked from right to left while they are trusted
+     * proxies, and the first untrusted one is the client. Without trusted proxies the headers are ignored.
+     * @param {Object} request - A Node.js IncomingMessage (headers object and `socket.remoteAddress`) or a Fetch API
+     * Request (pass the socket address as `options.remoteAddress`).
+     * @param {Object} [options] - The options.
+     * @param {Array<string>|Function} [options.trustedProxies=[]] - The proxies whose headers are trusted: addresses,
+     * CIDR notation or classification types from IP.classify (e.g. 'loopback', 'private', 'unique-local'), or a
+     * function `ip => boolean`.
+     * @param {string} [options.remoteAddress] - The address of the connected peer, overriding the request's socket.
+     * @param {string} [options.header] - 'forwarded' or 'x-forwarded-for'. Defaults to Forwarded when present,
+     * X-Forwarded-For otherwise.
+     * @returns {string|null} - The client address (IPv4-mapped addresses are returned as IPv4), or null if unknown.
+     *
+     * @example
+     * // Behind a load balancer in 10.0.0.0/8
+     * const clientIP = IP.getClientIP(req, { trustedProxies: ['loopback', '10.0.0.0/8'] });
+     */
+    static getClientIP(request, options = {}) {
+        const { trustedProxies = [], header } = options;
+        const socket = request && (request.socket || request.connection);
+        const remoteAddress = this.parseForwardedAddress(options.remoteAddress ?? (socket && socket.remoteAddress));
+
+        if (!remoteAddress || !this.isTrustedProxy(remoteAddress, trustedProxies)) {
+            return remoteAddress;
+        }
+
+        const forwarded = this.readHeader(request, 'forwarded');
+        const useForwarded = header ? header.toLowerCase() === 'forwarded' : Boolean(forwarded);
+        const hops = useForwarded
+            ? this.parseForwardedHeader(forwarded).map(element => element.for)
+            : (this.readHeader(request, 'x-forwarded-for') || '').split(',').filter(hop => hop.trim());
+
+        let client = remoteAddress;
+        for (let i = hops.length - 1; i >= 0; i--) {
+            const hop = this.parseForwardedAddress(hops[i]);
+            // An obfuscated or unknown hop ends the chain we can follow
+            if (!hop) return null;
+
+            client = hop;
+            if (!this.isTrustedProxy(hop, trustedProxies)) break;
+        }
+
+        return client;
+    }
+
+    /**
+     * Parses a Forwarded header (RFC 7239) into its elements.
+     * @param {string} value - The header value, e.g. 'for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8::1]"'.
+     * @returns {Array<Object>} - One object per element, with lowercase parameter names and unquoted values.
+     */
+    static parseForwardedHeader(value) {
+        if (!value) return [];
+
+        // Split on commas and semicolons outside quoted strings
+        const elements = [];
+        let element = {};
+        let pair = '';
+        let quoted = false;
+
+        const addPair = () => {
+            const index = pair.indexOf('=');
+            if (index > 0) {
+                let parameterValue = pair.slice(index + 1).trim();
+                if (parameterValue.startsWith('"') && parameterValue.endsWith('"') && parameterValue.length > 1) {
+                    parameterValue = parameterValue.slice(1, -1).replace(/\\(.)/g, '$1');
+                }
+                element[pair.slice(0, index).trim().toLowerCase()] = parameterValue;
+            }
+            pair = '';
+        };
+
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+
+            if (char === '\\' && quoted) {
+                pair += char + (value[++i] || '');
+            } else if (char === '"') {
+                quoted = !quoted;
+                pair += char;
+            } else if (!quoted && (char === ';' || char === ',')) {
+                addPair();
+                if (char === ',') {
+                    elements.push(element);
+                    element = {};
+                }
+            } else {
+                pair += char;
+            }
+        }
+
+        addPair();
+        elements.push(element);
+        return elements.filter(item => Object.keys(item).length);
+    }
+
+    /**
+     * Extracts the address from a forwarding hop or socket address, dropping brackets, ports and zone IDs.
+     * @param {string} value - The hop, e.g. '192.0.2.43:47011', '[2001:db8::1]:4711' or '::ffff:10.0.0.1'.
+     * @returns {string|null} - The address (IPv4-mapped addresses as IPv4, IPv6 in canonical form), or null for
+     * 'unknown', obfuscated identifiers and invalid values.
+     */
+    static parseForwardedAddress(value) {
+        if (typeof value !== 'string') return null;
+
+        let address = value.trim().replace(/^"|"$/g, '');
+        const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+
+        if (bracketed) {
+            address = bracketed[1];
+        } else if (/^[\d.]+:\d+$/.test(address)) {
+            address = address.slice(0, address.lastIndexOf(':'));
+        }
+
+        const version = this.getIPVersion(address);
+        if (version === 4) return address;
+        if (version !== 6) return null;
+
+        const canonical = this.canonicalizeIPv6(address).split('%')[0];
+        return canonical.startsWith('::ffff:') && canonical.includes('.') ? canonical.slice(7) : canonical;
+    }
+
+    /**
+     * Checks an address against a trusted-proxy list.
+     * @param {string} ip - The address.
+     * @param {Array<string>|Function} trustedProxies - Addresses, CIDR notation or IP.classify types, or a function `ip => boolean`.
+     * @returns {boolean} - True if the address is a trusted proxy.
+     */
+    static isTrustedProxy(ip, trustedProxies) {
+        if (typeof trustedProxies === 'function') {
+            return Boolean(trustedProxies(ip));
         }
+
+        const classification = this.classify(ip);
+        return (trustedProxies || []).some(entry => (
+            /^[a-z][a-z\d-]*$/.test(entry) && !this.getIPVersion(entry)
+                ? Boolean(classification && classification.type === entry)
+                : this.contains(entry, ip)
+        ));
+    }
+
+    /**
+     * Reads a header from a Node.js request (headers object) or a Fetch API Request (Headers).
+     * @param {Object} request - The request.
+     * @param {string} name - The lowercase header name.
+     * @returns {string|null} - The header value, with repeated headers joined by commas, or null if absent.
+     */
+    static readHeader(request, name) {
+        const headers = request && request.headers;
+        if (!headers) return null;
+
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (Array.isArray(value)) return value.join(', ');
+        return value ?? null;
     }
 
     /**
@@ -250,33 +887,389 @@ export class IP {
     }
 
     /**
-     * Get the location information based on IP address asynchronously using ipinfo.io.
-     * @param {string} ip - The IP address.
-     * @param {Function} callback - The callback function to receive the location information.
+     * Converts an IP address to an integer.
+     * @param {string} ip - The IPv4 or IPv6 address.
+     * @returns {bigint|null} - The address as an unsigned integer, or null if it is invalid.
+     */
+    static toBigInt(ip) {
+        if (typeof ip !== 'string') return null;
+
+        if (this.validateIPv4Address(ip)) {
+            return ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+        }
+
+        const parsed = this.parseIPv6(ip);
+        return parsed ? parsed.hextets.reduce((value, group) => (value << 16n) + BigInt(group), 0n) : null;
+    }
+
+    /**
+     * Converts an integer to an IP address.
+     * @param {bigint} value - The address as an unsigned integer.
+     * @param {4 | 6} version - The IP version.
+     * @returns {string} - The address in dotted decimal (IPv4) or RFC 5952 canonical (IPv6) notation.
+     */
+    static fromBigInt(value, version) {
+        if (version === 4) {
+            return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+        }
+
+        const hextets = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            hextets.push(Number((value >> shift) & 0xffffn));
+        }
+        return this.formatIPv6(hextets);
+    }
+
+    /**
+     * Parses CIDR notation and calculates the details of the network.
+     * For IPv4, the prefix may also be given as a subnet mask (e.g. "192.168.0.1/255.255.255.0").
+     * An address without a prefix is treated as a single-address network (/32 or /128).
+     * @param {string} cidr - The CIDR notation, e.g. "192.168.0.1/24" or "2001:db8::/48".
+     * @returns {{
+     *   version: number, ip: string, prefix: number, cidr: string, network: string, broadcast: (string|null),
+     *   netmask: string, wildcard: string, firstHost: string, lastHost: string,
+     *   size: (number|bigint), hostCount: (number|bigint)
+     * } | null} - The network details, or null if the notation is invalid. IPv6 networks have no broadcast
+     * address and report size and hostCount as BigInt; every address of an IPv6 network is usable. IPv4 /31
+     * networks have two usable hosts (RFC 3021) and /32 networks one.
+     */
+    static parseCIDR(cidr) {
+        const range = this.cidrToRange(cidr);
+        if (!range) return null;
+
+        const { version, ip, prefix, start, end } = range;
+        const bits = version === 4 ? 32n : 128n;
+        const all = (1n << bits) - 1n;
+        const hostmask = (1n << (bits - BigInt(prefix))) - 1n;
+        const size = end - start + 1n;
+        const format = value => this.fromBigInt(value, version);
+
+        let firstHost = start;
+        let lastHost = end;
+        let hostCount = size;
+
+        if (version === 4 && prefix < 31) {
+            firstHost = start + 1n;
+            lastHost = end - 1n;
+            hostCount = size - 2n;
+        }
+
+        return {
+            version,
+            ip,
+            prefix,
+            cidr: `${format(start)}/${prefix}`,
+            network: format(start),
+            broadcast: version === 4 ? format(end) : null,
+            netmask: format(all ^ hostmask),
+            wildcard: format(hostmask),
+            firstHost: format(firstHost),
+            lastHost: format(lastHost),
+            size: version === 4 ? Number(size) : size,
+            hostCount: version === 4 ? Number(hostCount) : hostCount
+        };
+    }
+
+    /**
+     * Converts CIDR notation to the range of addresses it covers.
+     * @param {string} cidr - The CIDR notation, or a single address.
+     * @returns {{ version: number, ip: string, prefix: number, start: bigint, end: bigint } | null} - The range, or null if invalid.
+     */
+    static cidrToRange(cidr) {
+        if (typeof cidr !== 'string') return null;
+
+        const [ip, prefixPart, extra] = cidr.trim().split('/');
+        const value = this.toBigInt(ip);
+        if (value === null || extra !== undefined) return null;
+
+        const version = this.getIPVersion(ip);
+        const bits = version === 4 ? 32 : 128;
+        let prefix = bits;
+
+        if (prefixPart !== undefined) {
+            if (/^\d{1,3}$/.test(prefixPart)) {
+                prefix = parseInt(prefixPart, 10);
+            } else if (version === 4 && this.isValidSubnetMask(prefixPart)) {
+                prefix = prefixPart.split('.').reduce((count, octet) => count + Number(octet).toString(2).replace(/0/g, '').length, 0);
+            } else {
+                return null;
+            }
+        }
+
+        if (prefix > bits) return null;
+
+        const hostmask = (1n << BigInt(bits - prefix)) - 1n;
+        const start = value & ~hostmask;
+        return { version, ip, prefix, start, end: start | hostmask };
+    }
+
+    /**
+     * Checks whether a network contains an address or another network.
+     * @param {string} cidr - The network in CIDR notation.
+     * @param {string} ip - The address, or a network in CIDR notation.
+     * @returns {boolean} - True if every address of `ip` is inside `cidr`. Addresses of the other IP version are never contained.
+     */
+    static contains(cidr, ip) {
+        const outer = this.cidrToRange(cidr);
+        const inner = this.cidrToRange(ip);
+        if (!outer || !inner || outer.version !== inner.version) return false;
+
+        return inner.start >= outer.start && inner.end <= outer.end;
+    }
+
+    /**
+     * Splits a network into subnets with a longer prefix.
+     * @param {string} cidr - The network in CIDR notation.
+     * @param {number} newPrefix - The prefix length of the subnets.
+     * @param {number} [limit=65536] - The maximum number of subnets returned, to guard against huge results.
+     * @returns {string[]} - The subnets in CIDR notation, in address order.
+     * @throws Will throw an error if the CIDR is invalid, the prefix does not fit or the result would exceed the limit.
+     */
+    static splitSubnet(cidr, newPrefix, limit = 65536) {
+        const range = this.cidrToRange(cidr);
+        if (!range) throw new Error(`Invalid CIDR: ${cidr}`);
+
+        const bits = range.version === 4 ? 32 : 128;
+        if (!Number.isInteger(newPrefix) || newPrefix < range.prefix || newPrefix > bits) {
+            throw new RangeError(`Prefix /${newPrefix} does not fit inside /${range.prefix}.`);
+        }
+
+        const count = 1n << BigInt(newPrefix - range.prefix);
+        if (count > BigInt(limit)) {
+            throw new RangeError(`Splitting ${cidr} into /${newPrefix} networks would produce ${count} subnets (limit ${limit}).`);
+        }
+
+        const step = 1n << BigInt(bits - newPrefix);
+        const subnets = [];
+        for (let start = range.start; start <= range.end; start += step) {
+            subnets.push(`${this.fromBigInt(start, range.version)}/${newPrefix}`);
+        }
+        return subnets;
+    }
+
+    /**
+     * Aggregates networks into the smallest list of CIDR blocks covering exactly the same addresses,
+     * merging overlapping and adjacent networks into supernets where possible.
+     * @param {string[]} cidrs - The networks (and single addresses), IPv4 and IPv6 may be mixed.
+     * @returns {string[]} - The aggregated networks, IPv4 first, in address order.
+     * @throws Will throw an error if an entry is not a valid CIDR.
      */
-    static getLocationByIP(ip, callback) {
-        const apiUrl = `https://ipinfo.io/${ip}/json`;
+    static aggregate(cidrs) {
+        const ranges = cidrs.map(cidr => {
+            const range = this.cidrToRange(cidr);
+            if (!range) throw new Error(`Invalid CIDR: ${cidr}`);
+            return range;
+        });
+
+        return [4, 6].flatMap(version => {
+            const sorted = ranges
+                .filter(range => range.version === version)
+                .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+            const merged = [];
 
-        // Make an API request to ipinfo.io
-        // And Unless the IP address is bogon, ipinfo returns an object with loc property that can be splited to latt and long
-        fetch(apiUrl)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Failed to fetch geolocation information');
+            sorted.forEach(range => {
+                const last = merged[merged.length - 1];
+                if (last && range.start <= last.end + 1n) {
+                    if (range.end > last.end) last.end = range.end;
+                } else {
+                    merged.push({ start: range.start, end: range.end });
                 }
-                return response.json();
-            })
-            .then(data => {
-                const location = {
-                    latitude: parseFloat(data.loc.split(',')[0]),
-                    longitude: parseFloat(data.loc.split(',')[1])
-                };
+            });
 
-                callback(location);
-            })
+            return merged.flatMap(({ start, end }) => this.rangeToCIDR(this.fromBigInt(start, version), this.fromBigInt(end, version)));
+        });
+    }
+
+    /**
+     * Converts an inclusive range of addresses into the smallest list of CIDR blocks covering it.
+     * @param {string} startIP - The first address of the range.
+     * @param {string} endIP - The last address of the range (same IP version).
+     * @returns {string[]} - The CIDR blocks, in address order.
+     * @throws Will throw an error if the addresses are invalid, of different versions, or in the wrong order.
+     */
+    static rangeToCIDR(startIP, endIP) {
+        let start = this.toBigInt(startIP);
+        const end = this.toBigInt(endIP);
+        const version = this.getIPVersion(startIP);
+
+        if (start === null || end === null || version !== this.getIPVersion(endIP)) {
+            throw new Error(`Invalid address range: ${startIP} - ${endIP}`);
+        }
+        if (start > end) {
+            throw new RangeError(`Range start ${startIP} is after its end ${endIP}.`);
+        }
+
+        const bits = version === 4 ? 32 : 128;
+        const blocks = [];
+
+        while (start <= end) {
+            // The largest block that starts at `start` is limited by its alignment and by what is left of the range
+            let hostBits = 0;
+            while (hostBits < bits
+                && (start & ((1n << BigInt(hostBits + 1)) - 1n)) === 0n
+                && start + (1n << BigInt(hostBits + 1)) - 1n <= end) {
+                hostBits++;
+            }
+
+            blocks.push(`${this.fromBigInt(start, version)}/${bits - hostBits}`);
+            start += 1n << BigInt(hostBits);
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Get the location information based on IP address asynchronously.
+     *
+     * Addresses that are not globally reachable (private, loopback, documentation and other special-purpose
+     * addresses, see IP.classify) resolve with null without asking the provider, unless `includePrivate` is set,
+     * e.g. for a LocationTableProvider that maps internal networks. Results, including null, are cached per provider,
+     * and concurrent lookups of the same address share one request.
+     * @param {string} ip - The IP address.
+     * @param {Object|Function} [options] - The lookup options, or a callback (see below).
+     * @param {Object} [options.provider] - The provider to ask. Defaults to IP.geolocationProvider.
+     * @param {boolean} [options.cache=true] - Whether to use the cache.
+     * @param {number} [options.ttl=3600000] - Milliseconds a cached result stays valid.
+     * @param {boolean} [options.includePrivate=false] - Whether to look up addresses that are not globally reachable.
+     * @param {Function} [callback] - Called with the location, or with null if the lookup fails.
+     * @returns {Promise<Object|null>} - A promise that resolves with the location
+     * `{ ip, latitude, longitude, city, region, country, postal, timezone, org }`, or null if it is unknown.
+     * When a callback is given, the promise resolves with the same value instead of rejecting.
+     * @throws Will reject if the address is invalid or the provider fails, when no callback is given.
+     *
+     * @example
+     * const location = await IP.getLocationByIP('8.8.8.8', { provider: new IpApiProvider() });
+     */
+    static getLocationByIP(ip, options = {}, callback) {
+        if (typeof options === 'function') {
+            return this.getLocationByIP(ip, {}, options);
+        }
+
+        const lookup = this.lookupLocation(ip, options || {});
+        if (!callback) return lookup;
+
+        return lookup
             .catch(error => {
                 console.error('Error fetching geolocation information:', error);
-                callback(null);
+                return null;
+            })
+            .then(location => {
+                callback(location);
+                return location;
             });
     }
+
+    /**
+     * Looks up a location for IP.getLocationByIP, going through the cache.
+     * @param {string} ip - The IP address.
+     * @param {Object} options - The lookup options of IP.getLocationByIP.
+     * @returns {Promise<Object|null>} - A promise that resolves with the location, or null if it is unknown.
+     */
+    static async lookupLocation(ip, { provider = this.geolocationProvider, cache = true, ttl = 3600000, includePrivate = false }) {
+        const classification = this.classify(typeof ip === 'string' ? ip.trim() : ip);
+        if (!classification) {
+            throw new Error(`Invalid IP address: ${ip}`);
+        }
+
+        if (!classification.global && !includePrivate) return null;
+
+        const address = classification.version === 6 ? this.canonicalizeIPv6(ip).split('%')[0] : ip.trim();
+        if (!cache) return provider.lookup(address);
+
+        if (!this.geolocationCache.has(provider)) {
+            this.geolocationCache.set(provider, new Map());
+        }
+        const entries = this.geolocationCache.get(provider);
+        const cached = entries.get(address);
+
+        if (cached && cached.expires > Date.now()) {
+            return cached.promise;
+        }
+
+        const promise = Promise.resolve(provider.lookup(address));
+        entries.set(address, { promise, expires: Date.now() + ttl });
+
+        // Failed lookups are not cached, so the next call tries again
+        promise.catch(() => {
+            if (entries.get(address)?.promise === promise) entries.delete(address);
+        });
+
+        return promise;
+    }
+
+    /**
+     * Clears cached geolocation results.
+     * @param {Object} [provider] - Only clear the results of this provider.
+     */
+    static clearLocationCache(provider) {
+        if (provider) {
+            this.geolocationCache.delete(provider);
+        } else {
+            this.geolocationCache.clear();
+        }
+    }
 }
+
+/**
+ * The IANA IPv4 and IPv6 special-purpose address registries, plus the multicast and reserved blocks of the
+ * address space registries. `global` is the registry's "Globally Reachable" column ("N/A" is read as false).
+ * @see https://www.iana.org/assignments/iana-ipv4-special-registry
+ * @see https://www.iana.org/assignments/iana-ipv6-special-registry
+ */
+IP.specialPurposeRegistry = {
+    4: [
+        { range: '0.0.0.0/8', type: 'this-network', name: 'This network', rfc: 'RFC 791', global: false },
+        { range: '0.0.0.0/32', type: 'unspecified', name: 'This host on this network', rfc: 'RFC 1122', global: false },
+        { range: '10.0.0.0/8', type: 'private', name: 'Private-Use', rfc: 'RFC 1918', global: false },
+        { range: '100.64.0.0/10', type: 'cgnat', name: 'Shared Address Space', rfc: 'RFC 6598', global: false },
+        { range: '127.0.0.0/8', type: 'loopback', name: 'Loopback', rfc: 'RFC 1122', global: false },
+        { range: '169.254.0.0/16', type: 'link-local', name: 'Link Local', rfc: 'RFC 3927', global: false },
+        { range: '172.16.0.0/12', type: 'private', name: 'Private-Use', rfc: 'RFC 1918', global: false },
+        { range: '192.0.0.0/24', type: 'protocol-assignment', name: 'IETF Protocol Assignments', rfc: 'RFC 6890', global: false },
+        { range: '192.0.0.0/29', type: 'protocol-assignment', name: 'IPv4 Service Continuity Prefix', rfc: 'RFC 7335', global: false },
+        { range: '192.0.0.8/32', type: 'protocol-assignment', name: 'IPv4 dummy address', rfc: 'RFC 7600', global: false },
+        { range: '192.0.0.9/32', type: 'anycast', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', global: true },
+        { range: '192.0.0.10/32', type: 'anycast', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', global: true },
+        { range: '192.0.0.170/31', type: 'nat64', name: 'NAT64/DNS64 Discovery', rfc: 'RFC 7050', global: false },
+        { range: '192.0.2.0/24', type: 'documentation', name: 'Documentation (TEST-NET-1)', rfc: 'RFC 5737', global: false },
+        { range: '192.31.196.0/24', type: 'as112', name: 'AS112-v4', rfc: 'RFC 7535', global: true },
+        { range: '192.52.193.0/24', type: 'amt', name: 'AMT', rfc: 'RFC 7450', global: true },
+        { range: '192.88.99.0/24', type: '6to4', name: 'Deprecated (6to4 Relay Anycast)', rfc: 'RFC 7526', global: false },
+        { range: '192.168.0.0/16', type: 'private', name: 'Private-Use', rfc: 'RFC 1918', global: false },
+        { range: '192.175.48.0/24', type: 'as112', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', global: true },
+        { range: '198.18.0.0/15', type: 'benchmarking', name: 'Benchmarking', rfc: 'RFC 2544', global: false },
+        { range: '198.51.100.0/24', type: 'documentation', name: 'Documentation (TEST-NET-2)', rfc: 'RFC 5737', global: false },
+        { range: '203.0.113.0/24', type: 'documentation', name: 'Documentation (TEST-NET-3)', rfc: 'RFC 5737', global: false },
+        { range: '224.0.0.0/4', type: 'multicast', name: 'Multicast', rfc: 'RFC 5771', global: false },
+        { range: '240.0.0.0/4', type: 'reserved', name: 'Reserved', rfc: 'RFC 1112', global: false },
+        { range: '255.255.255.255/32', type: 'broadcast', name: 'Limited Broadcast', rfc: 'RFC 919', global: false }
+    ],
+    6: [
+        { range: '::/128', type: 'unspecified', name: 'Unspecified Address', rfc: 'RFC 4291', global: false },
+        { range: '::1/128', type: 'loopback', name: 'Loopback Address', rfc: 'RFC 4291', global: false },
+        { range: '::ffff:0:0/96', type: 'ipv4-mapped', name: 'IPv4-mapped Address', rfc: 'RFC 4291', global: false },
+        { range: '64:ff9b::/96', type: 'nat64', name: 'IPv4-IPv6 Translation', rfc: 'RFC 6052', global: true },
+        { range: '64:ff9b:1::/48', type: 'nat64', name: 'IPv4-IPv6 Translation (local use)', rfc: 'RFC 8215', global: false },
+        { range: '100::/64', type: 'discard', name: 'Discard-Only Address Block', rfc: 'RFC 6666', global: false },
+        { range: '2001::/23', type: 'protocol-assignment', name: 'IETF Protocol Assignments', rfc: 'RFC 2928', global: false },
+        { range: '2001::/32', type: 'teredo', name: 'TEREDO', rfc: 'RFC 4380', global: false },
+        { range: '2001:1::1/128', type: 'anycast', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', global: true },
+        { range: '2001:1::2/128', type: 'anycast', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', global: true },
+        { range: '2001:1::3/128', type: 'anycast', name: 'DNS-SD Service Registration Protocol Anycast', rfc: 'RFC 9665', global: true },
+        { range: '2001:2::/48', type: 'benchmarking', name: 'Benchmarking', rfc: 'RFC 5180', global: false },
+        { range: '2001:3::/32', type: 'amt', name: 'AMT', rfc: 'RFC 7450', global: true },
+        { range: '2001:4:112::/48', type: 'as112', name: 'AS112-v6', rfc: 'RFC 7535', global: true },
+        { range: '2001:10::/28', type: 'orchid', name: 'Deprecated (previously ORCHID)', rfc: 'RFC 4843', global: false },
+        { range: '2001:20::/28', type: 'orchid', name: 'ORCHIDv2', rfc: 'RFC 7343', global: true },
+        { range: '2001:30::/28', type: 'protocol-assignment', name: 'Drone Remote ID Protocol Entity Tags (DETs) Prefix', rfc: 'RFC 9374', global: true },
+        { range: '2001:db8::/32', type: 'documentation', name: 'Documentation', rfc: 'RFC 3849', global: false },
+        { range: '2002::/16', type: '6to4', name: '6to4', rfc: 'RFC 3056', global: false },
+        { range: '2620:4f:8000::/48', type: 'as112', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', global: true },
+        { range: '3fff::/20', type: 'documentation', name: 'Documentation', rfc: 'RFC 9637', global: false },
+        { range: '5f00::/16', type: 'segment-routing', name: 'Segment Routing (SRv6) SIDs', rfc: 'RFC 9602', global: false },
+        { range: 'fc00::/7', type: 'unique-local', name: 'Unique-Local', rfc: 'RFC 4193', global: false },
+        { range: 'fe80::/10', type: 'link-local', name: 'Link-Local Unicast', rfc: 'RFC 4291', global: false },
+        { range: 'fec0::/10', type: 'site-local', name: 'Deprecated (Site-Local)', rfc: 'RFC 3879', global: false },
+        { range: 'ff00::/8', type: 'multicast', name: 'Multicast', rfc: 'RFC 4291', global: false }
+    ]
+};
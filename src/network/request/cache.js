@@ -0,0 +1,332 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { HttpClient } from './client.js';
+import { HttpError, AbortError } from './errors.js';
+import { BrowserStorage } from '../../device/storage/browser-storage.js';
+
+/**
+ * Caches GET responses for an HttpClient: deduplicates identical requests in flight, keeps an in-memory
+ * LRU with a time-to-live, serves stale entries while revalidating, and revalidates with ETag / Last-Modified.
+ *
+ * An optional persistent store lets entries survive reloads. A store is any object with `get(key)`,
+ * `set(key, value)`, `delete(key)` and `keys()` methods, synchronous or promise-returning, such as an
+ * IndexedDBStorage instance or ResponseCache.browserStorage().
+ * @class
+ */
+export class ResponseCache {
+    /**
+     * The request headers (lowercase) that the default cache key includes.
+     * @type {Array<string>}
+     */
+    static varyHeaders = ['accept', 'accept-language', 'authorization'];
+
+    /**
+     * @constructor
+     * @param {Object} [options] - Options for the cache.
+     * @param {number} [options.ttl=60000] - How long an entry is fresh, in milliseconds.
+     * @param {number} [options.staleWhileRevalidate=0] - How long after expiring an entry may still be served
+     * while it is refreshed in the background, in milliseconds.
+     * @param {number} [options.maxEntries=100] - The maximum number of entries kept in memory.
+     * @param {Object} [options.store] - A persistent store used behind the in-memory LRU.
+     * @param {Function} [options.key] - Builds the cache key from a request config. Defaults to ResponseCache.defaultKey,
+     * which keeps responses for different Accept, Accept-Language or Authorization headers apart.
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl !== undefined ? options.ttl : 60000;
+        this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+        this.maxEntries = options.maxEntries || 100;
+        this.store = options.store || null;
+        this.keyFor = options.key || (config => ResponseCache.defaultKey(config));
+        this.entries = new Map();
+        this.inflight = new Map();
+    }
+
+    /**
+     * Answers a request from the cache when possible, otherwise sends it and stores the response.
+     * Called by HttpClient for GET requests whose config has a `cache`.
+     * @param {Object} config - The request config.
+     * @param {Function} send - Sends a config over the network and returns a promise of the response.
+     * @returns {Promise<Object>} - A promise that resolves with the response. Its `cache` property is
+     * 'hit', 'stale', 'revalidated' or 'miss'.
+     */
+    async handle(config, send) {
+        const key = this.keyFor(config);
+        const entry = await this.get(key);
+
+        if (entry) {
+            const age = Date.now() - entry.storedAt;
+
+            if (age < this.ttl) {
+                return this.toResponse(entry, config, 'hit');
+            }
+
+            if (age < this.ttl + this.staleWhileRevalidate) {
+                this.revalidate(key, config, entry, send).catch(() => {});
+                return this.toResponse(entry, config, 'stale');
+            }
+        }
+
+        return this.revalidate(key, config, entry, send);
+    }
+
+    /**
+     * Sends a request for a key, sharing the promise with identical requests already in flight.
+     * When an entry exists, the request is made conditional on its ETag / Last-Modified.
+     * @param {string} key - The cache key.
+     * @param {Object} config - The request config.
+     * @param {Object|null} entry - The existing entry, if any.
+     * @param {Function} send - Sends a config over the network.
+     * @returns {Promise<Object>} - A promise that resolves with the fresh response.
+     */
+    revalidate(key, config, entry, send) {
+        if (this.inflight.has(key)) {
+            return this.withSignal(this.inflight.get(key), config);
+        }
+
+        // The request is shared, so no single caller's signal may cancel it; each caller races its own instead
+        const { signal, ...shared } = config;
+        const headers = { ...shared.headers };
+        if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+        const promise = send({ ...shared, headers })
+            .then(async response => {
+                const vary = response.headers.vary || '';
+                if (!/no-store/i.test(response.headers['cache-control'] || '') && vary.trim() !== '*') {
+                    await this.set(key, response);
+                }
+                return { ...response, cache: 'miss' };
+            }, async error => {
+                if (entry && error instanceof HttpError && error.status === 304) {
+                    const refreshed = { ...entry, storedAt: Date.now() };
+                    await this.setEntry(key, refreshed);
+                    return this.toResponse(refreshed, config, 'revalidated');
+                }
+                throw error;
+            })
+            .finally(() => this.inflight.delete(key));
+
+        this.inflight.set(key, promise);
+        return this.withSignal(promise, config);
+    }
+
+    /**
+     * Lets a caller stop waiting for a shared request with its own signal, without cancelling it for the others.
+     * @param {Promise<Object>} promise - The shared request promise.
+     * @param {Object} config - The caller's request config.
+     * @returns {Promise<Object>} - A promise that settles like the shared one, or rejects with an AbortError
+     * when the caller's signal aborts first.
+     */
+    withSignal(promise, config) {
+        const { signal } = config;
+        if (!signal) return promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new AbortError('Request was aborted', { request: config, reason: signal.reason }));
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Reads an entry, falling back to the persistent store on a memory miss.
+     * @param {string} key - The cache key.
+     * @returns {Promise<Object|null>} - A promise that resolves with the entry, or null.
+     */
+    async get(key) {
+        if (this.entries.has(key)) {
+            const entry = this.entries.get(key);
+            // Re-insert to mark the entry as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            return entry;
+        }
+
+        if (this.store) {
+            try {
+                const entry = await this.store.get(key);
+                if (entry) {
+                    this.remember(key, entry);
+                    return entry;
+                }
+            } catch (error) {
+                // A broken persistent store only costs a network request
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Stores a response under a key.
+     * @param {string} key - The cache key.
+     * @param {Object} response - The response to store.
+     * @returns {Promise<void>} - A promise that resolves once the entry is stored.
+     */
+    set(key, response) {
+        return this.setEntry(key, {
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                body: response.body,
+                url: response.url
+            },
+            storedAt: Date.now(),
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null
+        });
+    }
+
+    /**
+     * Stores a raw entry in memory and in the persistent store.
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry to store.
+     * @returns {Promise<void>} - A promise that resolves once the entry is stored.
+     */
+    async setEntry(key, entry) {
+        this.remember(key, entry);
+
+        if (this.store) {
+            try {
+                await this.store.set(key, entry);
+            } catch (error) {
+                // Quota errors and the like leave the memory copy in place
+            }
+        }
+    }
+
+    /**
+     * Removes the entry for a key.
+     * @param {string} key - The cache key.
+     * @returns {Promise<void>} - A promise that resolves once the entry is removed.
+     */
+    async delete(key) {
+        this.entries.delete(key);
+        if (this.store) {
+            try {
+                await this.store.delete(key);
+            } catch (error) {
+                // An unavailable store cannot serve the entry either
+            }
+        }
+    }
+
+    /**
+     * Removes every entry whose key starts with the given prefix, e.g. '/api/users' also clears '/api/users/1'.
+     * @param {string} prefix - The key prefix.
+     * @returns {Promise<number>} - A promise that resolves with the number of keys removed.
+     */
+    async invalidate(prefix) {
+        const keys = new Set([...this.entries.keys()]);
+
+        if (this.store) {
+            try {
+                (await this.store.keys()).forEach(key => keys.add(key));
+            } catch (error) {
+                // Only the in-memory entries can be invalidated
+            }
+        }
+
+        const matching = [...keys].filter(key => typeof key === 'string' && key.startsWith(prefix));
+        await Promise.all(matching.map(key => this.delete(key)));
+        return matching.length;
+    }
+
+    /**
+     * Removes every entry.
+     * @returns {Promise<void>} - A promise that resolves once the cache is empty.
+     */
+    async clear() {
+        await this.invalidate('');
+        this.entries.clear();
+    }
+
+    /**
+     * Builds the default cache key: the full URL, so invalidate can match it by prefix, followed by the method, the
+     * request headers responses commonly vary on and whether credentials are sent. The Authorization value is hashed
+     * so it is not written to a persistent store.
+     * @param {Object} config - The request config.
+     * @returns {string} - The cache key.
+     */
+    static defaultKey(config) {
+        const headers = {};
+        Object.entries(config.headers || {}).forEach(([name, value]) => {
+            headers[name.toLowerCase()] = String(value);
+        });
+
+        const parts = [HttpClient.buildURL(config.url, config.params), (config.method || 'GET').toUpperCase()];
+        ResponseCache.varyHeaders.forEach(name => {
+            if (headers[name] === undefined) return;
+            parts.push(`${name}=${name === 'authorization' ? ResponseCache.hash(headers[name]) : headers[name]}`);
+        });
+        if (config.withCredentials) parts.push('credentials');
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Hashes a string (32-bit FNV-1a), to tell header values apart without storing them.
+     * @param {string} value - The string.
+     * @returns {string} - The hash, in base 36.
+     */
+    static hash(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Adds an entry to the in-memory LRU, evicting the least recently used entries beyond maxEntries.
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry to keep.
+     */
+    remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Builds a response object from a cache entry.
+     * @param {Object} entry - The cache entry.
+     * @param {Object} config - The request config.
+     * @param {string} state - How the response was produced.
+     * @returns {Object} - The response.
+     */
+    toResponse(entry, config, state) {
+        return { ...entry.response, request: config, cache: state };
+    }
+
+    /**
+     * Creates a persistent store on top of local storage through BrowserStorage.
+     * Only JSON-serializable response bodies survive this store.
+     * @param {string} [prefix='butility-cache:'] - Prefix for the local storage keys.
+     * @returns {{get: Function, set: Function, delete: Function, keys: Function}} - The store.
+     */
+    static browserStorage(prefix = 'butility-cache:') {
+        return {
+            get: key => BrowserStorage.getLocal(prefix + key),
+            set: (key, value) => BrowserStorage.setLocal(prefix + key, value),
+            delete: key => BrowserStorage.removeLocal(prefix + key),
+            keys: () => BrowserStorage.getAllLocalKeys()
+                .filter(key => key.startsWith(prefix))
+                .map(key => key.slice(prefix.length))
+        };
+    }
+}
@@ -0,0 +1,512 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { AbortError, HttpError, NetworkError, TimeoutError } from './errors.js';
+import { RetryPolicy } from './retry.js';
+
+/**
+ * An ordered list of interceptors that a request or response passes through.
+ * @class
+ */
+export class InterceptorChain {
+    /**
+     * @constructor
+     */
+    constructor() {
+        this.handlers = [];
+        this.nextId = 0;
+    }
+
+    /**
+     * Adds an interceptor to the end of the chain.
+     * @param {Function} [fulfilled] - Receives the value from the previous step and returns (or resolves to) the next one.
+     * @param {Function} [rejected] - Receives the error from the previous step. Returning a value recovers from it,
+     * throwing passes the error on.
+     * @returns {number} - An id that can be passed to eject.
+     */
+    use(fulfilled, rejected) {
+        const id = this.nextId++;
+        this.handlers.push({ id, fulfilled, rejected });
+        return id;
+    }
+
+    /**
+     * Removes an interceptor from the chain.
+     * @param {number} id - The id returned by use.
+     */
+    eject(id) {
+        this.handlers = this.handlers.filter(handler => handler.id !== id);
+    }
+
+    /**
+     * Removes every interceptor from the chain.
+     */
+    clear() {
+        this.handlers = [];
+    }
+}
+
+/**
+ * The default transport of HttpClient, which sends requests with XMLHttpRequest.
+ *
+ * A transport is any object with a `send(config)` method. It receives the merged request config and returns
+ * a promise that resolves with `{ status, statusText, headers, body, url, request }` for every HTTP status,
+ * leaving it to the client to turn non-2xx statuses into an HttpError. It rejects with a NetworkError,
+ * TimeoutError or AbortError when no response is received, and reports progress through
+ * `config.onUploadProgress` / `config.onDownloadProgress`.
+ * @class
+ */
+export class XhrTransport {
+    /**
+     * Sends a request with XMLHttpRequest.
+     * @param {Object} config - The request config.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    send(config) {
+        return new Promise((resolve, reject) => {
+            const { signal } = config;
+
+            if (signal && signal.aborted) {
+                reject(new AbortError('Request was aborted', { request: config, reason: signal.reason }));
+                return;
+            }
+
+            const headers = { ...config.headers };
+            const body = HttpClient.serializeBody(config.data, headers);
+            const url = HttpClient.buildURL(config.url, config.params);
+            const xhr = new XMLHttpRequest();
+
+            xhr.open(config.method, url, true);
+            xhr.withCredentials = !!config.withCredentials;
+            xhr.timeout = config.timeout || 0;
+
+            if (['blob', 'arraybuffer', 'document'].includes(config.responseType)) {
+                xhr.responseType = config.responseType;
+            }
+
+            for (const [key, value] of Object.entries(headers)) {
+                if (value !== undefined && value !== null) {
+                    xhr.setRequestHeader(key, value);
+                }
+            }
+
+            // Upload listeners make cross-origin requests preflighted, so only attach them when asked
+            if (config.onUploadProgress && xhr.upload) {
+                xhr.upload.onprogress = HttpClient.createProgressHandler(config.onUploadProgress);
+            }
+            if (config.onDownloadProgress) {
+                xhr.onprogress = HttpClient.createProgressHandler(config.onDownloadProgress);
+            }
+
+            const onAbort = () => xhr.abort();
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            xhr.onload = () => {
+                cleanup();
+                const responseHeaders = HttpClient.parseHeaders(xhr.getAllResponseHeaders());
+                const response = {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: responseHeaders,
+                    body: null,
+                    url: xhr.responseURL || url,
+                    request: config
+                };
+
+                try {
+                    response.body = HttpClient.parseBody(xhr, config.responseType, responseHeaders['content-type']);
+                } catch (error) {
+                    // Keep the raw text when the server lies about its Content-Type
+                    response.body = xhr.responseText;
+                }
+
+                resolve(response);
+            };
+
+            xhr.onerror = () => {
+                cleanup();
+                reject(new NetworkError(`Network error while requesting ${url}`, { request: config }));
+            };
+
+            xhr.ontimeout = () => {
+                cleanup();
+                reject(new TimeoutError(`Request to ${url} timed out after ${config.timeout}ms`, {
+                    request: config,
+                    timeout: config.timeout
+                }));
+            };
+
+            xhr.onabort = () => {
+                cleanup();
+                reject(new AbortError('Request was aborted', { request: config, reason: signal && signal.reason }));
+            };
+
+            xhr.send(body);
+        });
+    }
+}
+
+/**
+ * A configurable HTTP client with its own defaults and interceptor chains.
+ * Instances are normally created through RequestServer.create.
+ * @class
+ */
+export class HttpClient {
+    /**
+     * The transport used by clients that do not set their own, e.g. a MockTransport installed by a test suite.
+     * @type {Object}
+     */
+    static defaultTransport = new XhrTransport();
+
+    /**
+     * @constructor
+     * @param {Object} [config] - Defaults applied to every request made with this client.
+     * @param {string} [config.baseURL] - Prefixed to every relative request URL.
+     * @param {Object} [config.headers] - Headers sent with every request.
+     * @param {number} [config.timeout=0] - Timeout of each attempt in milliseconds (0 disables it).
+     * @param {number|Object|RetryPolicy} [config.retry=0] - The retry policy (see RetryPolicy).
+     * @param {ResponseCache} [config.cache] - Caches and deduplicates GET requests (see ResponseCache).
+     * @param {Object} [config.params] - Query string parameters sent with every request.
+     * @param {boolean} [config.withCredentials=false] - Whether to send cookies on cross-origin requests.
+     * @param {Object} [config.transport] - Sends the requests (see XhrTransport). Defaults to HttpClient.defaultTransport.
+     */
+    constructor(config = {}) {
+        this.defaults = {
+            baseURL: '',
+            headers: {},
+            timeout: 0,
+            retry: 0,
+            cache: null,
+            withCredentials: false,
+            ...config
+        };
+        this.interceptors = {
+            request: new InterceptorChain(),
+            response: new InterceptorChain()
+        };
+    }
+
+    /**
+     * Sends a request through the interceptor chains.
+     *
+     * Request interceptors run in the order they were added and receive the merged config.
+     * They return the config to continue, or an object of the form `{ response }` to skip the
+     * network entirely; the given response is then passed to the response interceptors.
+     * Response interceptors receive the response, or the error in their rejected handler,
+     * where a retry can be made by returning `client.request(error.request)`.
+     * Automatic retries configured through `retry` happen below the interceptors, so each
+     * logical request passes through them once.
+     *
+     * @param {Object} options - The options for the request (see RequestServer.request).
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    request(options) {
+        let lastConfig = null;
+        let chain = Promise.resolve(options).then(value => (lastConfig = this.mergeConfig(value)));
+
+        this.interceptors.request.handlers.forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(config => {
+                if ((config && config.response) || !fulfilled) {
+                    return config;
+                }
+                return Promise.resolve(fulfilled(config)).then(next => {
+                    if (next && !next.response) lastConfig = next;
+                    return next;
+                });
+            }, rejected);
+        });
+
+        chain = chain.then(config => {
+            if (config && config.response) {
+                return { request: lastConfig, ...config.response };
+            }
+            return this.dispatchRequest(config);
+        });
+
+        this.interceptors.response.handlers.forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(fulfilled, rejected);
+        });
+
+        return chain;
+    }
+
+    /**
+     * Makes a GET request.
+     * @param {string} url - The URL for the request.
+     * @param {Object} [params] - Query string parameters.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    get(url, params, options = {}) {
+        return this.request({ ...options, method: 'GET', url, params });
+    }
+
+    /**
+     * Makes a POST request.
+     * @param {string} url - The URL for the request.
+     * @param {*} [data] - The request body.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    post(url, data, options = {}) {
+        return this.request({ ...options, method: 'POST', url, data });
+    }
+
+    /**
+     * Makes a PUT request.
+     * @param {string} url - The URL for the request.
+     * @param {*} [data] - The request body.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    put(url, data, options = {}) {
+        return this.request({ ...options, method: 'PUT', url, data });
+    }
+
+    /**
+     * Makes a PATCH request.
+     * @param {string} url - The URL for the request.
+     * @param {*} [data] - The request body.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    patch(url, data, options = {}) {
+        return this.request({ ...options, method: 'PATCH', url, data });
+    }
+
+    /**
+     * Makes a DELETE request.
+     * @param {string} url - The URL for the request.
+     * @param {Object} [params] - Query string parameters.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    delete(url, params, options = {}) {
+        return this.request({ ...options, method: 'DELETE', url, params });
+    }
+
+    /**
+     * Sends a config that went through the request interceptors, applying the cache and the retry policy.
+     * @param {Object} config - The request config.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    dispatchRequest(config) {
+        const send = current => RetryPolicy.from(current.retry).run(() => this.send(current), {
+            method: current.method,
+            signal: current.signal,
+            onRetry: current.onRetry
+        });
+
+        if (config.cache && config.method === 'GET') {
+            return config.cache.handle(config, send);
+        }
+        return send(config);
+    }
+
+    /**
+     * Combines the client defaults with the options of a single request.
+     * @param {Object} options - The options for the request.
+     * @returns {Object} - The merged config.
+     */
+    mergeConfig(options) {
+        if (!options || !options.url) {
+            throw new Error("Request requires a 'url' property.");
+        }
+
+        const config = {
+            method: 'GET',
+            responseType: 'auto',
+            ...this.defaults,
+            ...options,
+            headers: { ...this.defaults.headers, ...options.headers }
+        };
+
+        if (this.defaults.params || options.params) {
+            config.params = { ...this.defaults.params, ...options.params };
+        }
+
+        config.method = config.method.toUpperCase();
+        config.url = HttpClient.combineURLs(config.baseURL, options.url);
+        // The URL is now resolved, so a config passed back to request (e.g. for a retry) is not prefixed twice
+        config.baseURL = '';
+        return config;
+    }
+
+    /**
+     * Sends a fully merged request config through its transport, bypassing the interceptors.
+     * @param {Object} config - The request config.
+     * @returns {Promise<Object>} - A promise that resolves with the response, or rejects with an
+     * HttpError (non-2xx status), a NetworkError (no response received), a TimeoutError or an AbortError.
+     */
+    send(config) {
+        const transport = config.transport || HttpClient.defaultTransport;
+
+        return Promise.resolve(config)
+            .then(current => transport.send(current))
+            .then(response => {
+                if (response.status >= 200 && response.status < 300) {
+                    return response;
+                }
+
+                throw new HttpError(`Request failed with status ${response.status}`, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                    body: response.body,
+                    request: config,
+                    response
+                });
+            });
+    }
+
+    /**
+     * Wraps a progress callback so it receives transfer statistics instead of a raw ProgressEvent.
+     * @param {Function} callback - Called with `{ loaded, total, percent, rate, eta, lengthComputable, event }`,
+     * where rate is in bytes per second, eta in seconds, and total, percent and eta are null when the size is unknown.
+     * @returns {Function} - A ProgressEvent listener.
+     */
+    static createProgressHandler(callback) {
+        const startedAt = Date.now();
+
+        return (event) => {
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const rate = elapsed > 0 ? event.loaded / elapsed : 0;
+            const total = event.lengthComputable ? event.total : null;
+
+            callback({
+                loaded: event.loaded,
+                total,
+                percent: total ? Math.min(100, (event.loaded / total) * 100) : null,
+                rate,
+                eta: total && rate > 0 ? Math.max(0, (total - event.loaded) / rate) : null,
+                lengthComputable: !!event.lengthComputable,
+                event
+            });
+        };
+    }
+
+    /**
+     * Joins a base URL and a request URL. Absolute request URLs are returned unchanged.
+     * @param {string} baseURL - The base URL.
+     * @param {string} url - The request URL.
+     * @returns {string} - The combined URL.
+     */
+    static combineURLs(baseURL, url) {
+        if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+            return url;
+        }
+        return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * Appends query string parameters to a URL.
+     * @param {string} url - The base URL, which may already contain a query string.
+     * @param {Object} [params] - The parameters to append. Null and undefined values are skipped,
+     * arrays are sent as repeated keys.
+     * @returns {string} - The URL with the parameters appended.
+     */
+    static buildURL(url, params) {
+        if (!params || typeof params !== 'object') {
+            return url;
+        }
+
+        const queryString = Object.entries(params)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .flatMap(([key, value]) => (Array.isArray(value) ? value : [value])
+                .map(item => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`))
+            .join('&');
+
+        if (!queryString) {
+            return url;
+        }
+
+        const [base, hash] = url.split('#');
+        const separator = base.includes('?') ? '&' : '?';
+        return `${base}${separator}${queryString}${hash !== undefined ? `#${hash}` : ''}`;
+    }
+
+    /**
+     * Prepares a request body for XMLHttpRequest.send and sets a matching Content-Type header.
+     * @param {*} data - The body to serialize.
+     * @param {Object} headers - The request headers, updated in place.
+     * @returns {*} - The body to send, or null when there is none.
+     */
+    static serializeBody(data, headers) {
+        if (data === undefined || data === null) {
+            return null;
+        }
+
+        const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+
+        const isNative = (typeof FormData !== 'undefined' && data instanceof FormData)
+            || (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams)
+            || (typeof globalThis.Blob !== 'undefined' && data instanceof globalThis.Blob)
+            || data instanceof ArrayBuffer
+            || ArrayBuffer.isView(data);
+
+        // Let the browser pick the Content-Type (and multipart boundary) for native bodies
+        if (isNative || typeof data === 'string') {
+            return data;
+        }
+
+        if (!hasContentType) {
+            headers['Content-Type'] = 'application/json';
+        }
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Parses the raw string returned by XMLHttpRequest.getAllResponseHeaders.
+     * @param {string} rawHeaders - The raw header string.
+     * @returns {Object} - The headers, keyed by lowercased header name.
+     */
+    static parseHeaders(rawHeaders) {
+        const headers = {};
+
+        (rawHeaders || '').trim().split(/[\r\n]+/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+
+            const key = line.slice(0, index).trim().toLowerCase();
+            const value = line.slice(index + 1).trim();
+            headers[key] = headers[key] ? `${headers[key]}, ${value}` : value;
+        });
+
+        return headers;
+    }
+
+    /**
+     * Reads the body of a completed XMLHttpRequest.
+     * @param {XMLHttpRequest} xhr - The completed request.
+     * @param {string} responseType - The requested response type ('auto', 'json', 'text', 'blob', 'arraybuffer', 'document').
+     * @param {string} [contentType] - The Content-Type of the response.
+     * @returns {*} - The parsed body.
+     * @throws Will throw an error if the body should be JSON but cannot be parsed.
+     */
+    static parseBody(xhr, responseType, contentType = '') {
+        if (['blob', 'arraybuffer', 'document'].includes(responseType)) {
+            return xhr.response;
+        }
+
+        const text = xhr.responseText;
+
+        if (responseType === 'text') {
+            return text;
+        }
+
+        const isJson = responseType === 'json' || /[/+]json\b/i.test(contentType);
+        if (isJson) {
+            return text ? JSON.parse(text) : null;
+        }
+
+        return text;
+    }
+}
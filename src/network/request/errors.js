@@ -0,0 +1,123 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+/**
+ * Base class for every error produced by RequestServer.
+ * @class
+ */
+export class RequestError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Additional information about the failed request.
+     * @param {Object} [details.request] - The request options that produced the error.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.request = details.request || null;
+    }
+}
+
+/**
+ * Error thrown when the server answers with a non-2xx status code.
+ * @class
+ */
+export class HttpError extends RequestError {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} details - Information about the failed response.
+     * @param {number} details.status - The HTTP status code.
+     * @param {string} [details.statusText] - The HTTP status text.
+     * @param {Object} [details.headers] - The response headers (lowercased keys).
+     * @param {*} [details.body] - The parsed response body.
+     * @param {Object} [details.request] - The request options that produced the error.
+     * @param {Object} [details.response] - The full response object.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'HttpError';
+        this.status = details.status;
+        this.statusText = details.statusText || '';
+        this.headers = details.headers || {};
+        this.body = details.body;
+        this.response = details.response || null;
+    }
+}
+
+/**
+ * Error thrown when the request never reached the server or no response was received.
+ * @class
+ */
+export class NetworkError extends RequestError {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Additional information about the failed request.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Error thrown when a request does not complete within its timeout.
+ * @class
+ */
+export class TimeoutError extends RequestError {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Additional information about the failed request.
+     * @param {number} [details.timeout] - The timeout that elapsed, in milliseconds.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TimeoutError';
+        this.timeout = details.timeout;
+    }
+}
+
+/**
+ * Error thrown when a request is cancelled through its AbortSignal.
+ * @class
+ */
+export class AbortError extends RequestError {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Additional information about the cancelled request.
+     * @param {*} [details.reason] - The abort reason given to the AbortController, if any.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'AbortError';
+        this.reason = details.reason;
+    }
+}
+
+/**
+ * Error thrown when a GraphQL response contains an `errors` array, even with HTTP status 200.
+ * @class
+ */
+export class GraphQLError extends RequestError {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Information about the failed operation.
+     * @param {Array<Object>} [details.errors] - The GraphQL errors reported by the server.
+     * @param {*} [details.data] - Any partial data returned alongside the errors.
+     * @param {Object} [details.response] - The HTTP response.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GraphQLError';
+        this.errors = details.errors || [];
+        this.data = details.data === undefined ? null : details.data;
+        this.response = details.response || null;
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { RequestServer } from './server.js';
+import { GraphQLError, HttpError } from './errors.js';
+
+/**
+ * A GraphQL client on top of HttpClient, so requests go through the same interceptors, retries and auth.
+ * Supports automatic persisted queries (APQ) and batching several operations into one request.
+ * @class
+ *
+ * @example
+ * const api = new GraphQLClient('/graphql', { client: RequestServer.create({ headers: { Authorization: token } }) });
+ * const { user } = await api.query('query User($id: ID!) { user(id: $id) { name } }', { id: 1 });
+ */
+export class GraphQLClient {
+    /**
+     * @constructor
+     * @param {string} endpoint - The GraphQL endpoint.
+     * @param {Object} [options] - Options for the client.
+     * @param {HttpClient} [options.client] - The HTTP client to send requests with. Defaults to the RequestServer client.
+     * @param {Object} [options.headers] - Headers sent with every operation.
+     * @param {boolean} [options.persistedQueries=false] - Whether to send query hashes first (Apollo APQ protocol).
+     * @param {boolean|Object} [options.batch=false] - Whether to batch operations made within a short window.
+     * @param {number} [options.batch.interval=10] - How long to wait for more operations, in milliseconds.
+     * @param {number} [options.batch.maxSize=10] - The maximum number of operations in one request.
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.client = options.client || RequestServer.defaultClient;
+        this.headers = options.headers || {};
+        this.persistedQueries = !!options.persistedQueries;
+        this.batchOptions = options.batch ? { interval: 10, maxSize: 10, ...(options.batch === true ? {} : options.batch) } : null;
+        this.pending = [];
+        this.batchTimer = null;
+        this.hashes = new Map();
+    }
+
+    /**
+     * Runs a query.
+     * @param {string} query - The query document.
+     * @param {Object} [variables] - The query variables.
+     * @param {Object} [options] - Options for the operation (see request).
+     * @returns {Promise<*>} - A promise that resolves with the `data` of the result.
+     */
+    query(query, variables, options = {}) {
+        return this.request({ ...options, query, variables });
+    }
+
+    /**
+     * Runs a mutation. Mutations are never batched with other operations.
+     * @param {string} mutation - The mutation document.
+     * @param {Object} [variables] - The mutation variables.
+     * @param {Object} [options] - Options for the operation (see request).
+     * @returns {Promise<*>} - A promise that resolves with the `data` of the result.
+     */
+    mutate(mutation, variables, options = {}) {
+        return this.request({ batch: false, ...options, query: mutation, variables });
+    }
+
+    /**
+     * Runs an operation.
+     * @param {Object} operation - The operation.
+     * @param {string} operation.query - The GraphQL document.
+     * @param {Object} [operation.variables] - The variables.
+     * @param {string} [operation.operationName] - The operation to run when the document has several.
+     * @param {Object} [operation.headers] - Additional headers for this request.
+     * @param {AbortSignal} [operation.signal] - Cancels the request.
+     * @param {boolean} [operation.batch] - Set to false to send this operation on its own.
+     * @returns {Promise<*>} - A promise that resolves with the `data` of the result, or rejects with a
+     * GraphQLError when the result contains errors.
+     */
+    request(operation) {
+        if (this.batchOptions && operation.batch !== false && !operation.signal) {
+            return this.enqueue(operation);
+        }
+
+        return this.send(operation).then(({ result, response }) => GraphQLClient.unwrap(result, response));
+    }
+
+    /**
+     * Sends several operations in one HTTP request. The server must accept an array body.
+     * @param {Array<Object>} operations - The operations (see request).
+     * @param {Object} [options] - Options for the HTTP request (headers, signal, ...).
+     * @returns {Promise<Array<{data: *, errors: (Array|undefined), error: (GraphQLError|undefined)}>>} - A promise
+     * that resolves with one settled result per operation, in order.
+     */
+    async batch(operations, options = {}) {
+        const persisted = this.persistedQueries;
+        const bodies = await Promise.all(operations.map(operation => this.buildBody(operation, persisted, !persisted)));
+        const response = await this.post(bodies, options);
+        const results = Array.isArray(response.body) ? response.body : [response.body];
+
+        return Promise.all(operations.map(async (operation, index) => {
+            let result = results[index] || { errors: [{ message: 'Missing result in batched response' }] };
+
+            // The server did not know this hash yet; resend the operation with its full text
+            if (this.persistedQueries && GraphQLClient.isPersistedQueryMiss(result)) {
+                result = (await this.send({ ...operation, ...options })).result;
+            }
+
+            try {
+                return { data: GraphQLClient.unwrap(result, response) };
+            } catch (error) {
+                return { data: error.data, errors: error.errors, error };
+            }
+        }));
+    }
+
+    /**
+     * Sends a single operation, handling the persisted query handshake: the hash is sent alone first,
+     * and if the server does not know it yet, the query is sent again with its text to register it.
+     * @param {Object} operation - The operation.
+     * @returns {Promise<{result: Object, response: Object}>} - The GraphQL result and the HTTP response.
+     */
+    async send(operation) {
+        const persisted = this.persistedQueries;
+        let response = await this.post(await this.buildBody(operation, persisted, !persisted), operation);
+        let result = response.body || {};
+
+        if (persisted && GraphQLClient.isPersistedQueryMiss(result)) {
+            const supported = !GraphQLClient.hasErrorCode(result, 'PERSISTED_QUERY_NOT_SUPPORTED', 'PersistedQueryNotSupported');
+            if (!supported) {
+                this.persistedQueries = false;
+            }
+
+            response = await this.post(await this.buildBody(operation, supported, true), operation);
+            result = response.body || {};
+        }
+
+        return { result, response };
+    }
+
+    /**
+     * Posts a body to the endpoint, turning HTTP errors that carry GraphQL errors into GraphQLErrors.
+     * @param {Object|Array<Object>} body - The request body.
+     * @param {Object} [options] - Options for the HTTP request.
+     * @returns {Promise<Object>} - The HTTP response.
+     */
+    async post(body, options = {}) {
+        const { headers, signal, ...rest } = options;
+        const requestOptions = {
+            headers: { Accept: 'application/json', ...this.headers, ...headers },
+            responseType: 'json',
+            signal,
+            retry: rest.retry,
+            timeout: rest.timeout
+        };
+
+        try {
+            return await this.client.post(this.endpoint, body, requestOptions);
+        } catch (error) {
+            // Many servers answer 400/500 with a regular GraphQL result; other error bodies (e.g. from a proxy) are real failures
+            if (error instanceof HttpError && GraphQLClient.isGraphQLBody(error.body)) {
+                return error.response;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Builds the JSON body of an operation.
+     * @param {Object} operation - The operation.
+     * @param {boolean} persisted - Whether to include the persisted query hash.
+     * @param {boolean} [includeQuery=true] - Whether to include the query text.
+     * @returns {Promise<Object>} - The body.
+     */
+    async buildBody(operation, persisted, includeQuery = true) {
+        const body = { variables: operation.variables || {} };
+
+        if (includeQuery) {
+            body.query = operation.query;
+        }
+
+        if (operation.operationName) {
+            body.operationName = operation.operationName;
+        }
+
+        if (persisted) {
+            body.extensions = { persistedQuery: { version: 1, sha256Hash: await this.hash(operation.query) } };
+        }
+
+        return body;
+    }
+
+    /**
+     * Queues an operation for the next batch.
+     * @param {Object} operation - The operation.
+     * @returns {Promise<*>} - A promise that resolves with the `data` of the result.
+     */
+    enqueue(operation) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ operation, resolve, reject });
+
+            if (this.pending.length >= this.batchOptions.maxSize) {
+                this.flush();
+            } else if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flush(), this.batchOptions.interval);
+            }
+        });
+    }
+
+    /**
+     * Sends the queued operations as one batch.
+     */
+    flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+
+        const queued = this.pending.splice(0);
+        if (!queued.length) return;
+
+        if (queued.length === 1) {
+            const [{ operation, resolve, reject }] = queued;
+            this.request({ ...operation, batch: false }).then(resolve, reject);
+            return;
+        }
+
+        this.batch(queued.map(item => item.operation))
+            .then(results => results.forEach((result, index) => {
+                if (result.error) {
+                    queued[index].reject(result.error);
+                } else {
+                    queued[index].resolve(result.data);
+                }
+            }))
+            .catch(error => queued.forEach(item => item.reject(error)));
+    }
+
+    /**
+     * Computes (and memoizes) the SHA-256 hash of a query, as hex.
+     * @param {string} query - The query text.
+     * @returns {Promise<string>} - The hash.
+     */
+    async hash(query) {
+        if (!this.hashes.has(query)) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(query));
+            const hex = Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+            this.hashes.set(query, hex);
+        }
+        return this.hashes.get(query);
+    }
+
+    /**
+     * Returns the data of a result, or throws a GraphQLError if it has errors.
+     * @param {Object} result - The GraphQL result.
+     * @param {Object} response - The HTTP response.
+     * @returns {*} - The data.
+     * @throws {GraphQLError} If the result contains errors.
+     */
+    static unwrap(result, response) {
+        if (result && Array.isArray(result.errors) && result.errors.length) {
+            throw new GraphQLError(result.errors.map(error => error.message).join('; '), {
+                errors: result.errors,
+                data: result.data,
+                response,
+                request: response && response.request
+            });
+        }
+        return result ? result.data : null;
+    }
+
+    /**
+     * Checks whether the server asked for the full query text of a persisted query.
+     * @param {Object} result - The GraphQL result.
+     * @returns {boolean} - True if the query has to be sent again with its text.
+     */
+    static isPersistedQueryMiss(result) {
+        return this.hasErrorCode(result, 'PERSISTED_QUERY_NOT_FOUND', 'PersistedQueryNotFound')
+            || this.hasErrorCode(result, 'PERSISTED_QUERY_NOT_SUPPORTED', 'PersistedQueryNotSupported');
+    }
+
+    /**
+     * Checks whether a response body is a GraphQL result, or a batch of them.
+     * @param {*} body - The response body.
+     * @returns {boolean} - True if the body has `errors` or `data` (every item of a batch).
+     */
+    static isGraphQLBody(body) {
+        const isResult = result => !!result && typeof result === 'object' && !Array.isArray(result)
+            && (Array.isArray(result.errors) || 'data' in result);
+
+        return Array.isArray(body) ? body.length > 0 && body.every(isResult) : isResult(body);
+    }
+
+    /**
+     * Checks whether a result contains an error with the given code or message.
+     * @param {Object} result - The GraphQL result.
+     * @param {string} code - The `extensions.code` to look for.
+     * @param {string} message - The message to look for.
+     * @returns {boolean} - True if such an error is present.
+     */
+    static hasErrorCode(result, code, message) {
+        return !!(result && Array.isArray(result.errors) && result.errors.some(error =>
+            error.message === message || (error.extensions && error.extensions.code === code)));
+    }
+}
@@ -0,0 +1,542 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { HttpClient } from './client.js';
+import { AbortError, NetworkError, TimeoutError } from './errors.js';
+import { URLUtility } from '../URL/url.js';
+import { QueryString } from '../URL/query.js';
+
+/**
+ * A transport that answers requests from registered routes instead of the network, so code built on
+ * RequestServer / HttpClient can be tested offline. Every request is recorded for later assertions.
+ *
+ * A route answers with a response spec, or a function of the request returning one (or a promise of one).
+ * A spec is `{ status, statusText, headers, body, delay, error }`, where `error` is 'network', 'timeout',
+ * 'abort' or an Error instance to fail the request instead of answering it.
+ * @class
+ * @example
+ * const mock = new MockTransport().install();
+ * mock.get('/api/users/:id', request => ({ body: { id: request.params.id } }));
+ * mock.post('/upload', { status: 201, body: { ok: true } }, { delay: 50 });
+ * mock.get('/flaky', { error: 'network' }, { times: 1 });
+ *
+ * await File.uploadFile(file, '/upload');
+ * mock.assertCalled('POST', '/upload', 1);
+ * mock.restore();
+ */
+export class MockTransport {
+    /**
+     * @constructor
+     * @param {Object} [options] - Options for the transport.
+     * @param {number} [options.delay=0] - The default delay of every response, in milliseconds.
+     * @param {Object} [options.passthrough] - A transport that receives requests no route matches.
+     * Without it such requests fail with a NetworkError.
+     */
+    constructor(options = {}) {
+        this.delay = options.delay || 0;
+        this.passthrough = options.passthrough || null;
+        this.routes = [];
+        this.calls = [];
+        this.previousTransport = null;
+    }
+
+    /**
+     * Registers a route. Routes are tried in the order they were added.
+     * @param {string} method - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} pattern - A path pattern such as '/users/:id' or '/files/*' (see URLUtility.matchPath),
+     * an absolute URL pattern, a regular expression tested against the full URL, or a predicate receiving the request.
+     * @param {Object|Function} respond - The response spec, or a function `(request) => spec`.
+     * @param {Object} [options] - Options for the route.
+     * @param {number} [options.times] - How many requests the route answers before it stops matching.
+     * @param {number} [options.delay] - The delay of the response, in milliseconds.
+     * @param {Object} [options.query] - Query parameters the request must have, e.g. `{ page: '2' }`.
+     * @returns {Object} - The route, whose `calls` counts the requests it answered.
+     */
+    on(method, pattern, respond = {}, options = {}) {
+        const route = {
+            method: method.toUpperCase(),
+            pattern,
+            respond,
+            times: options.times !== undefined ? options.times : Infinity,
+            delay: options.delay,
+            query: options.query || null,
+            calls: 0
+        };
+        this.routes.push(route);
+        return route;
+    }
+
+    /**
+     * Registers a GET route.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    get(pattern, respond, options) {
+        return this.on('GET', pattern, respond, options);
+    }
+
+    /**
+     * Registers a POST route.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    post(pattern, respond, options) {
+        return this.on('POST', pattern, respond, options);
+    }
+
+    /**
+     * Registers a PUT route.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    put(pattern, respond, options) {
+        return this.on('PUT', pattern, respond, options);
+    }
+
+    /**
+     * Registers a PATCH route.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    patch(pattern, respond, options) {
+        return this.on('PATCH', pattern, respond, options);
+    }
+
+    /**
+     * Registers a DELETE route.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    delete(pattern, respond, options) {
+        return this.on('DELETE', pattern, respond, options);
+    }
+
+    /**
+     * Registers a route for any method.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {Object|Function} [respond] - The response spec or function.
+     * @param {Object} [options] - Options for the route.
+     * @returns {Object} - The route.
+     */
+    any(pattern, respond, options) {
+        return this.on('*', pattern, respond, options);
+    }
+
+    /**
+     * Makes this transport the default of every HttpClient, including RequestServer.defaultClient.
+     * @returns {MockTransport} - This transport, for chaining.
+     */
+    install() {
+        if (HttpClient.defaultTransport !== this) {
+            this.previousTransport = HttpClient.defaultTransport;
+            HttpClient.defaultTransport = this;
+        }
+        return this;
+    }
+
+    /**
+     * Puts back the transport that was the default before install.
+     */
+    restore() {
+        if (HttpClient.defaultTransport === this && this.previousTransport) {
+            HttpClient.defaultTransport = this.previousTransport;
+        }
+        this.previousTransport = null;
+    }
+
+    /**
+     * Removes every route and every recorded call.
+     */
+    reset() {
+        this.routes = [];
+        this.resetCalls();
+    }
+
+    /**
+     * Forgets the recorded calls but keeps the routes.
+     */
+    resetCalls() {
+        this.calls = [];
+        this.routes.forEach(route => {
+            route.calls = 0;
+        });
+    }
+
+    /**
+     * Lists the recorded requests, optionally filtered by method and URL pattern.
+     * @param {string} [method='*'] - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} [pattern] - The URL pattern, as for on.
+     * @returns {Object[]} - The matching requests, oldest first.
+     */
+    callsTo(method = '*', pattern) {
+        return this.calls.filter(call => {
+            if (method !== '*' && call.method !== method.toUpperCase()) return false;
+            return pattern === undefined || MockTransport.matchURL(pattern, call) !== null;
+        });
+    }
+
+    /**
+     * Checks whether a matching request was made.
+     * @param {string} [method='*'] - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} [pattern] - The URL pattern.
+     * @returns {boolean} - True if at least one matching request was recorded.
+     */
+    called(method, pattern) {
+        return this.callsTo(method, pattern).length > 0;
+    }
+
+    /**
+     * Gets the most recent matching request.
+     * @param {string} [method='*'] - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} [pattern] - The URL pattern.
+     * @returns {Object|null} - The request, or null if there is none.
+     */
+    lastCall(method, pattern) {
+        const calls = this.callsTo(method, pattern);
+        return calls.length ? calls[calls.length - 1] : null;
+    }
+
+    /**
+     * Throws unless a matching request was made, optionally an exact number of times.
+     * @param {string} method - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @param {number} [times] - The exact number of expected requests.
+     * @throws Will throw an error listing the recorded requests if the expectation is not met.
+     */
+    assertCalled(method, pattern, times) {
+        const count = this.callsTo(method, pattern).length;
+        const ok = times === undefined ? count > 0 : count === times;
+
+        if (!ok) {
+            const expected = times === undefined ? 'at least once' : `${times} time(s)`;
+            throw new Error(`Expected ${method} ${pattern} to be requested ${expected}, but it was requested ${count} time(s).`
+                + `\nRecorded requests:\n${this.describeCalls()}`);
+        }
+    }
+
+    /**
+     * Throws if a matching request was made.
+     * @param {string} method - The HTTP method, or '*' for any method.
+     * @param {string|RegExp|Function} pattern - The URL pattern.
+     * @throws Will throw an error listing the recorded requests if a matching request was made.
+     */
+    assertNotCalled(method, pattern) {
+        const count = this.callsTo(method, pattern).length;
+
+        if (count > 0) {
+            throw new Error(`Expected ${method} ${pattern} not to be requested, but it was requested ${count} time(s).`
+                + `\nRecorded requests:\n${this.describeCalls()}`);
+        }
+    }
+
+    /**
+     * Formats the recorded requests for error messages.
+     * @returns {string} - One line per request.
+     */
+    describeCalls() {
+        return this.calls.length
+            ? this.calls.map(call => `  ${call.method} ${call.url}`).join('\n')
+            : '  (none)';
+    }
+
+    /**
+     * Answers a request from the routes. Called by HttpClient.
+     * @param {Object} config - The request config.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    async send(config) {
+        const request = MockTransport.createRequest(config);
+        const route = this.findRoute(request);
+        this.calls.push(request);
+
+        if (!route) {
+            if (this.passthrough) {
+                return this.passthrough.send(config);
+            }
+            throw new NetworkError(`No mock route matches ${request.method} ${request.url}`, { request: config });
+        }
+
+        route.calls++;
+        request.route = route;
+
+        MockTransport.reportProgress(config.onUploadProgress, MockTransport.sizeOf(request.body));
+
+        const spec = typeof route.respond === 'function'
+            ? await route.respond(request)
+            : route.respond;
+        const { status = 200, statusText = '', headers = {}, body = null, delay, error } = spec || {};
+
+        const wait = delay !== undefined ? delay : (route.delay !== undefined ? route.delay : this.delay);
+        await MockTransport.wait(wait, config);
+
+        if (error) {
+            throw MockTransport.createError(error, config, request.url);
+        }
+
+        const responseHeaders = {};
+        Object.entries(headers).forEach(([key, value]) => {
+            responseHeaders[key.toLowerCase()] = String(value);
+        });
+
+        const isObject = body !== null && typeof body === 'object' && !MockTransport.isBinary(body);
+        if (isObject && !responseHeaders['content-type']) {
+            responseHeaders['content-type'] = 'application/json';
+        }
+
+        const responseBody = MockTransport.convertBody(body, config.responseType, responseHeaders['content-type']);
+        MockTransport.reportProgress(config.onDownloadProgress, MockTransport.sizeOf(responseBody));
+
+        return {
+            status,
+            statusText,
+            headers: responseHeaders,
+            body: responseBody,
+            url: request.url,
+            request: config
+        };
+    }
+
+    /**
+     * Finds the first route that still answers requests and matches the given one, filling in `request.params`.
+     * @param {Object} request - The recorded request.
+     * @returns {Object|null} - The route, or null if none matches.
+     */
+    findRoute(request) {
+        for (const route of this.routes) {
+            if (route.calls >= route.times) continue;
+            if (route.method !== '*' && route.method !== request.method) continue;
+
+            if (route.query && !Object.entries(route.query).every(([key, value]) => request.query[key] === String(value))) {
+                continue;
+            }
+
+            const params = MockTransport.matchURL(route.pattern, request);
+            if (params !== null) {
+                request.params = params;
+                return route;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Describes a request config the way route handlers and assertions see it.
+     * @param {Object} config - The request config.
+     * @returns {Object} - `{ method, url, path, query, params, headers, body, config }`.
+     */
+    static createRequest(config) {
+        const url = HttpClient.buildURL(config.url, config.params);
+        const parsed = new URL(url, 'http://localhost');
+
+        return {
+            method: (config.method || 'GET').toUpperCase(),
+            url,
+            path: parsed.pathname,
+            query: QueryString.parse(parsed.search),
+            params: {},
+            headers: { ...config.headers },
+            body: config.data === undefined ? null : config.data,
+            config
+        };
+    }
+
+    /**
+     * Matches a request against a route pattern.
+     * @param {string|RegExp|Function} pattern - The pattern.
+     * @param {Object} request - The recorded request.
+     * @returns {Object|null} - The captured parameters, or null if the request does not match.
+     */
+    static matchURL(pattern, request) {
+        if (typeof pattern === 'function') {
+            return pattern(request) ? {} : null;
+        }
+
+        if (pattern instanceof RegExp) {
+            const match = pattern.exec(request.url);
+            return match ? { ...match.groups } : null;
+        }
+
+        if (pattern === '*') {
+            return {};
+        }
+
+        // Absolute patterns must also match the origin; the path is matched like any other
+        const origin = /^[a-z][a-z\d+\-.]*:\/\/[^/?#]*/i;
+        const patternOrigin = (pattern.match(origin) || [''])[0];
+        const requestOrigin = (request.url.match(origin) || [''])[0];
+
+        if (patternOrigin && patternOrigin.toLowerCase() !== requestOrigin.toLowerCase()) {
+            return null;
+        }
+
+        return URLUtility.matchPath(pattern.slice(patternOrigin.length).split(/[?#]/)[0] || '/', request.path);
+    }
+
+    /**
+     * Converts a response body to what a real transport would produce for the requested response type.
+     * @param {*} body - The body from the response spec.
+     * @param {string} responseType - The requested response type.
+     * @param {string} [contentType] - The Content-Type of the response.
+     * @returns {*} - The converted body.
+     */
+    static convertBody(body, responseType, contentType = '') {
+        if (body === null || body === undefined) {
+            return null;
+        }
+
+        const toText = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+        if (responseType === 'blob') {
+            return typeof Blob !== 'undefined' && body instanceof Blob
+                ? body
+                : new Blob([MockTransport.isBinary(body) ? body : toText(body)], { type: contentType });
+        }
+
+        if (responseType === 'arraybuffer') {
+            if (body instanceof ArrayBuffer) return body;
+            if (ArrayBuffer.isView(body)) return body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength);
+            return new TextEncoder().encode(toText(body)).buffer;
+        }
+
+        if (responseType === 'text') {
+            return toText(body);
+        }
+
+        const isJson = responseType === 'json' || /[/+]json\b/i.test(contentType);
+        if (isJson && typeof body === 'string') {
+            try {
+                return body ? JSON.parse(body) : null;
+            } catch (error) {
+                return body;
+            }
+        }
+
+        return body;
+    }
+
+    /**
+     * Creates the error a failing response spec asks for.
+     * @param {string|Error} error - 'network', 'timeout', 'abort' or an Error instance.
+     * @param {Object} config - The request config.
+     * @param {string} url - The request URL.
+     * @returns {Error} - The error to reject with.
+     */
+    static createError(error, config, url) {
+        if (error instanceof Error) return error;
+
+        switch (error) {
+            case 'timeout':
+                return new TimeoutError(`Request to ${url} timed out after ${config.timeout}ms`, {
+                    request: config,
+                    timeout: config.timeout
+                });
+            case 'abort':
+                return new AbortError('Request was aborted', { request: config });
+            default:
+                return new NetworkError(`Network error while requesting ${url}`, { request: config });
+        }
+    }
+
+    /**
+     * Waits before a response, failing like a real request when the config's timeout or signal fires first.
+     * @param {number} ms - The delay in milliseconds.
+     * @param {Object} config - The request config.
+     * @returns {Promise<void>} - A promise that resolves after the delay.
+     */
+    static wait(ms, config) {
+        const { signal, timeout } = config;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new AbortError('Request was aborted', { request: config, reason: signal.reason }));
+                return;
+            }
+
+            const timedOut = timeout > 0 && ms >= timeout;
+            if (!ms) {
+                resolve();
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError('Request was aborted', { request: config, reason: signal.reason }));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (timedOut) {
+                    reject(MockTransport.createError('timeout', config, config.url));
+                } else {
+                    resolve();
+                }
+            }, timedOut ? timeout : ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Reports a finished transfer to a progress callback.
+     * @param {Function} [callback] - The onUploadProgress / onDownloadProgress callback.
+     * @param {number|null} size - The transfer size in bytes, or null if unknown.
+     */
+    static reportProgress(callback, size) {
+        if (!callback) return;
+
+        HttpClient.createProgressHandler(callback)({
+            loaded: size || 0,
+            total: size || 0,
+            lengthComputable: size !== null
+        });
+    }
+
+    /**
+     * Estimates the size of a body in bytes.
+     * @param {*} body - The body.
+     * @returns {number|null} - The size, or null if it cannot be known.
+     */
+    static sizeOf(body) {
+        if (body === null || body === undefined) return 0;
+        if (typeof body === 'string') return new TextEncoder().encode(body).length;
+        if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            let size = 0;
+            body.forEach(value => {
+                size += typeof value === 'string' ? value.length : value.size;
+            });
+            return size;
+        }
+
+        try {
+            return new TextEncoder().encode(JSON.stringify(body)).length;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether a value is binary data.
+     * @param {*} value - The value to check.
+     * @returns {boolean} - True for Blobs, ArrayBuffers and typed arrays.
+     */
+    static isBinary(value) {
+        return value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+            || (typeof Blob !== 'undefined' && value instanceof Blob);
+    }
+}
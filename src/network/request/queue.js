@@ -0,0 +1,513 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { NetworkError } from './errors.js';
+import { HttpClient } from './client.js';
+import { RetryPolicy } from './retry.js';
+import { IndexedDBStorage } from '../../device/storage/indexeddb-storage.js';
+import { EnvInfo } from '../../device/detection/envInfo.js';
+import { ServiceWorkerManager } from '../serviceWorker/serviceWorker.js';
+import { WorkerMessenger } from '../serviceWorker/messaging.js';
+
+/**
+ * Offline queue for mutations (POST, PUT, PATCH, DELETE...) that failed for lack of a network.
+ *
+ * Queued requests are stored in IndexedDB and replayed in order with fetch: by the service worker through the
+ * Background Sync API when the page is controlled by a worker and the browser supports it, otherwise by the page
+ * when it comes back online. Requests queued with the same key replace each other, so only the latest version of
+ * an edit is sent.
+ *
+ * Events: 'queued', 'success', 'failure' (the server rejected the request; it is dropped), 'retry' (the replay
+ * stopped on a network error or a 5xx/408/429 status; the request stays queued), 'expired' (dropped after
+ * `maxRetention`) and 'replayed' (a summary once a replay ends). Handlers receive `{ entry, status, error }`
+ * (the summary for 'replayed'), where error is a message. Events of a replay run by the worker are forwarded to
+ * the queue's handlers in every page.
+ *
+ * @example
+ * // In the page
+ * const queue = new SyncQueue('outbox');
+ * queue.attach(RequestServer.defaultClient);
+ * queue.on('success', ({ entry }) => showToast(`Saved ${entry.url}`));
+ * queue.listen();
+ *
+ * // In the service worker
+ * new SyncQueue('outbox').listen();
+ * @class
+ */
+export class SyncQueue {
+    /**
+     * @constructor
+     * @param {string} [name='default'] - The queue name. Page and worker must use the same one.
+     * @param {Object} [options] - Options for the queue.
+     * @param {IndexedDBStorage} [options.storage] - Where entries are kept. Defaults to the store `name` of the
+     * 'butility-sync-queue' database.
+     * @param {number} [options.maxRetention=604800000] - Milliseconds after which a queued request is dropped
+     * instead of replayed (7 days).
+     * @param {Object} [options.backoff] - How long a page without Background Sync waits before replaying again after
+     * a network failure, see RetryPolicy (`baseDelay` (default 5000), `maxDelay` (default 300000), `factor`, `jitter`).
+     */
+    constructor(name = 'default', options = {}) {
+        this.name = name;
+        this.storage = options.storage || new IndexedDBStorage('butility-sync-queue', name);
+        this.maxRetention = options.maxRetention ?? 7 * 24 * 60 * 60 * 1000;
+        this.syncTag = `butility-sync:${name}`;
+        this.listeners = new Map();
+        this.replaying = null;
+        this.forwarding = false;
+        this.sequence = 0;
+        this.backoff = new RetryPolicy({ retries: Infinity, baseDelay: 5000, maxDelay: 300000, ...options.backoff });
+    }
+
+    /**
+     * Stores a request for replay. A queued request with the same key is replaced, keeping its place in the queue.
+     * @param {Object|Request} request - A request config (`{ method, url, headers, params, data, withCredentials }`,
+     * as used by HttpClient) or a Fetch API Request.
+     * @param {Object} [options] - Options for the entry.
+     * @param {string} [options.key] - The deduplication key.
+     * @returns {Promise<Object>} - A promise that resolves with the stored entry.
+     */
+    async enqueue(request, options = {}) {
+        const entry = await SyncQueue.createEntry(request);
+        const key = options.key ?? null;
+        const id = key !== null ? `key:${key}` : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        const existing = key !== null ? await this.storage.get(id) : undefined;
+
+        const stored = {
+            ...entry,
+            id,
+            key,
+            queuedAt: existing ? existing.queuedAt : Date.now(),
+            // Orders entries queued in the same millisecond
+            sequence: existing ? existing.sequence : this.sequence++,
+            // Tells a replaced entry from the one a replay in progress is sending
+            revision: existing ? existing.revision + 1 : 0,
+            attempts: 0
+        };
+
+        await this.storage.set(id, stored);
+        this.emit('queued', { entry: stored });
+        await this.requestSync();
+        return stored;
+    }
+
+    /**
+     * Lists the queued requests in replay order.
+     * @returns {Promise<Array<Object>>} - A promise that resolves with the entries.
+     */
+    async entries() {
+        const entries = await this.storage.values();
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt || a.sequence - b.sequence);
+    }
+
+    /**
+     * Counts the queued requests.
+     * @returns {Promise<number>} - A promise that resolves with the number of entries.
+     */
+    async size() {
+        return (await this.storage.keys()).length;
+    }
+
+    /**
+     * Removes a queued request.
+     * @param {string} id - The entry id.
+     * @returns {Promise<void>} - A promise that resolves once the entry is removed.
+     */
+    remove(id) {
+        return this.storage.delete(id);
+    }
+
+    /**
+     * Removes every queued request.
+     * @returns {Promise<void>} - A promise that resolves once the queue is empty.
+     */
+    clear() {
+        return this.storage.clear();
+    }
+
+    /**
+     * Sends the queued requests in order. A replay already in progress is joined rather than started twice.
+     * @returns {Promise<{ succeeded: number, failed: number, expired: number, remaining: number }>} - A promise that
+     * resolves with the outcome once the replay ends.
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.replayEntries().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    /**
+     * Implementation of replay.
+     * @returns {Promise<Object>} - A promise that resolves with the outcome.
+     */
+    async replayEntries() {
+        const summary = { succeeded: 0, failed: 0, expired: 0, remaining: 0 };
+        const entries = await this.entries();
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+
+            if (Date.now() - entry.queuedAt > this.maxRetention) {
+                await this.removeSent(entry);
+                summary.expired++;
+                this.emit('expired', { entry });
+                continue;
+            }
+
+            let response;
+            try {
+                response = await fetch(entry.url, SyncQueue.toFetchOptions(entry));
+            } catch (error) {
+                response = null;
+                await this.deferEntry(entry, { error: error.message });
+            }
+
+            if (response && response.ok) {
+                await this.removeSent(entry);
+                summary.succeeded++;
+                this.emit('success', { entry, status: response.status });
+                continue;
+            }
+
+            if (response && !SyncQueue.isRetryable(response.status)) {
+                await this.removeSent(entry);
+                summary.failed++;
+                this.emit('failure', { entry, status: response.status, error: `Request failed with status ${response.status}` });
+                continue;
+            }
+
+            if (response) {
+                await this.deferEntry(entry, { status: response.status, error: `Request failed with status ${response.status}` });
+            }
+
+            // Keep the order: later requests may depend on this one
+            summary.remaining = entries.length - i;
+            break;
+        }
+
+        this.emit('replayed', summary);
+        return summary;
+    }
+
+    /**
+     * Removes an entry after it was sent or dropped, unless it was replaced in the meantime.
+     * @param {Object} entry - The entry.
+     * @returns {Promise<void>} - A promise that resolves once the entry is removed.
+     */
+    async removeSent(entry) {
+        const current = await this.storage.get(entry.id);
+        if (current && current.revision === entry.revision) {
+            await this.storage.delete(entry.id);
+        }
+    }
+
+    /**
+     * Records a failed attempt of an entry that stays queued.
+     * @param {Object} entry - The entry.
+     * @param {Object} detail - The status and error of the attempt.
+     * @returns {Promise<void>} - A promise that resolves once the entry is updated.
+     */
+    async deferEntry(entry, detail) {
+        entry.attempts++;
+        const current = await this.storage.get(entry.id);
+        if (current && current.revision === entry.revision) {
+            await this.storage.set(entry.id, entry);
+        }
+        this.emit('retry', { entry, status: null, ...detail });
+    }
+
+    /**
+     * Starts replaying automatically.
+     *
+     * In the service worker, the queue replays on its Background Sync event; a replay that stops on a network
+     * failure rejects, so the browser schedules another attempt. In a page, replays are left to the worker when
+     * Background Sync is available, and otherwise happen now (if online), after every enqueue, when the page
+     * becomes visible and on every 'online' event. A replay that stops on a network failure is tried again with
+     * backoff, since the browser may report being online while the server cannot be reached.
+     * @returns {Function} - A function that stops the automatic replays.
+     */
+    listen() {
+        if (SyncQueue.isServiceWorker()) {
+            const onSync = event => {
+                if (event.tag !== this.syncTag) return;
+
+                event.waitUntil(this.replay().then(summary => {
+                    if (summary.remaining) {
+                        throw new Error(`${summary.remaining} queued request(s) could not be sent yet.`);
+                    }
+                }));
+            };
+            self.addEventListener('sync', onSync);
+            return () => self.removeEventListener('sync', onSync);
+        }
+
+        if (SyncQueue.canUseBackgroundSync()) {
+            return () => {};
+        }
+
+        let attempt = 0;
+        let retryTimer = null;
+        let stopped = false;
+
+        const replayIfOnline = () => {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+
+            EnvInfo.getNetworkStatus(online => {
+                // null means the status is unknown, so it is worth a try
+                if (stopped || online === false) return;
+
+                // Wait for a replay in progress, which may have read the entries before a new one was queued
+                Promise.resolve(this.replaying).catch(() => {}).then(() => this.replay()).then(summary => {
+                    if (stopped || !summary.remaining) {
+                        attempt = 0;
+                        return;
+                    }
+                    if (!retryTimer) {
+                        retryTimer = setTimeout(replayIfOnline, this.backoff.getDelay(++attempt));
+                    }
+                }).catch(error => console.error('Failed to replay the sync queue:', error));
+            });
+        };
+        const onOnline = () => {
+            attempt = 0;
+            replayIfOnline();
+        };
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'visible') replayIfOnline();
+        };
+
+        replayIfOnline();
+        const offQueued = this.on('queued', replayIfOnline);
+        window.addEventListener('online', onOnline);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            offQueued();
+            window.removeEventListener('online', onOnline);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        };
+    }
+
+    /**
+     * Queues the non-GET requests of a client that fail with a NetworkError.
+     *
+     * The caller still receives the NetworkError, marked with `queued: true` and the `queueEntry`, or with
+     * `queued: false` and the `queueError` when the request could not be stored. A request config can opt out
+     * with `queue: false` and set its deduplication key with `queueKey`.
+     * @param {HttpClient} client - The client, e.g. RequestServer.defaultClient.
+     * @param {Object} [options] - Options for the integration.
+     * @param {Array<string>} [options.methods=['POST', 'PUT', 'PATCH', 'DELETE']] - The methods to queue.
+     * @returns {Function} - A function that removes the integration.
+     */
+    attach(client, options = {}) {
+        const methods = (options.methods || ['POST', 'PUT', 'PATCH', 'DELETE']).map(method => method.toUpperCase());
+
+        const id = client.interceptors.response.use(undefined, async error => {
+            const config = error && error.request;
+            const shouldQueue = error instanceof NetworkError
+                && config
+                && config.queue !== false
+                && methods.includes(String(config.method || 'GET').toUpperCase());
+
+            if (shouldQueue) {
+                try {
+                    error.queueEntry = await this.enqueue(config, { key: config.queueKey });
+                    error.queued = true;
+                } catch (queueError) {
+                    // Storage being unavailable or full must not hide the network failure from the caller
+                    console.error('Failed to queue the request for background sync:', queueError);
+                    error.queued = false;
+                    error.queueError = queueError;
+                }
+            }
+            throw error;
+        });
+
+        return () => client.interceptors.response.eject(id);
+    }
+
+    /**
+     * Subscribes to a queue event.
+     * @param {string} type - 'queued', 'success', 'failure', 'retry', 'expired' or 'replayed'.
+     * @param {Function} handler - Called with the event details.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    on(type, handler) {
+        this.forwardWorkerEvents();
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a subscription.
+     * @param {string} type - The event type.
+     * @param {Function} handler - The handler passed to on.
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Calls every handler subscribed to an event and, in the service worker, forwards it to the pages.
+     * @param {string} type - The event type.
+     * @param {Object} detail - The event details.
+     */
+    emit(type, detail) {
+        this.dispatch(type, detail);
+
+        if (SyncQueue.isServiceWorker()) {
+            WorkerMessenger.broadcast(`sync-queue:${this.name}`, { event: type, detail })
+                .catch(error => console.error('Failed to notify pages about the sync queue:', error));
+        }
+    }
+
+    /**
+     * Calls every handler subscribed to an event.
+     * @param {string} type - The event type.
+     * @param {Object} detail - The event details.
+     */
+    dispatch(type, detail) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in sync queue "${type}" handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * In a page, relays the events of replays run by the service worker to this queue's handlers, once.
+     */
+    forwardWorkerEvents() {
+        if (this.forwarding || SyncQueue.isServiceWorker()) return;
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+        this.forwarding = true;
+
+        ServiceWorkerManager.onMessage(`sync-queue:${this.name}`, ({ event, detail }) => this.dispatch(event, detail));
+    }
+
+    /**
+     * Asks for a Background Sync event, from the page or from the worker.
+     * @returns {Promise<boolean>} - A promise that resolves to true if a sync was registered.
+     */
+    async requestSync() {
+        try {
+            if (SyncQueue.isServiceWorker()) {
+                if (!self.registration.sync) return false;
+                await self.registration.sync.register(this.syncTag);
+                return true;
+            }
+
+            if (!SyncQueue.canUseBackgroundSync()) return false;
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(this.syncTag);
+            return true;
+        } catch (error) {
+            // Permission may be denied; the online fallback still replays the queue
+            return false;
+        }
+    }
+
+    /**
+     * Converts a request into the storable fields of an entry.
+     * @param {Object|Request} request - A request config or a Fetch API Request.
+     * @returns {Promise<Object>} - A promise that resolves with `{ method, url, headers, body, formData, credentials }`.
+     */
+    static async createEntry(request) {
+        if (typeof Request !== 'undefined' && request instanceof Request) {
+            const hasBody = !['GET', 'HEAD'].includes(request.method);
+            return {
+                method: request.method,
+                url: request.url,
+                headers: Object.fromEntries(request.headers.entries()),
+                body: hasBody ? await request.clone().blob() : null,
+                formData: null,
+                credentials: request.credentials
+            };
+        }
+
+        const headers = { ...request.headers };
+        let body = HttpClient.serializeBody(request.data, headers);
+        let formData = null;
+
+        // FormData and URLSearchParams cannot be stored in IndexedDB
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            formData = [...body.entries()];
+            body = null;
+        } else if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+            }
+            body = body.toString();
+        }
+
+        return {
+            method: String(request.method || 'POST').toUpperCase(),
+            url: HttpClient.buildURL(request.url, request.params),
+            headers,
+            body,
+            formData,
+            credentials: request.withCredentials ? 'include' : 'same-origin'
+        };
+    }
+
+    /**
+     * Builds the fetch options that replay an entry.
+     * @param {Object} entry - The entry.
+     * @returns {Object} - The fetch options.
+     */
+    static toFetchOptions(entry) {
+        let body = entry.body;
+        if (entry.formData) {
+            body = new FormData();
+            entry.formData.forEach(([name, value]) => body.append(name, value));
+        }
+
+        return { method: entry.method, headers: entry.headers, body, credentials: entry.credentials };
+    }
+
+    /**
+     * Tells whether a failed status is worth retrying later rather than dropping.
+     * @param {number} status - The HTTP status.
+     * @returns {boolean} - True for 408, 429 and 5xx.
+     */
+    static isRetryable(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Tells whether the code runs in a service worker.
+     * @returns {boolean} - True in a service worker.
+     */
+    static isServiceWorker() {
+        return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+    }
+
+    /**
+     * Tells whether a page can hand replays to its service worker through Background Sync.
+     * @returns {boolean} - True if a worker controls the page and the browser supports Background Sync.
+     */
+    static canUseBackgroundSync() {
+        return typeof navigator !== 'undefined'
+            && 'serviceWorker' in navigator
+            && Boolean(navigator.serviceWorker.controller)
+            && typeof SyncManager !== 'undefined';
+    }
+}
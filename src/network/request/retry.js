@@ -0,0 +1,171 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { AbortError, HttpError, NetworkError, TimeoutError } from './errors.js';
+
+/**
+ * Decides whether and when a failed request should be sent again.
+ * @class
+ */
+export class RetryPolicy {
+    /**
+     * @constructor
+     * @param {number|Object} [options] - The number of retries, or the full policy.
+     * @param {number} [options.retries=0] - How many times a failed request is retried (0 disables retrying).
+     * @param {string[]} [options.methods] - The HTTP methods that are safe to retry. Defaults to the idempotent methods.
+     * @param {number[]} [options.statusCodes] - The response status codes that are retried.
+     * @param {boolean} [options.retryOnNetworkError=true] - Whether requests that got no response are retried.
+     * @param {boolean} [options.retryOnTimeout=true] - Whether requests that timed out are retried.
+     * @param {number} [options.baseDelay=300] - The delay before the first retry, in milliseconds.
+     * @param {number} [options.maxDelay=30000] - The upper bound of any delay, in milliseconds.
+     * @param {number} [options.factor=2] - The multiplier applied to the delay after each attempt.
+     * @param {boolean} [options.jitter=true] - Whether to randomize delays so clients do not retry in lockstep.
+     * @param {boolean} [options.respectRetryAfter=true] - Whether a Retry-After response header overrides the computed delay.
+     * @param {Function} [options.shouldRetry] - Custom predicate `(error, attempt) => boolean` replacing the built-in checks.
+     */
+    constructor(options = {}) {
+        const config = typeof options === 'number' ? { retries: options } : (options || {});
+
+        this.retries = config.retries || 0;
+        this.methods = (config.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']).map(method => method.toUpperCase());
+        this.statusCodes = config.statusCodes || [408, 425, 429, 500, 502, 503, 504];
+        this.retryOnNetworkError = config.retryOnNetworkError !== false;
+        this.retryOnTimeout = config.retryOnTimeout !== false;
+        this.baseDelay = config.baseDelay !== undefined ? config.baseDelay : 300;
+        this.maxDelay = config.maxDelay !== undefined ? config.maxDelay : 30000;
+        this.factor = config.factor || 2;
+        this.jitter = config.jitter !== false;
+        this.respectRetryAfter = config.respectRetryAfter !== false;
+        this.customShouldRetry = config.shouldRetry || null;
+    }
+
+    /**
+     * Creates a policy from a number, an options object or an existing policy.
+     * @param {number|Object|RetryPolicy} [retry] - The retry setting of a request.
+     * @returns {RetryPolicy} - The policy.
+     */
+    static from(retry) {
+        return retry instanceof RetryPolicy ? retry : new RetryPolicy(retry);
+    }
+
+    /**
+     * Checks whether a failed attempt should be retried.
+     * @param {Error} error - The error of the failed attempt.
+     * @param {number} attempt - The number of the failed attempt, starting at 1.
+     * @param {string} [method='GET'] - The HTTP method of the request.
+     * @returns {boolean} - True if the request should be sent again.
+     */
+    shouldRetry(error, attempt, method = 'GET') {
+        if (attempt > this.retries || error instanceof AbortError) {
+            return false;
+        }
+
+        if (this.customShouldRetry) {
+            return !!this.customShouldRetry(error, attempt);
+        }
+
+        if (!this.methods.includes(method.toUpperCase())) {
+            return false;
+        }
+
+        if (error instanceof HttpError) return this.statusCodes.includes(error.status);
+        if (error instanceof TimeoutError) return this.retryOnTimeout;
+        if (error instanceof NetworkError) return this.retryOnNetworkError;
+        return false;
+    }
+
+    /**
+     * Computes how long to wait before the next attempt.
+     * @param {number} attempt - The number of the failed attempt, starting at 1.
+     * @param {Error} [error] - The error of the failed attempt, used to read Retry-After.
+     * @returns {number} - The delay in milliseconds.
+     */
+    getDelay(attempt, error) {
+        if (this.respectRetryAfter && error && error.headers) {
+            const retryAfter = RetryPolicy.parseRetryAfter(error.headers['retry-after']);
+            if (retryAfter !== null) {
+                return Math.min(retryAfter, this.maxDelay);
+            }
+        }
+
+        const delay = Math.min(this.baseDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+
+        // "Equal jitter": keep half of the delay and randomize the other half
+        return this.jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+    }
+
+    /**
+     * Runs a task, running it again according to the policy while it fails.
+     * @param {Function} task - Called with the attempt number; returns a promise.
+     * @param {Object} [options] - Options for the run.
+     * @param {string} [options.method='GET'] - The HTTP method, used to check whether retrying is safe.
+     * @param {AbortSignal} [options.signal] - Cancels the pending delay between attempts.
+     * @param {Function} [options.onRetry] - Called with `(error, attempt, delay)` before each retry.
+     * @returns {Promise<*>} - A promise that resolves with the result of the first successful attempt.
+     */
+    async run(task, { method = 'GET', signal, onRetry } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await task(attempt);
+            } catch (error) {
+                if (!this.shouldRetry(error, attempt, method)) {
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt, error);
+                if (onRetry) {
+                    onRetry(error, attempt, delay);
+                }
+                await RetryPolicy.wait(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Parses a Retry-After header, given either in seconds or as an HTTP date.
+     * @param {string} [value] - The header value.
+     * @returns {number|null} - The delay in milliseconds, or null if the header is missing or invalid.
+     */
+    static parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Waits for the given time, rejecting early with an AbortError if the signal fires.
+     * @param {number} ms - The time to wait in milliseconds.
+     * @param {AbortSignal} [signal] - The signal that cancels the wait.
+     * @returns {Promise<void>} - A promise that resolves after the delay.
+     */
+    static wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new AbortError('Request was aborted', { reason: signal.reason }));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError('Request was aborted', { reason: signal.reason }));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+}
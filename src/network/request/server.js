@@ -4,12 +4,102 @@
  * @license MIT
  */
 
+import { AbortError, HttpError, NetworkError, TimeoutError } from './errors.js';
+import { HttpClient } from './client.js';
+import { RetryPolicy } from './retry.js';
+import { GraphQLClient } from './graphql.js';
 
 /**
  * Utility class for making AJAX requests and handling JSONP and Fetch API.
  * @class
  */
 export class RequestServer {
+    /**
+     * The client used by the static methods of this class.
+     * Interceptors added to RequestServer.interceptors apply to all of them.
+     * @type {HttpClient}
+     */
+    static defaultClient = new HttpClient();
+
+    /**
+     * The interceptor chains of the default client.
+     * @type {{request: InterceptorChain, response: InterceptorChain}}
+     */
+    static get interceptors() {
+        return this.defaultClient.interceptors;
+    }
+
+    /**
+     * Creates a client instance with its own defaults and interceptor chains.
+     * @param {Object} [config] - Defaults applied to every request made with the client.
+     * @param {string} [config.baseURL] - Prefixed to every relative request URL.
+     * @param {Object} [config.headers] - Headers sent with every request.
+     * @param {number} [config.timeout=0] - Timeout of each attempt in milliseconds (0 disables it).
+     * @param {number|Object|RetryPolicy} [config.retry=0] - The retry policy for every request (see RetryPolicy).
+     * @param {ResponseCache} [config.cache] - Caches and deduplicates GET requests (see ResponseCache).
+     * @param {Object} [config.transport] - Sends the requests, e.g. a MockTransport in tests (see XhrTransport).
+     * @returns {HttpClient} - The configured client.
+     *
+     * @example
+     * const api = RequestServer.create({ baseURL: '/api', headers: { Accept: 'application/json' } });
+     * api.interceptors.request.use(config => ({
+     *     ...config,
+     *     headers: { ...config.headers, Authorization: `Bearer ${getToken()}` }
+     * }));
+     * const { body } = await api.get('/users', { page: 2 });
+     *
+     * @example
+     * // Deduplicate and cache GET requests, serving stale data for up to a minute while refreshing it
+     * const cached = RequestServer.create({
+     *     baseURL: '/api',
+     *     cache: new ResponseCache({ ttl: 30000, staleWhileRevalidate: 60000, store: new IndexedDBStorage('api-cache') })
+     * });
+     */
+    static create(config = {}) {
+        return new HttpClient(config);
+    }
+
+    /**
+     * Sends an HTTP request through the default client and resolves with the parsed response.
+     * Every other request method of this class is built on top of this one.
+     * @param {Object} options - The options for the request.
+     * @param {string} options.url - The URL to make the request to.
+     * @param {string} [options.method='GET'] - The HTTP method for the request.
+     * @param {Object} [options.params] - Query string parameters appended to the URL.
+     * @param {*} [options.data] - The request body. Plain objects and arrays are sent as JSON,
+     * strings, FormData, URLSearchParams, Blobs and buffers are sent as they are.
+     * @param {Object} [options.headers] - Additional headers to include in the request.
+     * @param {string} [options.responseType='auto'] - How to read the body: 'auto' (by Content-Type),
+     * 'json', 'text', 'blob', 'arraybuffer' or 'document'.
+     * @param {boolean} [options.withCredentials=false] - Whether to send cookies on cross-origin requests.
+     * @param {number} [options.timeout=0] - Timeout of each attempt in milliseconds (0 disables it).
+     * @param {AbortSignal} [options.signal] - Cancels the request, including any pending retry.
+     * @param {number|Object|RetryPolicy} [options.retry=0] - How many times, or under which policy, to retry
+     * failed requests (see RetryPolicy). Retries use exponential backoff with jitter and honor Retry-After.
+     * @param {Function} [options.onRetry] - Called with `(error, attempt, delay)` before each retry.
+     * @param {ResponseCache|false} [options.cache] - The cache for a GET request, or false to bypass the client's cache.
+     * @param {Function} [options.onUploadProgress] - Receives `{ loaded, total, percent, rate, eta }` while the body is sent.
+     * @param {Function} [options.onDownloadProgress] - Receives `{ loaded, total, percent, rate, eta }` while the response is received.
+     * @returns {Promise<{status: number, statusText: string, headers: Object, body: *, url: string, request: Object}>}
+     * A promise that resolves with the response, or rejects with an HttpError (non-2xx status),
+     * a NetworkError (no response received), a TimeoutError or an AbortError.
+     */
+    static request(options) {
+        return this.defaultClient.request(options);
+    }
+
+    /**
+     * Routes a request promise to a legacy single-argument callback (not a Node-style `(err, result)` one).
+     * The callback receives the response body on success, or null on failure.
+     * @param {Promise<Object>} promise - The request promise.
+     * @param {function} callback - The legacy callback.
+     */
+    static callbackify(promise, callback) {
+        promise
+            .then(response => callback(response.body))
+            .catch(() => callback(null));
+    }
+
     /**
      * Makes an AJAX request with the provided options.
      * @param {Object} options - The options for the AJAX request.
@@ -17,229 +107,357 @@ export class RequestServer {
      * @param {string} options.url - The URL to make the request to.
      * @param {Object} [options.headers] - Additional headers to include in the request.
      * @param {string|FormData} [options.data] - The data to include in the request body.
+     * @param {number} [options.timeout] - Timeout of each attempt in milliseconds.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @param {number|Object} [options.retry] - The retry policy (see RetryPolicy).
      * @param {function} [options.success] - Callback function to handle a successful response.
      * @param {function} [options.error] - Callback function to handle an error response.
+     * Receives a message and the error object.
      */
     static ajax(options) {
-        const xhr = new XMLHttpRequest();
-    
-        xhr.open(options.method, options.url, true);
-    
-        // Set custom headers if provided
-        if (options.headers) {
-            for (const [key, value] of Object.entries(options.headers)) {
-                xhr.setRequestHeader(key, value);
-            }
-        }
-  
-        // Set up callback for successful response
-        xhr.onload = function () {
-            if (xhr.status >= 200 && xhr.status < 300) {
-                if (options.success) {
-                    options.success(xhr.responseText);
+        const { success, error, ...config } = options;
+
+        this.request({ ...config, responseType: 'text' })
+            .then(response => {
+                if (success) {
+                    success(response.body);
                 }
-            } else {
-                if (options.error) {
-                    options.error(`Request failed with status ${xhr.status}`);
+            })
+            .catch(err => {
+                if (error) {
+                    error(err instanceof NetworkError ? 'Request failed' : err.message, err);
                 }
-            }
-        };
-  
-        // Set up callback for error response
-        xhr.onerror = function () {
-            if (options.error) {
-                options.error('Request failed');
-            }
-        };
-  
-        // Send the request with the provided data
-        xhr.send(options.data);
+            });
     }
 
     /**
      * Makes a GET request.
+     * When a callback is given, it receives the JSON-parsed body or null on failure;
+     * otherwise a promise resolving with the full response is returned.
      * @param {string} url - The URL for the GET request.
-     * @param {Object} data - The data to be sent with the request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {Object} [data] - Query string parameters to send with the request.
+     * @param {function|Object} [callback] - The callback function, or request options for the promise form.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
      */
     static get(url, data, callback) {
-        const xhr = new XMLHttpRequest();
-
-        // Constructing the query string from the data object
-        const queryString = Object.entries(data).map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
-    
-        // Appending the query string to the URL if data is provided
-        const fullUrl = data ? `${url}?${queryString}` : url;
-    
-        xhr.open('GET', fullUrl, true);
-    
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === XMLHttpRequest.DONE) {
-                if (xhr.status === 200) {
-                    // Successful response, invoke the callback with the parsed response
-                    callback(JSON.parse(xhr.responseText));
-                } else {
-                    // Error response, invoke the callback with null
-                    callback(null);
-                }
-            }
-        };
-    
-        xhr.send();
-    
+        return this.dispatch('GET', url, { params: data }, callback);
     }
 
     /**
      * Makes a POST request.
+     * When a callback is given, it receives the JSON-parsed body or null on failure;
+     * otherwise a promise resolving with the full response is returned.
      * @param {string} url - The URL for the POST request.
-     * @param {Object} data - The data to be sent with the request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {*} data - The data to be sent with the request.
+     * @param {function|Object} [callback] - The callback function, or request options for the promise form.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
      */
     static post(url, data, callback) {
-        const xhr = new XMLHttpRequest();
-
-        xhr.open('POST', url, true);
-        xhr.setRequestHeader('Content-Type', 'application/json');
-
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === XMLHttpRequest.DONE) {
-                if (xhr.status === 200) {
-                    // Successful response, invoke the callback with the parsed response
-                    callback(JSON.parse(xhr.responseText));
-                } else {
-                    // Error response, invoke the callback with null
-                    callback(null);
-                }
-            }
-        };
-
-        // Convert the data object to a JSON string and send it
-        xhr.send(JSON.stringify(data));
+        return this.dispatch('POST', url, { data }, callback);
     }
 
     /**
      * Makes a PUT request.
+     * When a callback is given, it receives the JSON-parsed body or null on failure;
+     * otherwise a promise resolving with the full response is returned.
      * @param {string} url - The URL for the PUT request.
-     * @param {Object} data - The data to be sent with the request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {*} data - The data to be sent with the request.
+     * @param {function|Object} [callback] - The callback function, or request options for the promise form.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
      */
     static put(url, data, callback) {
-        const xhr = new XMLHttpRequest();
-
-        xhr.open('PUT', url, true);
-        xhr.setRequestHeader('Content-Type', 'application/json');
-
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === XMLHttpRequest.DONE) {
-                if (xhr.status === 200) {
-                    // Successful response, invoke the callback with the parsed response
-                    callback(JSON.parse(xhr.responseText));
-                } else {
-                    // Error response, invoke the callback with null
-                    callback(null);
-                }
-            }
-        };
-
-        // Convert the data object to a JSON string and send it
-        xhr.send(JSON.stringify(data));
+        return this.dispatch('PUT', url, { data }, callback);
     }
 
     /**
      * Makes a PATCH request.
+     * When a callback is given, it receives the JSON-parsed body or null on failure;
+     * otherwise a promise resolving with the full response is returned.
      * @param {string} url - The URL for the PATCH request.
-     * @param {Object} data - The data to be sent with the request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {*} data - The data to be sent with the request.
+     * @param {function|Object} [callback] - The callback function, or request options for the promise form.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
      */
     static patch(url, data, callback) {
-        const xhr = new XMLHttpRequest();
-
-        xhr.open('PATCH', url, true);
-        xhr.setRequestHeader('Content-Type', 'application/json');
-
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === XMLHttpRequest.DONE) {
-                if (xhr.status === 200) {
-                    // Successful response, invoke the callback with the parsed response
-                    callback(JSON.parse(xhr.responseText));
-                } else {
-                    // Error response, invoke the callback with null
-                    callback(null);
-                }
-            }
-        };
-
-        // Convert the data object to a JSON string and send it
-        xhr.send(JSON.stringify(data));
+        return this.dispatch('PATCH', url, { data }, callback);
     }
 
     /**
      * Makes a DELETE request.
+     * When a callback is given, it receives the JSON-parsed body or null on failure;
+     * otherwise a promise resolving with the full response is returned.
      * @param {string} url - The URL for the DELETE request.
-     * @param {Object} data - The data to be sent with the request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {Object} [data] - Query string parameters to send with the request.
+     * @param {function|Object} [callback] - The callback function, or request options for the promise form.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
      */
     static deleteRequest(url, data, callback) {
-        const xhr = new XMLHttpRequest();
+        return this.dispatch('DELETE', url, { params: data }, callback);
+    }
 
-        // Constructing the query string from the data object
-        const queryString = Object.entries(data).map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
+    /**
+     * Makes a DELETE request and returns a promise. Alias of deleteRequest without the callback form.
+     * @param {string} url - The URL for the DELETE request.
+     * @param {Object} [params] - Query string parameters to send with the request.
+     * @param {Object} [options] - Additional request options.
+     * @returns {Promise<Object>} - A promise that resolves with the response.
+     */
+    static delete(url, params, options = {}) {
+        return this.request({ ...options, method: 'DELETE', url, params });
+    }
 
-        // Appending the query string to the URL if data is provided
-        const fullUrl = data ? `${url}?${queryString}` : url;
+    /**
+     * Shared implementation of the verb shortcuts, supporting both the callback and the promise form.
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The request URL.
+     * @param {Object} payload - The params or data of the request.
+     * @param {function|Object} [callbackOrOptions] - A legacy callback, or request options.
+     * @returns {Promise<Object>|undefined} - The response promise when no callback is given.
+     */
+    static dispatch(method, url, payload, callbackOrOptions) {
+        if (typeof callbackOrOptions === 'function') {
+            // Legacy callers always received a JSON-parsed body
+            this.callbackify(this.request({ method, url, ...payload, responseType: 'json' }), callbackOrOptions);
+            return;
+        }
 
-        xhr.open('DELETE', fullUrl, true);
+        return this.request({ ...callbackOrOptions, method, url, ...payload });
+    }
 
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === XMLHttpRequest.DONE) {
-                if (xhr.status === 200) {
-                    callback(JSON.parse(xhr.responseText));
-                } else {
-                    callback(null);
-                }
-            }
-        };
+    /**
+     * Sends a GraphQL operation. It goes through the same client, interceptors and retry policy as
+     * the other requests, and GraphQL `errors` are reported as a GraphQLError even on HTTP 200.
+     * Use a GraphQLClient instance to reuse persisted query hashes or batch operations automatically.
+     * @param {string} endpoint - The GraphQL endpoint.
+     * @param {string} query - The GraphQL document.
+     * @param {Object} [variables] - The variables.
+     * @param {Object} [options] - Options for the operation.
+     * @param {HttpClient} [options.client] - The client to send the request with. Defaults to RequestServer.defaultClient.
+     * @param {string} [options.operationName] - The operation to run when the document has several.
+     * @param {boolean} [options.persistedQueries=false] - Whether to send the query hash first (APQ).
+     * @param {Object} [options.headers] - Additional headers.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @returns {Promise<*>} - A promise that resolves with the `data` of the result.
+     */
+    static graphql(endpoint, query, variables = {}, options = {}) {
+        const { client, persistedQueries, ...operation } = options;
+        return new GraphQLClient(endpoint, { client, persistedQueries })
+            .request({ ...operation, batch: false, query, variables });
+    }
 
-        xhr.send();
+    /**
+     * Sends several GraphQL operations in a single HTTP request.
+     * @param {string} endpoint - The GraphQL endpoint, which must accept batched (array) bodies.
+     * @param {Array<{query: string, variables: (Object|undefined), operationName: (string|undefined)}>} operations - The operations.
+     * @param {Object} [options] - Options for the request (client, persistedQueries, headers, signal).
+     * @returns {Promise<Array<{data: *, errors: (Array|undefined), error: (GraphQLError|undefined)}>>} - A promise that
+     * resolves with one settled result per operation, in order.
+     */
+    static graphqlBatch(endpoint, operations, options = {}) {
+        const { client, persistedQueries, ...requestOptions } = options;
+        return new GraphQLClient(endpoint, { client, persistedQueries }).batch(operations, requestOptions);
     }
 
     /**
      * Makes a JSONP request.
+     * Each request gets its own global callback, which is added to the query string and removed
+     * together with the script element once the request settles and the script can no longer run.
      * @param {string} url - The URL for the JSONP request.
-     * @param {function} callback - The callback function to handle the response.
+     * @param {function|Object} [callback] - The callback function receiving the data (or null and the error),
+     * or the options for the promise form.
+     * @param {Object} [options] - Options for the request when a callback is given.
+     * @param {string} [options.callbackParam='callback'] - The query string parameter that names the callback.
+     * @param {string} [options.callbackName] - A fixed callback name; a unique one is generated by default.
+     * @param {Object} [options.params] - Additional query string parameters.
+     * @param {number} [options.timeout=15000] - Timeout in milliseconds (0 disables it).
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @returns {Promise<*>|undefined} - When no callback is given, a promise that resolves with the data, or rejects
+     * with a NetworkError (script failed to load), a TimeoutError or an AbortError.
      */
-    static jsonp(url, callback) {
-        const script = document.createElement('script');
-        script.src = url;
-        document.head.appendChild(script);
+    static jsonp(url, callback, options = {}) {
+        if (typeof callback !== 'function') {
+            return this.loadJsonp(url, callback || {});
+        }
 
-        window.jsonpCallback = function (data) {
-            callback(data);
-            document.head.removeChild(script);
-            delete window.jsonpCallback;
-        };
+        this.loadJsonp(url, options)
+            .then(data => callback(data))
+            .catch(error => callback(null, error));
+    }
+
+    /**
+     * Promise implementation of jsonp.
+     * @param {string} url - The URL for the JSONP request.
+     * @param {Object} options - The options described on jsonp.
+     * @returns {Promise<*>} - A promise that resolves with the data passed to the callback.
+     */
+    static loadJsonp(url, options) {
+        const {
+            callbackParam = 'callback',
+            callbackName = `butility_jsonp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            params = {},
+            timeout = 15000,
+            signal
+        } = options;
+        const request = { url, ...options };
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new AbortError('Request was aborted', { request, reason: signal.reason }));
+                return;
+            }
+
+            const script = document.createElement('script');
+            let timer = null;
+            let settled = false;
+
+            const release = () => {
+                clearTimeout(timer);
+                script.onload = script.onerror = null;
+                if (script.parentNode) script.parentNode.removeChild(script);
+                delete window[callbackName];
+            };
+
+            const settle = (mayStillRun) => {
+                settled = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+
+                if (!mayStillRun) {
+                    release();
+                    return;
+                }
+
+                // A timed out or aborted script may still run later; leave a no-op behind so it does not throw,
+                // until the script has loaded or failed, or at most one more timeout period
+                window[callbackName] = release;
+                timer = setTimeout(release, timeout || 15000);
+            };
+
+            const onAbort = () => {
+                settle(true);
+                reject(new AbortError('Request was aborted', { request, reason: signal.reason }));
+            };
+
+            window[callbackName] = (data) => {
+                settle(false);
+                resolve(data);
+            };
+
+            script.onload = () => {
+                if (settled) {
+                    release();
+                    return;
+                }
+                // The script ran without calling the callback
+                settle(false);
+                reject(new NetworkError(`JSONP script from ${url} did not call ${callbackName}`, { request }));
+            };
+
+            script.onerror = () => {
+                if (settled) {
+                    release();
+                    return;
+                }
+                settle(false);
+                reject(new NetworkError(`Failed to load JSONP script from ${url}`, { request }));
+            };
+
+            if (timeout) {
+                timer = setTimeout(() => {
+                    settle(true);
+                    reject(new TimeoutError(`JSONP request to ${url} timed out after ${timeout}ms`, { request, timeout }));
+                }, timeout);
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            script.src = HttpClient.buildURL(url, { ...params, [callbackParam]: callbackName });
+            script.async = true;
+            document.head.appendChild(script);
+        });
     }
 
     /**
      * Makes a Fetch API request for JSON.
      * @param {string} url - The URL for the Fetch request.
-     * @param {Object} options - Additional options for the Fetch request.
+     * @param {Object} [options] - Additional options for the Fetch request.
+     * @param {number} [options.timeout=0] - Timeout of each attempt in milliseconds (0 disables it).
+     * @param {AbortSignal} [options.signal] - Cancels the request, including any pending retry.
+     * @param {number|Object|RetryPolicy} [options.retry=0] - The retry policy (see RetryPolicy).
+     * @param {function} [callback] - Optional callback receiving the parsed data, or null and the error.
+     * @returns {Promise<*>|undefined} - When no callback is given, a promise that resolves with the parsed JSON,
+     * or rejects with an HttpError, NetworkError, TimeoutError or AbortError.
      */
-    static fetchJson(url, options) {
-        fetch(url, options)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-                return response.json();
-            })
-            .then(data => {
-                // Invoke the provided callback with the parsed response
-                callback(data);
-            })
-            .catch(error => {
-                // Invoke the callback with an error if the request fails
-                callback(null, error);
-            });
+    static fetchJson(url, options = {}, callback) {
+        const { timeout = 0, retry = 0, signal, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+
+        const attempt = () => {
+            const controller = new AbortController();
+            let timedOut = false;
+            const onAbort = () => controller.abort();
+            const timer = timeout ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout) : null;
+
+            if (signal) {
+                if (signal.aborted) controller.abort();
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            return fetch(url, { ...fetchOptions, signal: controller.signal })
+                .then(async response => {
+                    const text = await response.text();
+                    let body = text;
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch (error) {
+                        // Keep the raw text, e.g. for HTML error pages
+                    }
+
+                    if (!response.ok) {
+                        const headers = {};
+                        response.headers.forEach((value, key) => {
+                            headers[key] = value;
+                        });
+                        throw new HttpError(`HTTP error! Status: ${response.status}`, {
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers,
+                            body,
+                            request: { url, ...options }
+                        });
+                    }
+                    return body;
+                })
+                .catch(error => {
+                    if (error instanceof HttpError) throw error;
+                    if (timedOut) {
+                        throw new TimeoutError(`Request to ${url} timed out after ${timeout}ms`, { request: { url, ...options }, timeout });
+                    }
+                    if (controller.signal.aborted) {
+                        throw new AbortError('Request was aborted', { request: { url, ...options }, reason: signal && signal.reason });
+                    }
+                    throw new NetworkError(error.message, { request: { url, ...options } });
+                })
+                .finally(() => {
+                    clearTimeout(timer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                });
+        };
+
+        const promise = RetryPolicy.from(retry).run(attempt, { method, signal });
+
+        if (typeof callback === 'function') {
+            promise
+                .then(data => callback(data))
+                .catch(error => callback(null, error));
+            return;
+        }
+
+        return promise;
     }
 }
@@ -0,0 +1,166 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+/**
+ * Error rejected by ServiceWorkerManager.sendMessage when the worker's handler fails.
+ * It carries the name, message and stack of the error thrown in the worker.
+ * @class
+ */
+export class ServiceWorkerError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Information about the failure.
+     * @param {string} [details.remoteName] - The name of the error thrown in the worker, e.g. 'TypeError'.
+     * @param {string} [details.remoteStack] - Its stack trace.
+     * @param {string} [details.type] - The message type that was being handled.
+     * @param {*} [details.data] - Extra data the handler attached to the error as `error.data`.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ServiceWorkerError';
+        this.remoteName = details.remoteName || 'Error';
+        this.remoteStack = details.remoteStack || null;
+        this.type = details.type || null;
+        this.data = details.data;
+    }
+}
+
+/**
+ * Worker side of the request/response channel between pages and the service worker.
+ *
+ * Pages send typed requests with ServiceWorkerManager.sendMessage; each one arrives with a MessagePort that
+ * carries the handler's result back, or the error it threw. The worker can also broadcast messages to every
+ * page, which receive them through ServiceWorkerManager.onMessage.
+ *
+ * Messages on the channel look like `{ channel: 'butility', kind: 'request' | 'broadcast', type, payload }`,
+ * and replies like `{ ok: true, result }` or `{ ok: false, error: { name, message, stack, data } }`.
+ *
+ * @example
+ * // In the service worker
+ * WorkerMessenger.handle('queue:size', async () => (await queue.keys()).length);
+ * WorkerMessenger.listen();
+ *
+ * // In the page
+ * const size = await ServiceWorkerManager.sendMessage('queue:size');
+ * @class
+ */
+export class WorkerMessenger {
+    static channel = 'butility';
+    static handlers = new Map();
+    static listening = false;
+
+    /**
+     * Registers the handler of a message type, replacing any previous one.
+     * @param {string} type - The message type.
+     * @param {Function} handler - Called with `(payload, event)`. Its return value, or what its promise resolves to,
+     * is sent back; it must be structured-cloneable.
+     * @returns {Function} - A function that removes the handler.
+     */
+    static handle(type, handler) {
+        this.handlers.set(type, handler);
+        return () => {
+            if (this.handlers.get(type) === handler) this.handlers.delete(type);
+        };
+    }
+
+    /**
+     * Adds the worker's message listener. Calling it again does nothing.
+     */
+    static listen() {
+        if (this.listening) return;
+        this.listening = true;
+
+        self.addEventListener('message', event => {
+            const data = event.data;
+            if (!data || data.channel !== this.channel || data.kind !== 'request') return;
+
+            const reply = this.reply(data, event);
+            if (event.waitUntil) event.waitUntil(reply);
+        });
+    }
+
+    /**
+     * Runs the handler of a request and posts the outcome to the request's port.
+     * @param {Object} data - The request message.
+     * @param {ExtendableMessageEvent} event - The message event.
+     * @returns {Promise<void>} - A promise that resolves once the reply is posted.
+     */
+    static async reply(data, event) {
+        const port = event.ports && event.ports[0];
+        const handler = this.handlers.get(data.type);
+        let response;
+
+        try {
+            if (!handler) {
+                throw new Error(`No service worker handler for message type '${data.type}'.`);
+            }
+            response = { ok: true, result: await handler(data.payload, event) };
+        } catch (error) {
+            response = { ok: false, error: this.serializeError(error) };
+        }
+
+        if (!port) return;
+
+        try {
+            port.postMessage(response);
+        } catch (error) {
+            // The result could not be cloned, e.g. it contained a function
+            port.postMessage({ ok: false, error: this.serializeError(error) });
+        }
+    }
+
+    /**
+     * Sends a message to every page controlled by this worker.
+     * @param {string} type - The message type.
+     * @param {*} [payload] - The message payload; it must be structured-cloneable.
+     * @param {Object} [options] - Options for the broadcast.
+     * @param {boolean} [options.includeUncontrolled=false] - Whether to include same-origin pages this worker does not control.
+     * @returns {Promise<number>} - A promise that resolves with the number of pages messaged.
+     */
+    static async broadcast(type, payload, options = {}) {
+        const clients = await self.clients.matchAll({
+            type: 'window',
+            includeUncontrolled: Boolean(options.includeUncontrolled)
+        });
+
+        clients.forEach(client => client.postMessage({ channel: this.channel, kind: 'broadcast', type, payload }));
+        return clients.length;
+    }
+
+    /**
+     * Converts an error into a plain object that survives structured cloning.
+     * @param {*} error - The thrown value.
+     * @returns {{ name: string, message: string, stack: (string|null), data: * }} - The serialized error.
+     */
+    static serializeError(error) {
+        if (error instanceof Error) {
+            let data;
+            try {
+                data = structuredClone(error.data);
+            } catch (e) {
+                data = undefined;
+            }
+            return { name: error.name, message: error.message, stack: error.stack || null, data };
+        }
+        return { name: 'Error', message: String(error), stack: null, data: undefined };
+    }
+
+    /**
+     * Rebuilds an error serialized by serializeError.
+     * @param {Object} error - The serialized error.
+     * @param {string} type - The message type that failed.
+     * @returns {ServiceWorkerError} - The error.
+     */
+    static deserializeError(error, type) {
+        const { name, message, stack, data } = error || {};
+        return new ServiceWorkerError(message || 'The service worker handler failed.', {
+            remoteName: name,
+            remoteStack: stack,
+            type,
+            data
+        });
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { WorkerMessenger } from './messaging.js';
+import { HttpError, NetworkError } from '../request/errors.js';
+
+/**
+ * Web Push in the service worker: shows notifications from push payloads, focuses or opens a page when one is
+ * clicked and renews the subscription when the browser replaces it. It also holds the key and subscription
+ * encoding helpers shared with ServiceWorkerManager's subscription methods.
+ *
+ * A push payload is JSON like `{ title, body, icon, badge, image, tag, data, actions, url, actionUrls }`,
+ * or plain text, which becomes the body. `url` is opened when the notification is clicked and `actionUrls` maps
+ * action names to the URL each action opens.
+ *
+ * @example
+ * // In the service worker
+ * PushNotifications.listen({
+ *     defaultTitle: 'My App',
+ *     defaultOptions: { icon: '/icons/192.png' },
+ *     subscriptionEndpoint: '/api/push/subscription'
+ * });
+ * @class
+ */
+export class PushNotifications {
+    static listening = false;
+
+    /**
+     * Adds the push, notificationclick and pushsubscriptionchange listeners to the worker. Calling it again does nothing.
+     * @param {object} [options] - Options for the listeners.
+     * @param {string} [options.defaultTitle=''] - The title of payloads that have none.
+     * @param {object} [options.defaultOptions={}] - Notification options merged under every payload's.
+     * @param {string} [options.defaultUrl='/'] - The URL opened when a clicked notification names none.
+     * @param {Function} [options.parse] - Turns a push event into a payload, `(event) => payload|null`;
+     * null shows nothing (only allowed for subscriptions made without userVisibleOnly).
+     * @param {string} [options.subscriptionEndpoint] - Where the renewed subscription is POSTed as
+     * `{ oldEndpoint, subscription }` when the browser replaces it, since no page may be open to do it.
+     * @param {boolean} [options.navigateExisting=false] - Whether a clicked notification may navigate an open window
+     * of the app to its URL instead of opening a new one (see focusOrOpen).
+     */
+    static listen(options = {}) {
+        if (this.listening) return;
+        this.listening = true;
+
+        const { defaultUrl = '/', parse = event => this.parsePayload(event.data) } = options;
+
+        self.addEventListener('push', event => {
+            const payload = parse(event);
+            if (payload) {
+                event.waitUntil(this.showNotification(payload, options));
+            }
+        });
+
+        self.addEventListener('notificationclick', event => {
+            const { notification, action } = event;
+            const data = notification.data || {};
+            const url = (action && data.actionUrls && data.actionUrls[action]) || data.url || defaultUrl;
+
+            notification.close();
+            event.waitUntil(this.focusOrOpen(url, { navigateExisting: options.navigateExisting }));
+        });
+
+        self.addEventListener('pushsubscriptionchange', event => {
+            event.waitUntil(this.renewSubscription(event, options.subscriptionEndpoint));
+        });
+    }
+
+    /**
+     * Reads a push payload: JSON when it parses, otherwise the text as the body.
+     * @param {PushMessageData|null} data - The data of the push event.
+     * @returns {object} - The payload.
+     */
+    static parsePayload(data) {
+        if (!data) return {};
+
+        try {
+            const payload = data.json();
+            return payload && typeof payload === 'object' ? payload : { body: String(payload) };
+        } catch (error) {
+            return { body: data.text() };
+        }
+    }
+
+    /**
+     * Shows a notification for a payload.
+     * @param {object} payload - The payload (see the class description).
+     * @param {object} [options] - The defaults of listen (`defaultTitle`, `defaultOptions`).
+     * @returns {Promise<void>} - A promise that resolves once the notification is shown.
+     */
+    static showNotification(payload, options = {}) {
+        const { title, url, actionUrls, data, ...notificationOptions } = payload;
+        const defaults = options.defaultOptions || {};
+
+        return self.registration.showNotification(title || options.defaultTitle || '', {
+            ...defaults,
+            ...notificationOptions,
+            // Kept with the notification so notificationclick knows where to go
+            data: { ...(defaults.data || {}), ...(data || {}), url: url || (data && data.url), actionUrls }
+        });
+    }
+
+    /**
+     * Focuses a window already showing a URL, or opens a new one.
+     * @param {string} url - The URL, relative to the worker's scope.
+     * @param {Object} [options] - Options for the lookup.
+     * @param {boolean} [options.navigateExisting=false] - Whether to navigate a same-origin window on another page of
+     * the app when no window shows the URL. Off by default, since that page may hold unsaved state.
+     * @returns {Promise<WindowClient|null>} - A promise that resolves with the focused or opened window.
+     */
+    static async focusOrOpen(url, options = {}) {
+        const target = new URL(url, self.registration.scope).href;
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+        const strip = href => href.split('#')[0];
+        const exact = windows.find(client => strip(client.url) === strip(target));
+        if (exact) return exact.focus();
+
+        const sameOrigin = options.navigateExisting
+            && windows.find(client => new URL(client.url).origin === new URL(target).origin);
+        if (sameOrigin && 'navigate' in sameOrigin) {
+            try {
+                const navigated = await sameOrigin.navigate(target);
+                if (navigated) return navigated.focus();
+            } catch (error) {
+                // Windows the worker does not control cannot be navigated; open a new one instead
+            }
+        }
+
+        return self.clients.openWindow(target);
+    }
+
+    /**
+     * Subscribes again after the browser replaced or expired the subscription, reports it to the server and
+     * tells open pages through a 'push:subscriptionchange' broadcast (see ServiceWorkerManager.onMessage).
+     * The broadcast is sent even when the POST fails, with `reported: false`, so an open page can report the
+     * subscription itself.
+     * @param {PushSubscriptionChangeEvent} event - The event.
+     * @param {string} [endpoint] - Where the new subscription is POSTed.
+     * @returns {Promise<void>} - A promise that resolves once the change is reported.
+     * @throws Will reject with an HttpError or a NetworkError, after the broadcast, if the POST fails.
+     */
+    static async renewSubscription(event, endpoint) {
+        const oldSubscription = event.oldSubscription || null;
+        let subscription = event.newSubscription || null;
+
+        if (!subscription && oldSubscription && oldSubscription.options) {
+            subscription = await self.registration.pushManager.subscribe(oldSubscription.options);
+        }
+
+        const detail = {
+            oldEndpoint: oldSubscription ? oldSubscription.endpoint : null,
+            subscription: subscription ? this.serializeSubscription(subscription) : null
+        };
+
+        let reportError = null;
+        if (endpoint) {
+            const request = { method: 'POST', url: endpoint };
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ oldEndpoint: detail.oldEndpoint, subscription: detail.subscription })
+                });
+                if (!response.ok) {
+                    reportError = new HttpError(`Request failed with status ${response.status}`, {
+                        status: response.status,
+                        statusText: response.statusText,
+                        request
+                    });
+                }
+            } catch (error) {
+                reportError = new NetworkError(`Network error while requesting ${endpoint}`, { request });
+            }
+            detail.reported = !reportError;
+        }
+
+        await WorkerMessenger.broadcast('push:subscriptionchange', detail, { includeUncontrolled: true });
+
+        if (reportError) {
+            throw reportError;
+        }
+    }
+
+    /**
+     * Converts a push subscription to the JSON a push server needs.
+     * @param {PushSubscription} subscription - The subscription.
+     * @returns {{ endpoint: string, expirationTime: (number|null), keys: { p256dh: string, auth: string } }} - The
+     * serialized subscription, with base64url keys.
+     */
+    static serializeSubscription(subscription) {
+        const key = name => {
+            const value = subscription.getKey && subscription.getKey(name);
+            return value ? this.toBase64Url(value) : null;
+        };
+
+        return {
+            endpoint: subscription.endpoint,
+            expirationTime: subscription.expirationTime ?? null,
+            keys: { p256dh: key('p256dh'), auth: key('auth') }
+        };
+    }
+
+    /**
+     * Decodes a base64url string, such as a VAPID public key, into bytes.
+     * @param {string} value - The base64url (or base64) string.
+     * @returns {Uint8Array} - The bytes.
+     */
+    static fromBase64Url(value) {
+        const base64 = value.trim().replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+        const binary = atob(padded);
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Encodes bytes as an unpadded base64url string.
+     * @param {ArrayBuffer|Uint8Array} bytes - The bytes.
+     * @returns {string} - The base64url string.
+     */
+    static toBase64Url(bytes) {
+        const array = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        let binary = '';
+        array.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
@@ -3,11 +3,30 @@
  * @license MIT
  */
 
+import { WorkerCache } from './worker.js';
+import { WorkerMessenger } from './messaging.js';
+import { PushNotifications } from './push.js';
+import { TimeoutError } from '../request/errors.js';
+import { BrowserStorage } from '../../device/storage/browser-storage.js';
+
 /**
  * Utility class for managing service workers.
+ *
+ * Registrations made with registerServiceWorker (or passed to watchRegistration) are watched for lifecycle
+ * events: 'updatefound', 'installed', 'waiting' and 'controllerchange'. Subscribe with onUpdateFound, onInstalled,
+ * onWaiting and onControllerChange, or with on(type, handler).
  * @class
  */
 export class ServiceWorkerManager {
+    static listeners = new Map();
+    static watchedRegistrations = new Set();
+    static pendingWaiting = new Set();
+    static controllerWatched = false;
+    static messagesWatched = false;
+    static reloading = false;
+    static updateCheck = null;
+    static pushStorageKey = 'butility-push-subscription';
+
     /**
      * Registers a service worker.
      *
@@ -23,6 +42,7 @@ export class ServiceWorkerManager {
         return navigator.serviceWorker.register(url, options)
             .then(registration => {
                 console.log(`Service worker registered with scope: ${registration.scope}`);
+                this.watchRegistration(registration);
                 return registration;
             })
             .catch(error => {
@@ -160,4 +180,658 @@ export class ServiceWorkerManager {
                 throw error;
             });
     }
+
+    /**
+     * Watches a registration for lifecycle events. Registrations from registerServiceWorker are watched already.
+     * A worker that is already waiting is reported with a 'waiting' event right after the call.
+     *
+     * @param {ServiceWorkerRegistration} registration - The registration to watch.
+     * @returns {ServiceWorkerRegistration} - The same registration.
+     */
+    static watchRegistration(registration) {
+        this.watchController();
+        if (this.watchedRegistrations.has(registration)) return registration;
+        this.watchedRegistrations.add(registration);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            this.emit('updatefound', { registration, worker });
+            if (worker) this.watchWorker(registration, worker);
+        });
+
+        if (registration.installing) {
+            this.watchWorker(registration, registration.installing);
+        }
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            // Deferred so handlers added right after registering still hear about it; onWaiting leaves
+            // registrations in pendingWaiting to this report so its handler is not called twice
+            this.pendingWaiting.add(registration);
+            Promise.resolve().then(() => {
+                this.pendingWaiting.delete(registration);
+                if (registration.waiting) {
+                    this.emit('waiting', { registration, worker: registration.waiting });
+                }
+            });
+        }
+
+        return registration;
+    }
+
+    /**
+     * Reports the 'installed' and 'waiting' events of an installing worker.
+     *
+     * @param {ServiceWorkerRegistration} registration - The registration the worker belongs to.
+     * @param {ServiceWorker} worker - The installing worker.
+     */
+    static watchWorker(registration, worker) {
+        worker.addEventListener('statechange', () => {
+            if (worker.state !== 'installed') return;
+
+            // With a controller in place the new worker is an update and waits for the old one to let go
+            const isUpdate = Boolean(navigator.serviceWorker.controller);
+            this.emit('installed', { registration, worker, isUpdate });
+
+            if (isUpdate && registration.waiting === worker) {
+                this.emit('waiting', { registration, worker });
+            }
+        });
+    }
+
+    /**
+     * Starts listening for 'controllerchange' on the service worker container, once.
+     */
+    static watchController() {
+        if (this.controllerWatched || !('serviceWorker' in navigator)) return;
+        this.controllerWatched = true;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            this.emit('controllerchange', { controller: navigator.serviceWorker.controller });
+        });
+    }
+
+    /**
+     * Subscribes to a lifecycle event.
+     *
+     * @param {string} type - 'updatefound', 'installed', 'waiting', 'controllerchange', 'pushsubscriptionchange',
+     * or 'message:<type>' for broadcasts from the worker (see onMessage).
+     * @param {Function} handler - Called with the event details.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static on(type, handler) {
+        this.watchController();
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a lifecycle event subscription.
+     *
+     * @param {string} type - The event type.
+     * @param {Function} handler - The handler passed to on.
+     */
+    static off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Calls every handler subscribed to a lifecycle event.
+     *
+     * @param {string} type - The event type.
+     * @param {object} detail - The event details.
+     */
+    static emit(type, detail) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in service worker "${type}" handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Subscribes to new workers being found for a watched registration.
+     *
+     * @param {Function} handler - Called with `{ registration, worker }`, where worker is the installing worker.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onUpdateFound(handler) {
+        return this.on('updatefound', handler);
+    }
+
+    /**
+     * Subscribes to workers finishing their installation.
+     *
+     * @param {Function} handler - Called with `{ registration, worker, isUpdate }`. isUpdate is false for the first
+     * install, when the page can be told it now works offline.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onInstalled(handler) {
+        return this.on('installed', handler);
+    }
+
+    /**
+     * Subscribes to updated workers waiting to take over, the moment to offer a "new version available" prompt.
+     * A worker that is already waiting when the handler is added is reported right away.
+     *
+     * @param {Function} handler - Called with `{ registration, worker }`.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onWaiting(handler) {
+        const off = this.on('waiting', handler);
+
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = [...this.watchedRegistrations]
+                .find(reg => reg.waiting && !this.pendingWaiting.has(reg));
+            if (registration) {
+                Promise.resolve().then(() => {
+                    if (this.listeners.get('waiting')?.has(handler)) {
+                        handler({ registration, worker: registration.waiting });
+                    }
+                });
+            }
+        }
+
+        return off;
+    }
+
+    /**
+     * Subscribes to the page getting a new controlling worker.
+     *
+     * @param {Function} handler - Called with `{ controller }`.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onControllerChange(handler) {
+        return this.on('controllerchange', handler);
+    }
+
+    /**
+     * Tells the waiting worker to activate, and reloads the page once it has taken control.
+     *
+     * The worker has to call `self.skipWaiting()` when it receives the message, which is `{ type: 'SKIP_WAITING' }`
+     * by default.
+     *
+     * @param {object} [options] - Options for the switch.
+     * @param {ServiceWorkerRegistration} [options.registration] - The registration whose waiting worker to activate.
+     * Defaults to the first watched registration with a waiting worker, then to the registration of the page.
+     * @param {boolean} [options.reload=true] - Whether to reload the page after the controller changes.
+     * @param {*} [options.message={ type: 'SKIP_WAITING' }] - The message posted to the waiting worker.
+     * @param {number} [options.timeout=30000] - Milliseconds to wait for the new worker to take control (0 waits forever).
+     * @returns {Promise<boolean>} - A promise that resolves to true once the new worker controls the page, or to
+     * false if no worker is waiting.
+     * @throws Will reject with a TimeoutError if the worker does not take control in time, e.g. because it does not
+     * handle the message.
+     */
+    static async skipWaiting(options = {}) {
+        if (!('serviceWorker' in navigator)) {
+            throw new Error('Service workers are not supported in this browser.');
+        }
+
+        const { reload = true, message = { type: 'SKIP_WAITING' }, timeout = 30000 } = options;
+        const registration = options.registration
+            || [...this.watchedRegistrations].find(reg => reg.waiting)
+            || await navigator.serviceWorker.getRegistration();
+
+        if (!registration || !registration.waiting) {
+            return false;
+        }
+
+        this.watchController();
+        let timer = null;
+        const controllerChanged = new Promise((resolve, reject) => {
+            const off = this.on('controllerchange', () => {
+                clearTimeout(timer);
+                off();
+                resolve(true);
+            });
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    off();
+                    reject(new TimeoutError(
+                        `The waiting service worker did not take control within ${timeout}ms.`,
+                        { timeout, request: { message } }
+                    ));
+                }, timeout);
+            }
+
+            // Posted in here so a throwing postMessage also clears the timer and the listener
+            try {
+                registration.waiting.postMessage(message);
+            } catch (error) {
+                clearTimeout(timer);
+                off();
+                reject(error);
+            }
+        });
+
+        await controllerChanged;
+
+        if (reload && !this.reloading) {
+            // Guards against reload loops when several tabs switch at once
+            this.reloading = true;
+            window.location.reload();
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks for updates periodically. Checks are skipped while the browser is offline or the page is hidden,
+     * and a check is made when the page becomes visible after a skipped one. Starting again replaces the previous schedule.
+     *
+     * @param {number} [interval=3600000] - Milliseconds between checks.
+     * @param {ServiceWorkerRegistration} [registration] - The registration to update. Defaults to every watched registration.
+     * @returns {Function} - A function that stops the checks.
+     */
+    static startUpdateChecks(interval = 3600000, registration) {
+        if (!('serviceWorker' in navigator)) {
+            throw new Error('Service workers are not supported in this browser.');
+        }
+
+        this.stopUpdateChecks();
+
+        let lastCheck = Date.now();
+        const check = () => {
+            const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+            if (hidden || navigator.onLine === false) return;
+
+            lastCheck = Date.now();
+            const registrations = registration ? [registration] : [...this.watchedRegistrations];
+            registrations.forEach(reg => {
+                reg.update().catch(error => console.error(`Service worker update check failed: ${error}`));
+            });
+        };
+
+        const onVisible = () => {
+            if (document.visibilityState === 'visible' && Date.now() - lastCheck >= interval) check();
+        };
+
+        const timer = setInterval(check, interval);
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', onVisible);
+        }
+
+        this.updateCheck = { timer, onVisible };
+        return () => {
+            if (this.updateCheck && this.updateCheck.timer === timer) this.stopUpdateChecks();
+        };
+    }
+
+    /**
+     * Stops the periodic update checks started with startUpdateChecks.
+     */
+    static stopUpdateChecks() {
+        if (!this.updateCheck) return;
+
+        clearInterval(this.updateCheck.timer);
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.updateCheck.onVisible);
+        }
+        this.updateCheck = null;
+    }
+
+    /**
+     * Lists the caches created by WorkerCache.
+     *
+     * @returns {Promise<Array<{ name: string, entries: number }>>} - A promise that resolves to the caches and their entry counts.
+     */
+    static async getCaches() {
+        const names = (await this.requireCaches().keys()).filter(name => name.startsWith(`${WorkerCache.prefix}-`));
+
+        return Promise.all(names.map(async name => {
+            const cache = await caches.open(name);
+            return { name, entries: (await cache.keys()).length };
+        }));
+    }
+
+    /**
+     * Lists the entries of a WorkerCache cache.
+     *
+     * @param {string} cacheName - The cache name, with or without the prefix (e.g. 'api' or 'butility-api').
+     * @returns {Promise<Array<{ url: string, cachedAt: (Date|null) }>>} - A promise that resolves to the entries.
+     * cachedAt is null for precached files and entries whose time was not recorded.
+     */
+    static async getCacheEntries(cacheName) {
+        const name = WorkerCache.cacheName(cacheName);
+        if (!(await this.requireCaches().has(name))) return [];
+
+        const requests = await (await caches.open(name)).keys();
+        const records = await WorkerCache.expirationStore.values().catch(() => []);
+        const timestamps = new Map(records.filter(record => record.cacheName === name).map(record => [record.url, record.timestamp]));
+
+        return requests.map(request => ({
+            url: request.url,
+            cachedAt: timestamps.has(request.url) ? new Date(timestamps.get(request.url)) : null
+        }));
+    }
+
+    /**
+     * Deletes a WorkerCache cache and the times recorded for its entries.
+     *
+     * @param {string} cacheName - The cache name, with or without the prefix.
+     * @returns {Promise<boolean>} - A promise that resolves to true if the cache existed.
+     */
+    static async clearCache(cacheName) {
+        const name = WorkerCache.cacheName(cacheName);
+        const deleted = await this.requireCaches().delete(name);
+
+        const keys = await WorkerCache.expirationStore.keys().catch(() => []);
+        await Promise.all(keys.filter(key => key.startsWith(`${name} `)).map(key => WorkerCache.expirationStore.delete(key)));
+
+        return deleted;
+    }
+
+    /**
+     * Deletes every cache created by WorkerCache.
+     *
+     * @returns {Promise<string[]>} - A promise that resolves to the names of the deleted caches.
+     */
+    static async clearCaches() {
+        const names = (await this.getCaches()).map(cache => cache.name);
+        await Promise.all(names.map(name => this.clearCache(name)));
+        return names;
+    }
+
+    /**
+     * Returns the Cache Storage API, throwing if the browser has none.
+     *
+     * @returns {CacheStorage} - The global cache storage.
+     */
+    static requireCaches() {
+        if (typeof caches === 'undefined') {
+            throw new Error('The Cache Storage API is not supported in this browser.');
+        }
+        return caches;
+    }
+
+    /**
+     * Sends a typed request to the service worker and waits for the reply of its WorkerMessenger handler.
+     *
+     * @param {string} type - The message type.
+     * @param {*} [payload] - The message payload; it must be structured-cloneable.
+     * @param {object} [options] - Options for the request.
+     * @param {number} [options.timeout=10000] - Milliseconds to wait for the reply, including waiting for a worker.
+     * @param {ServiceWorker} [options.worker] - The worker to ask. Defaults to the page's controller, then to the
+     * active worker of the ready registration.
+     * @param {Array<Transferable>} [options.transfer=[]] - Objects transferred with the payload.
+     * @returns {Promise<*>} - A promise that resolves to the handler's result.
+     * @throws Will reject with a ServiceWorkerError if the handler throws or no handler exists, with a TimeoutError
+     * if no reply arrives in time, and with the original error if the payload cannot be cloned.
+     *
+     * @example
+     * const count = await ServiceWorkerManager.sendMessage('uploads:count', null, { timeout: 2000 });
+     */
+    static sendMessage(type, payload, options = {}) {
+        if (!('serviceWorker' in navigator)) {
+            return Promise.reject(new Error('Service workers are not supported in this browser.'));
+        }
+
+        const { timeout = 10000, transfer = [] } = options;
+        const { port1, port2 } = new MessageChannel();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                port1.close();
+                callback(value);
+            };
+
+            const timer = setTimeout(() => finish(reject, new TimeoutError(
+                `The service worker did not reply to '${type}' within ${timeout}ms.`,
+                { timeout, request: { type, payload } }
+            )), timeout);
+
+            port1.onmessage = ({ data }) => {
+                if (data && data.ok) {
+                    finish(resolve, data.result);
+                } else {
+                    finish(reject, WorkerMessenger.deserializeError(data && data.error, type));
+                }
+            };
+            port1.onmessageerror = () => finish(reject, new Error(`The reply to '${type}' could not be deserialized.`));
+
+            Promise.resolve(options.worker || navigator.serviceWorker.controller || navigator.serviceWorker.ready.then(reg => reg.active))
+                .then(worker => {
+                    if (settled) return;
+                    if (!worker) throw new Error('There is no active service worker to message.');
+
+                    worker.postMessage({ channel: WorkerMessenger.channel, kind: 'request', type, payload }, [port2, ...transfer]);
+                })
+                .catch(error => finish(reject, error));
+        });
+    }
+
+    /**
+     * Subscribes to messages the service worker broadcasts with WorkerMessenger.broadcast.
+     *
+     * @param {string} type - The message type.
+     * @param {Function} handler - Called with the message payload.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onMessage(type, handler) {
+        this.watchMessages();
+        return this.on(`message:${type}`, handler);
+    }
+
+    /**
+     * Starts listening for broadcasts on the service worker container, once.
+     */
+    static watchMessages() {
+        if (this.messagesWatched || !('serviceWorker' in navigator)) return;
+        this.messagesWatched = true;
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            const data = event.data;
+            if (data && data.channel === WorkerMessenger.channel && data.kind === 'broadcast') {
+                this.emit(`message:${data.type}`, data.payload);
+            }
+        });
+
+        // Messages sent before the page was loaded are held until the container starts delivering them
+        if (navigator.serviceWorker.startMessages) {
+            navigator.serviceWorker.startMessages();
+        }
+    }
+
+    /**
+     * Asks for permission to show notifications, if it was not granted or denied yet.
+     *
+     * @returns {Promise<string>} - A promise that resolves to 'granted', 'denied' or 'default' (dismissed).
+     * @throws Will throw an error if the browser does not support notifications.
+     */
+    static requestNotificationPermission() {
+        if (typeof Notification === 'undefined') {
+            throw new Error('Notifications are not supported in this browser.');
+        }
+
+        if (Notification.permission !== 'default') {
+            return Promise.resolve(Notification.permission);
+        }
+
+        // Older Safari only supports the callback form and returns undefined
+        return new Promise(resolve => {
+            const result = Notification.requestPermission(resolve);
+            if (result && typeof result.then === 'function') result.then(resolve);
+        });
+    }
+
+    /**
+     * Subscribes to push messages, asking for notification permission first when needed.
+     *
+     * An existing subscription is reused unless it has expired or was made with another VAPID key, in which case
+     * it is replaced. The result is compared with the subscription last returned by these methods, so the caller
+     * knows whether the server needs the new one; a change is also reported to onPushSubscriptionChange handlers.
+     *
+     * @param {string} vapidPublicKey - The application server's public VAPID key, base64url encoded.
+     * @param {object} [options] - Options for the subscription.
+     * @param {ServiceWorkerRegistration} [options.registration] - The registration to subscribe. Defaults to the ready one.
+     * @param {boolean} [options.userVisibleOnly=true] - Whether every push shows a notification (required by Chrome).
+     * @returns {Promise<{ subscription: object, changed: boolean, previous: (object|null) }>} - A promise that resolves
+     * to the serialized subscription (see PushNotifications.serializeSubscription), whether it differs from the
+     * last known one, and the last known one.
+     * @throws Will reject if push is unsupported or notification permission is not granted.
+     *
+     * @example
+     * const { subscription, changed } = await ServiceWorkerManager.subscribePush(VAPID_PUBLIC_KEY);
+     * if (changed) await RequestServer.post('/api/push/subscription', subscription, {});
+     */
+    static async subscribePush(vapidPublicKey, options = {}) {
+        const registration = await this.getPushRegistration(options.registration);
+
+        const permission = await this.requestNotificationPermission();
+        if (permission !== 'granted') {
+            throw new Error(`Notification permission was ${permission === 'denied' ? 'denied' : 'not granted'}.`);
+        }
+
+        const applicationServerKey = PushNotifications.fromBase64Url(vapidPublicKey);
+        let subscription = await registration.pushManager.getSubscription();
+
+        if (subscription && (this.isExpired(subscription) || !this.hasServerKey(subscription, applicationServerKey))) {
+            await subscription.unsubscribe();
+            subscription = null;
+        }
+
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: options.userVisibleOnly ?? true,
+                applicationServerKey
+            });
+        }
+
+        return this.rememberPushSubscription(PushNotifications.serializeSubscription(subscription));
+    }
+
+    /**
+     * Cancels the push subscription.
+     *
+     * @param {object} [options] - Options for the call.
+     * @param {ServiceWorkerRegistration} [options.registration] - The registration. Defaults to the ready one.
+     * @returns {Promise<object|null>} - A promise that resolves to the serialized subscription that was cancelled,
+     * so the server can forget it, or null if there was none.
+     */
+    static async unsubscribePush(options = {}) {
+        const registration = await this.getPushRegistration(options.registration);
+        const subscription = await registration.pushManager.getSubscription();
+
+        BrowserStorage.removeLocal(this.pushStorageKey);
+        if (!subscription) return null;
+
+        const serialized = PushNotifications.serializeSubscription(subscription);
+        await subscription.unsubscribe();
+        return serialized;
+    }
+
+    /**
+     * Returns the current push subscription.
+     *
+     * @param {object} [options] - Options for the call.
+     * @param {ServiceWorkerRegistration} [options.registration] - The registration. Defaults to the ready one.
+     * @returns {Promise<object|null>} - A promise that resolves to the serialized subscription, or null if there is
+     * none or it has expired.
+     */
+    static async getPushSubscription(options = {}) {
+        const registration = await this.getPushRegistration(options.registration);
+        const subscription = await registration.pushManager.getSubscription();
+
+        if (!subscription || this.isExpired(subscription)) return null;
+        return PushNotifications.serializeSubscription(subscription);
+    }
+
+    /**
+     * Subscribes to push subscription changes: a new subscription from subscribePush, or one renewed by the worker
+     * after the browser replaced the old one (see PushNotifications.listen).
+     *
+     * @param {Function} handler - Called with `{ subscription, previous }`, both serialized; previous may be null.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    static onPushSubscriptionChange(handler) {
+        const offLocal = this.on('pushsubscriptionchange', handler);
+        const offWorker = this.onMessage('push:subscriptionchange', ({ subscription }) => {
+            if (subscription) this.rememberPushSubscription(subscription);
+        });
+
+        return () => {
+            offLocal();
+            offWorker();
+        };
+    }
+
+    /**
+     * Compares a subscription with the last known one, stores it and reports a change.
+     *
+     * @param {object} subscription - The serialized subscription.
+     * @returns {{ subscription: object, changed: boolean, previous: (object|null) }} - The comparison.
+     */
+    static rememberPushSubscription(subscription) {
+        let previous = null;
+        try {
+            previous = BrowserStorage.getLocal(this.pushStorageKey);
+            BrowserStorage.setLocal(this.pushStorageKey, subscription);
+        } catch (error) {
+            // Storage may be unavailable (private mode); every subscription then counts as changed
+        }
+
+        const changed = !previous
+            || previous.endpoint !== subscription.endpoint
+            || previous.keys.p256dh !== subscription.keys.p256dh
+            || previous.keys.auth !== subscription.keys.auth;
+
+        if (changed) {
+            this.emit('pushsubscriptionchange', { subscription, previous });
+        }
+
+        return { subscription, changed, previous };
+    }
+
+    /**
+     * Resolves the registration used for push, checking browser support.
+     *
+     * @param {ServiceWorkerRegistration} [registration] - The registration, if known.
+     * @returns {Promise<ServiceWorkerRegistration>} - A promise that resolves to the registration.
+     */
+    static async getPushRegistration(registration) {
+        if (!('serviceWorker' in navigator) || typeof PushManager === 'undefined') {
+            throw new Error('Push messaging is not supported in this browser.');
+        }
+        return registration || navigator.serviceWorker.ready;
+    }
+
+    /**
+     * Tells whether a subscription's expiration time has passed.
+     *
+     * @param {PushSubscription} subscription - The subscription.
+     * @returns {boolean} - True if it has expired.
+     */
+    static isExpired(subscription) {
+        return subscription.expirationTime != null && subscription.expirationTime <= Date.now();
+    }
+
+    /**
+     * Tells whether a subscription was made with a VAPID key.
+     *
+     * @param {PushSubscription} subscription - The subscription.
+     * @param {Uint8Array} key - The decoded VAPID public key.
+     * @returns {boolean} - True if the keys match. Subscriptions that do not expose their key are assumed to match.
+     */
+    static hasServerKey(subscription, key) {
+        const current = subscription.options && subscription.options.applicationServerKey;
+        if (!current) return true;
+
+        const bytes = new Uint8Array(current);
+        return bytes.length === key.length && bytes.every((byte, index) => byte === key[index]);
+    }
 }
@@ -0,0 +1,385 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { IndexedDBStorage } from '../../device/storage/indexeddb-storage.js';
+import { URLUtility } from '../URL/url.js';
+
+/**
+ * Offline caching for the service worker script: route-based caching strategies, precaching with a
+ * revisioned manifest and cache expiration by age and entry count.
+ *
+ * Import it into the worker (a module worker, or a bundled one), declare the routes and call listen():
+ *
+ * @example
+ * import { WorkerCache } from 'butility/src/network/serviceWorker/worker.js';
+ *
+ * WorkerCache.precache([{ url: '/index.html', revision: '42' }, '/app.3f2a9c.js']);
+ * WorkerCache.registerRoute('/api/:path*', 'network-first', { cacheName: 'api', networkTimeout: 3000 });
+ * WorkerCache.registerRoute(({ request }) => request.destination === 'image', 'cache-first', {
+ *     cacheName: 'images',
+ *     expiration: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 }
+ * });
+ * WorkerCache.listen();
+ *
+ * Cache names are prefixed with WorkerCache.prefix, so ServiceWorkerManager can list and clear them from the page.
+ * The time each runtime entry was cached is kept in IndexedDB, which both sides can read.
+ * @class
+ */
+export class WorkerCache {
+    static prefix = 'butility';
+    static routes = [];
+    static precacheEntries = new Map();
+    static listening = false;
+    static expirationStore = new IndexedDBStorage('butility-cache-expiration', 'entries');
+
+    /**
+     * Returns the full name of a cache: the name prefixed with WorkerCache.prefix, unless it already is.
+     * @param {string} name - The short or full cache name.
+     * @returns {string} - The full cache name.
+     */
+    static cacheName(name) {
+        return name.startsWith(`${this.prefix}-`) ? name : `${this.prefix}-${name}`;
+    }
+
+    /**
+     * Adds files to the precache, which is filled when the worker installs and served cache-first.
+     *
+     * Entries without a revision should have a content hash in their URL. Entries with a revision are downloaded
+     * again whenever the revision changes, and entries dropped from the manifest are deleted when the new worker
+     * activates, so the worker that is still active keeps serving its own versions until then.
+     * @param {Array<string|{ url: string, revision: (string|null) }>} manifest - The files to precache.
+     */
+    static precache(manifest) {
+        manifest.forEach(entry => {
+            const { url, revision = null } = typeof entry === 'string' ? { url: entry } : entry;
+            const absolute = new URL(url, self.location.href);
+            absolute.hash = '';
+
+            const key = new URL(absolute.href);
+            if (revision) key.searchParams.set('__revision', revision);
+
+            this.precacheEntries.set(absolute.href, key.href);
+        });
+    }
+
+    /**
+     * Adds a route. Routes are tried in the order they were added and the first match handles the request.
+     * Requests no route matches are left to the browser.
+     * @param {string|RegExp|Function} match - A same-origin path pattern for URLUtility.matchPath (e.g. '/api/:path*'),
+     * a RegExp tested against the full URL, or a function `({ url, request, event }) => boolean`.
+     * @param {string} strategy - 'cache-first', 'network-first', 'stale-while-revalidate' or 'network-only'.
+     * @param {object} [options] - Options for the strategy.
+     * @param {string} [options.cacheName='runtime'] - The cache to use (prefixed, see WorkerCache.cacheName).
+     * @param {string} [options.method='GET'] - The request method to match. Only GET responses can be cached.
+     * @param {number} [options.networkTimeout] - For 'network-first', milliseconds before falling back to the cache.
+     * @param {object} [options.expiration] - Limits for the cache.
+     * @param {number} [options.expiration.maxEntries] - The number of entries kept; the oldest are removed first.
+     * @param {number} [options.expiration.maxAgeSeconds] - How long an entry stays usable.
+     * @param {boolean} [options.cacheOpaque=false] - Whether to cache opaque (cross-origin no-cors) responses,
+     * whose status cannot be checked.
+     * @returns {Function} - A function that removes the route.
+     * @throws Will throw an error if the strategy is unknown.
+     */
+    static registerRoute(match, strategy, options = {}) {
+        const handler = this.strategies[strategy];
+        if (!handler) {
+            throw new Error(`Unknown caching strategy '${strategy}'.`);
+        }
+
+        const route = {
+            match,
+            handler,
+            options: { method: 'GET', ...options, cacheName: this.cacheName(options.cacheName || 'runtime') }
+        };
+
+        this.routes.push(route);
+        return () => {
+            this.routes = this.routes.filter(item => item !== route);
+        };
+    }
+
+    /**
+     * Finds the route that handles a request.
+     * @param {Request} request - The request.
+     * @param {FetchEvent} [event] - The fetch event.
+     * @returns {object|null} - The route, or null if none matches.
+     */
+    static findRoute(request, event) {
+        const url = new URL(request.url);
+
+        return this.routes.find(({ match, options }) => {
+            if (request.method !== options.method) return false;
+            if (typeof match === 'function') return Boolean(match({ url, request, event }));
+            if (match instanceof RegExp) return match.test(url.href);
+            return url.origin === self.location.origin && URLUtility.matchPath(match, url.pathname) !== null;
+        }) || null;
+    }
+
+    /**
+     * Adds the install, activate, fetch and message listeners to the worker. Calling it again does nothing.
+     * @param {object} [options] - Options for the listeners.
+     * @param {boolean} [options.clientsClaim=false] - Whether the worker takes control of open pages when it activates.
+     * @param {string} [options.skipWaitingMessage='SKIP_WAITING'] - The message type that makes a waiting worker
+     * activate (see ServiceWorkerManager.skipWaiting).
+     */
+    static listen(options = {}) {
+        if (this.listening) return;
+        this.listening = true;
+
+        const { clientsClaim = false, skipWaitingMessage = 'SKIP_WAITING' } = options;
+
+        self.addEventListener('install', event => {
+            event.waitUntil(this.installPrecache());
+        });
+
+        self.addEventListener('activate', event => {
+            event.waitUntil(this.cleanupPrecache().then(() => (clientsClaim ? self.clients.claim() : undefined)));
+        });
+
+        self.addEventListener('fetch', event => {
+            const response = this.handleFetch(event);
+            if (response) event.respondWith(response);
+        });
+
+        self.addEventListener('message', event => {
+            if (event.data && event.data.type === skipWaitingMessage) {
+                self.skipWaiting();
+            }
+        });
+    }
+
+    /**
+     * Produces the response for a fetch event from the precache or a matching route.
+     * @param {FetchEvent} event - The fetch event.
+     * @returns {Promise<Response>|null} - The response, or null to let the browser handle the request.
+     */
+    static handleFetch(event) {
+        const { request } = event;
+
+        if (request.method === 'GET') {
+            const url = new URL(request.url);
+            url.hash = '';
+            const key = this.precacheEntries.get(url.href);
+
+            if (key) {
+                return caches.open(this.cacheName('precache'))
+                    .then(cache => cache.match(key))
+                    .then(cached => cached || fetch(request));
+            }
+        }
+
+        const route = this.findRoute(request, event);
+        return route ? route.handler.call(this, request, route.options, event) : null;
+    }
+
+    /**
+     * Downloads the precache entries that are not cached yet. Nothing is written unless every download succeeds,
+     * so a failed install leaves the cache as it was.
+     * @returns {Promise<void>} - A promise that resolves once the precache is complete.
+     */
+    static async installPrecache() {
+        const cache = await caches.open(this.cacheName('precache'));
+        const missing = [];
+
+        for (const [url, key] of this.precacheEntries) {
+            if (!(await cache.match(key))) missing.push([url, key]);
+        }
+
+        const responses = await Promise.all(missing.map(async ([url, key]) => {
+            // Bypass the HTTP cache, which may still hold the previous revision
+            const response = await fetch(url, { cache: 'reload' });
+            if (!response.ok) {
+                throw new Error(`Precaching ${url} failed with status ${response.status}.`);
+            }
+            return [key, response];
+        }));
+
+        await Promise.all(responses.map(([key, response]) => cache.put(key, response)));
+    }
+
+    /**
+     * Deletes precached files that are no longer in the manifest.
+     * @returns {Promise<void>} - A promise that resolves once the old files are deleted.
+     */
+    static async cleanupPrecache() {
+        const cache = await caches.open(this.cacheName('precache'));
+        const current = new Set(this.precacheEntries.values());
+        const requests = await cache.keys();
+
+        await Promise.all(requests.filter(request => !current.has(request.url)).map(request => cache.delete(request)));
+    }
+
+    /**
+     * Reads a response from a cache, treating entries older than `expiration.maxAgeSeconds` as missing.
+     * @param {Request} request - The request.
+     * @param {object} options - The route options.
+     * @returns {Promise<Response|undefined>} - A promise that resolves with the cached response, if any.
+     */
+    static async readCache(request, options) {
+        const cache = await caches.open(options.cacheName);
+        const cached = await cache.match(request);
+        if (!cached) return undefined;
+
+        const maxAge = options.expiration && options.expiration.maxAgeSeconds;
+        if (maxAge) {
+            const entry = await this.expirationStore.get(this.entryKey(options.cacheName, request.url)).catch(() => undefined);
+            if (entry && Date.now() - entry.timestamp > maxAge * 1000) return undefined;
+        }
+
+        return cached;
+    }
+
+    /**
+     * Fetches a request and stores a cacheable response. Storing and expiring entries continue in the background,
+     * kept alive by the event.
+     * @param {Request} request - The request.
+     * @param {object} options - The route options.
+     * @param {FetchEvent} [event] - The fetch event.
+     * @returns {Promise<Response>} - A promise that resolves with the network response.
+     */
+    static async fetchAndCache(request, options, event) {
+        const response = await fetch(request);
+        const cacheable = response.ok || (options.cacheOpaque && response.type === 'opaque');
+
+        if (cacheable && request.method === 'GET') {
+            const store = this.writeCache(request, response.clone(), options)
+                .catch(error => console.error(`Failed to cache ${request.url}:`, error));
+            if (event && event.waitUntil) event.waitUntil(store);
+        }
+
+        return response;
+    }
+
+    /**
+     * Stores a response, records when it was stored and applies the cache's expiration limits.
+     * @param {Request} request - The request.
+     * @param {Response} response - The response to store.
+     * @param {object} options - The route options.
+     * @returns {Promise<void>} - A promise that resolves once the entry is stored.
+     */
+    static async writeCache(request, response, options) {
+        const cache = await caches.open(options.cacheName);
+        await cache.put(request, response);
+        await this.expirationStore.set(this.entryKey(options.cacheName, request.url), {
+            cacheName: options.cacheName,
+            url: request.url,
+            timestamp: Date.now()
+        });
+
+        if (options.expiration) {
+            await this.expireEntries(options.cacheName, options.expiration);
+        }
+    }
+
+    /**
+     * Removes the entries of a cache that are too old or beyond the entry limit, oldest first.
+     * @param {string} cacheName - The full cache name.
+     * @param {object} expiration - The limits.
+     * @param {number} [expiration.maxEntries] - The number of entries kept.
+     * @param {number} [expiration.maxAgeSeconds] - How long an entry is kept.
+     * @returns {Promise<string[]>} - A promise that resolves with the URLs that were removed.
+     */
+    static async expireEntries(cacheName, { maxEntries, maxAgeSeconds } = {}) {
+        const entries = (await this.expirationStore.values())
+            .filter(entry => entry.cacheName === cacheName)
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        const now = Date.now();
+        const expired = entries.filter((entry, index) => (
+            (maxEntries && index >= maxEntries) || (maxAgeSeconds && now - entry.timestamp > maxAgeSeconds * 1000)
+        ));
+
+        if (!expired.length) return [];
+
+        const cache = await caches.open(cacheName);
+        await Promise.all(expired.map(entry => Promise.all([
+            cache.delete(entry.url),
+            this.expirationStore.delete(this.entryKey(cacheName, entry.url))
+        ])));
+
+        return expired.map(entry => entry.url);
+    }
+
+    /**
+     * Builds the IndexedDB key of a cache entry.
+     * @param {string} cacheName - The full cache name.
+     * @param {string} url - The URL of the entry.
+     * @returns {string} - The key.
+     */
+    static entryKey(cacheName, url) {
+        return `${cacheName} ${url}`;
+    }
+
+    /**
+     * Waits for the network, rejecting after a number of milliseconds.
+     * @param {Promise<Response>} network - The network request.
+     * @param {number} [timeout] - The limit in milliseconds, or undefined for none.
+     * @returns {Promise<Response>} - The network response.
+     */
+    static withTimeout(network, timeout) {
+        if (!timeout) return network;
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Network did not respond within ${timeout}ms.`)), timeout);
+        });
+
+        return Promise.race([network, expired]).finally(() => clearTimeout(timer));
+    }
+}
+
+/**
+ * The caching strategies, by name. Each is called with `(request, options, event)` and returns the response.
+ */
+WorkerCache.strategies = {
+    /**
+     * Serves from the cache and goes to the network (caching the result) only on a miss.
+     */
+    'cache-first': async function (request, options, event) {
+        const cached = await this.readCache(request, options);
+        return cached || this.fetchAndCache(request, options, event);
+    },
+
+    /**
+     * Goes to the network and falls back to the cache when it fails or exceeds `networkTimeout`.
+     * A response arriving after the timeout is still cached.
+     */
+    'network-first': async function (request, options, event) {
+        const network = this.fetchAndCache(request, options, event);
+        if (event && event.waitUntil) event.waitUntil(network.catch(() => undefined));
+
+        try {
+            return await this.withTimeout(network, options.networkTimeout);
+        } catch (error) {
+            const cached = await this.readCache(request, options);
+            if (cached) return cached;
+            // Without a cached copy, a slow network is still better than none
+            return network;
+        }
+    },
+
+    /**
+     * Serves from the cache right away and refreshes the cache from the network in the background.
+     */
+    'stale-while-revalidate': async function (request, options, event) {
+        const network = this.fetchAndCache(request, options, event);
+        // Marks a failure as handled while the cache is read; it is reported below
+        network.catch(() => undefined);
+        const cached = await this.readCache(request, options);
+
+        if (!cached) return network;
+
+        const refresh = network.catch(error => console.error(`Failed to revalidate ${request.url}:`, error));
+        if (event && event.waitUntil) event.waitUntil(refresh);
+        return cached;
+    },
+
+    /**
+     * Always goes to the network.
+     */
+    'network-only': function (request) {
+        return fetch(request);
+    }
+};
@@ -0,0 +1,387 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { RetryPolicy } from '../request/retry.js';
+
+/**
+ * Transport-independent part of a live connection: event subscriptions, automatic reconnection with
+ * backoff, heartbeat detection, message queueing while disconnected and JSON (de)serialization.
+ *
+ * Subclasses implement `openTransport()`, `transmit(data)` and `closeTransport()`, and report what
+ * happens on the wire through `handleOpen()`, `handleMessage(raw, type)`, `handleError(error)` and `handleClose(event)`.
+ *
+ * Events: 'open', 'close', 'error', 'message' (every message), 'reconnecting' ({ attempt, delay }),
+ * 'statechange' (the new state) and, for messages carrying a type, that type.
+ * @class
+ */
+export class StreamConnection {
+    /**
+     * @constructor
+     * @param {string} url - The URL to connect to.
+     * @param {Object} [options] - Options for the connection.
+     * @param {boolean} [options.autoConnect=true] - Whether to connect right away.
+     * @param {boolean} [options.reconnect=true] - Whether to reconnect after an unexpected disconnect.
+     * @param {Object} [options.backoff] - Reconnect timing, see RetryPolicy
+     * (`retries` (default Infinity), `baseDelay` (default 1000), `maxDelay` (default 30000), `factor`, `jitter`).
+     * @param {Object|boolean} [options.heartbeat=false] - Heartbeat settings, or true for the defaults. It is off unless
+     * given, since a quiet but healthy connection (an SSE stream, or a server that does not answer pings) would
+     * otherwise be dropped and reconnected every `interval + timeout`.
+     * @param {number} [options.heartbeat.interval=30000] - How often a ping is sent, in milliseconds.
+     * @param {number} [options.heartbeat.timeout=10000] - How long past the interval to wait for any
+     * message before the connection is considered dead and restarted.
+     * @param {*} [options.heartbeat.ping='ping'] - The ping message (WebSocket only).
+     * @param {*} [options.heartbeat.pong='pong'] - Replies equal to this are swallowed instead of dispatched.
+     * @param {boolean} [options.json=true] - Whether to send objects as JSON and parse incoming JSON.
+     * @param {string} [options.typeKey='type'] - The property of a parsed message that holds its event type.
+     * @param {number} [options.maxQueueSize=100] - How many outgoing messages are kept while disconnected.
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = {
+            autoConnect: true,
+            reconnect: true,
+            json: true,
+            typeKey: 'type',
+            maxQueueSize: 100,
+            ...options,
+            heartbeat: !options.heartbeat ? false : {
+                interval: 30000,
+                timeout: 10000,
+                ping: 'ping',
+                pong: 'pong',
+                ...(options.heartbeat === true ? {} : options.heartbeat)
+            }
+        };
+        this.backoff = new RetryPolicy({ retries: Infinity, baseDelay: 1000, maxDelay: 30000, ...options.backoff });
+        this.state = 'closed';
+        this.listeners = new Map();
+        this.queue = [];
+        this.attempt = 0;
+        this.closedByUser = false;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.deadTimer = null;
+
+        if (this.options.autoConnect) {
+            // Defer so listeners added right after construction see the first 'open'
+            Promise.resolve().then(() => this.connect());
+        }
+    }
+
+    /**
+     * Opens the connection. Does nothing if it is already open or connecting.
+     */
+    connect() {
+        if (this.state === 'open' || this.state === 'connecting') return;
+
+        this.closedByUser = false;
+        clearTimeout(this.reconnectTimer);
+        this.setState('connecting');
+
+        try {
+            this.openTransport();
+        } catch (error) {
+            this.handleError(error);
+            this.handleClose({ code: 1006, reason: error.message });
+        }
+    }
+
+    /**
+     * Closes the connection for good; no reconnect is attempted.
+     * @param {number} [code=1000] - The close code (WebSocket only).
+     * @param {string} [reason] - The close reason (WebSocket only).
+     */
+    close(code = 1000, reason = '') {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        this.stopHeartbeat();
+
+        if (this.state !== 'closed') {
+            this.closeTransport(code, reason);
+            this.setState('closed');
+            this.emit('close', { code, reason, wasClean: true });
+        }
+    }
+
+    /**
+     * Sends a message, or queues it until the connection is open.
+     * @param {*} data - The message. Objects are serialized as JSON unless `json` is false.
+     * @returns {boolean} - True if the message was sent immediately, false if it was queued.
+     */
+    send(data) {
+        const payload = this.serialize(data);
+
+        if (this.state === 'open') {
+            this.transmit(payload);
+            return true;
+        }
+
+        this.queue.push(payload);
+        if (this.queue.length > this.options.maxQueueSize) {
+            this.queue.shift();
+        }
+        return false;
+    }
+
+    /**
+     * Subscribes to an event or a message type.
+     * @param {string} type - The event name or message type.
+     * @param {Function} handler - Called with the event payload (the parsed message for message types).
+     * @returns {Function} - A function that removes the subscription.
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+            this.subscribeType(type);
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribes to a single occurrence of an event or message type.
+     * @param {string} type - The event name or message type.
+     * @param {Function} handler - Called once with the event payload.
+     * @returns {Function} - A function that removes the subscription.
+     */
+    once(type, handler) {
+        const off = this.on(type, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Removes a subscription.
+     * @param {string} type - The event name or message type.
+     * @param {Function} handler - The handler passed to on.
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Calls every handler subscribed to a type.
+     * @param {string} type - The event name or message type.
+     * @param {*} payload - The value passed to the handlers.
+     */
+    emit(type, payload) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Called by subclasses once the transport is open.
+     * @param {Event} [event] - The native open event.
+     */
+    handleOpen(event) {
+        this.attempt = 0;
+        this.setState('open');
+        this.startHeartbeat();
+        this.emit('open', event);
+
+        const queued = this.queue.splice(0);
+        queued.forEach(payload => {
+            try {
+                this.transmit(payload);
+            } catch (error) {
+                // Throwing here would escape the transport's open handler; report it instead
+                this.handleError(error);
+            }
+        });
+    }
+
+    /**
+     * Called by subclasses for every incoming message.
+     * @param {*} raw - The raw message data.
+     * @param {string} [type] - The transport-level event type (the SSE `event:` field).
+     */
+    handleMessage(raw, type) {
+        this.resetDeadTimer();
+
+        const { heartbeat } = this.options;
+        if (heartbeat && heartbeat.pong !== undefined && raw === this.serialize(heartbeat.pong)) {
+            return;
+        }
+
+        const message = this.deserialize(raw);
+        this.emit('message', message);
+
+        const messageType = type && type !== 'message'
+            ? type
+            : (message && typeof message === 'object' ? message[this.options.typeKey] : undefined);
+
+        if (messageType && !StreamConnection.reservedEvents.includes(messageType)) {
+            this.emit(messageType, message);
+        }
+    }
+
+    /**
+     * Called by subclasses when the transport reports an error.
+     * @param {*} error - The error or native error event.
+     */
+    handleError(error) {
+        this.emit('error', error);
+    }
+
+    /**
+     * Called by subclasses when the transport is closed, and schedules a reconnect when appropriate.
+     * @param {Object} [event] - The native close event, or `{ code, reason }`.
+     */
+    handleClose(event = {}) {
+        this.stopHeartbeat();
+        if (this.closedByUser || this.state === 'closed') return;
+
+        this.emit('close', event);
+
+        if (!this.options.reconnect || this.attempt >= this.backoff.retries) {
+            this.setState('closed');
+            return;
+        }
+
+        this.attempt++;
+        const delay = this.backoff.getDelay(this.attempt);
+        this.setState('reconnecting');
+        this.emit('reconnecting', { attempt: this.attempt, delay });
+
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Starts sending pings and watching for silence.
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        const { heartbeat } = this.options;
+        if (!heartbeat) return;
+
+        if (heartbeat.ping !== undefined && heartbeat.ping !== null && this.canPing()) {
+            this.pingTimer = setInterval(() => {
+                if (this.state === 'open') {
+                    this.transmit(this.serialize(heartbeat.ping));
+                }
+            }, heartbeat.interval);
+        }
+        this.resetDeadTimer();
+    }
+
+    /**
+     * Stops the heartbeat timers.
+     */
+    stopHeartbeat() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.deadTimer);
+        this.pingTimer = null;
+        this.deadTimer = null;
+    }
+
+    /**
+     * Restarts the silence timer; when it fires, the connection is dropped and reconnected.
+     */
+    resetDeadTimer() {
+        const { heartbeat } = this.options;
+        if (!heartbeat || this.state !== 'open') return;
+
+        clearTimeout(this.deadTimer);
+        this.deadTimer = setTimeout(() => {
+            this.closeTransport(4000, 'Heartbeat timeout');
+            this.handleClose({ code: 4000, reason: 'Heartbeat timeout', wasClean: false });
+        }, heartbeat.interval + heartbeat.timeout);
+    }
+
+    /**
+     * Changes the state and emits 'statechange'.
+     * @param {string} state - 'connecting', 'open', 'reconnecting' or 'closed'.
+     */
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.emit('statechange', state);
+    }
+
+    /**
+     * Converts an outgoing message to what the transport sends.
+     * @param {*} data - The message.
+     * @returns {*} - The serialized message.
+     */
+    serialize(data) {
+        if (!this.options.json || typeof data === 'string') return data;
+
+        const isBinary = data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+            || (typeof Blob !== 'undefined' && data instanceof Blob);
+        return isBinary ? data : JSON.stringify(data);
+    }
+
+    /**
+     * Converts an incoming message to the value handed to subscribers.
+     * @param {*} raw - The raw message data.
+     * @returns {*} - The parsed JSON, or the raw data if it is not JSON.
+     */
+    deserialize(raw) {
+        if (!this.options.json || typeof raw !== 'string') return raw;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    /**
+     * Hook for subclasses that need to do something when a new type is subscribed to.
+     * @param {string} type - The subscribed type.
+     */
+    subscribeType(type) {}
+
+    /**
+     * Whether the transport can send pings.
+     * @returns {boolean} - True if pings can be sent.
+     */
+    canPing() {
+        return true;
+    }
+
+    /**
+     * Creates the underlying transport. Implemented by subclasses.
+     */
+    openTransport() {
+        throw new Error('openTransport must be implemented by a subclass.');
+    }
+
+    /**
+     * Sends serialized data over the transport. Implemented by subclasses.
+     * @param {*} data - The serialized message.
+     */
+    transmit(data) {
+        throw new Error('transmit must be implemented by a subclass.');
+    }
+
+    /**
+     * Closes the underlying transport without reconnecting. Implemented by subclasses.
+     * @param {number} [code] - The close code.
+     * @param {string} [reason] - The close reason.
+     */
+    closeTransport(code, reason) {
+        throw new Error('closeTransport must be implemented by a subclass.');
+    }
+}
+
+/**
+ * Event names used by the connection itself, which message types cannot override.
+ * @type {string[]}
+ */
+StreamConnection.reservedEvents = ['open', 'close', 'error', 'message', 'reconnecting', 'statechange'];
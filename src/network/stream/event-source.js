@@ -0,0 +1,121 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { StreamConnection } from './connection.js';
+import { RequestServer } from '../request/server.js';
+
+/**
+ * A Server-Sent Events stream with the same API as WebSocketConnection.
+ *
+ * Reconnection is handled here rather than by the browser so both transports back off the same way.
+ * SSE is one-way: send() posts messages to `options.sendURL` with RequestServer instead.
+ * Comment lines are not visible to scripts, so when the heartbeat is enabled the server has to send
+ * real events at least every `interval + timeout` (any event resets the silence timer).
+ * @class
+ */
+export class EventSourceConnection extends StreamConnection {
+    /**
+     * @constructor
+     * @param {string} url - The URL of the event stream.
+     * @param {Object} [options] - Options for the connection (see StreamConnection).
+     * @param {boolean} [options.withCredentials=false] - Whether to send cookies to a cross-origin stream.
+     * @param {string} [options.sendURL] - Where send() posts outgoing messages.
+     * @param {HttpClient} [options.client] - The client used by send(). Defaults to the RequestServer client.
+     */
+    constructor(url, options = {}) {
+        super(url, options);
+        this.source = null;
+        this.namedTypes = new Set();
+    }
+
+    /**
+     * Creates the EventSource and wires its events to the connection.
+     */
+    openTransport() {
+        const source = new EventSource(this.url, { withCredentials: !!this.options.withCredentials });
+
+        source.onopen = (event) => this.handleOpen(event);
+        source.onmessage = (event) => this.handleMessage(event.data);
+        source.onerror = (event) => {
+            this.handleError(event);
+            // Take over from the browser's fixed-interval retry
+            this.closeTransport();
+            this.handleClose({ code: 1006, reason: 'EventSource error', wasClean: false });
+        };
+
+        this.source = source;
+        this.namedTypes.forEach(type => this.listenTo(type));
+    }
+
+    /**
+     * Registers a named SSE event (`event: type`) on the current EventSource.
+     * @param {string} type - The event name.
+     */
+    listenTo(type) {
+        this.source.addEventListener(type, (event) => this.handleMessage(event.data, type));
+    }
+
+    /**
+     * Named SSE events are only delivered to listeners registered for them, so register each new type.
+     * @param {string} type - The subscribed type.
+     */
+    subscribeType(type) {
+        if (StreamConnection.reservedEvents.includes(type) || this.namedTypes.has(type)) return;
+
+        this.namedTypes.add(type);
+        if (this.source) {
+            this.listenTo(type);
+        }
+    }
+
+    /**
+     * Pings cannot be sent over an event stream.
+     * @returns {boolean} - Always false.
+     */
+    canPing() {
+        return false;
+    }
+
+    /**
+     * Sends a message to `options.sendURL`, or queues it until the stream is open.
+     * @param {*} data - The message.
+     * @returns {boolean} - True if the message was sent immediately, false if it was queued.
+     * @throws Will throw an error if no `sendURL` is set, since the stream is then receive-only.
+     */
+    send(data) {
+        if (!this.options.sendURL) {
+            throw new Error('EventSourceConnection is receive-only; set options.sendURL to send messages.');
+        }
+        return super.send(data);
+    }
+
+    /**
+     * Posts a message to `options.sendURL`.
+     * @param {*} data - The serialized message.
+     */
+    transmit(data) {
+        if (!this.options.sendURL) {
+            throw new Error('EventSourceConnection is receive-only; set options.sendURL to send messages.');
+        }
+
+        const client = this.options.client || RequestServer.defaultClient;
+        const isJson = this.options.json && typeof data === 'string' && /^[[{"]/.test(data);
+
+        client.post(this.options.sendURL, data, {
+            headers: isJson ? { 'Content-Type': 'application/json' } : {}
+        }).catch(error => this.handleError(error));
+    }
+
+    /**
+     * Closes the EventSource without triggering a reconnect.
+     */
+    closeTransport() {
+        if (!this.source) return;
+
+        this.source.onopen = this.source.onmessage = this.source.onerror = null;
+        this.source.close();
+        this.source = null;
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { WebSocketConnection } from './websocket.js';
+import { EventSourceConnection } from './event-source.js';
+import { DetectFeature } from '../../device/detection/features.js';
+
+/**
+ * Utility class for opening live connections over the best transport the browser supports.
+ * @class
+ */
+export class Stream {
+    /**
+     * Opens a live connection, using a WebSocket when available and falling back to Server-Sent Events.
+     * Both transports share the StreamConnection API (on, once, off, send, close).
+     * @param {string} url - The WebSocket URL (ws:// or wss://, or an http(s) URL that is converted).
+     * @param {Object} [options] - Options for the connection (see StreamConnection).
+     * @param {string} [options.transport='auto'] - 'auto', 'websocket' or 'sse'.
+     * @param {string} [options.fallbackURL] - The event stream URL used when falling back to SSE.
+     * Defaults to the same URL with an http(s) scheme.
+     * @param {string} [options.sendURL] - Where messages are posted when the SSE fallback is used.
+     * @returns {WebSocketConnection|EventSourceConnection} - The connection.
+     * @throws Will throw an error if neither transport is supported.
+     *
+     * @example
+     * const live = Stream.connect('wss://example.com/live', {
+     *     fallbackURL: '/live/events',
+     *     sendURL: '/live/messages'
+     * });
+     * live.on('order.updated', order => render(order));
+     */
+    static connect(url, options = {}) {
+        const { transport = 'auto', fallbackURL, ...connectionOptions } = options;
+
+        if (transport === 'websocket' || (transport === 'auto' && DetectFeature.detectWebSockets())) {
+            return this.websocket(this.toWebSocketURL(url), connectionOptions);
+        }
+
+        if (transport === 'sse' || (transport === 'auto' && DetectFeature.detectEventSource())) {
+            return this.eventSource(fallbackURL || this.toHttpURL(url), connectionOptions);
+        }
+
+        throw new Error('Neither WebSockets nor Server-Sent Events are supported in this browser.');
+    }
+
+    /**
+     * Opens a WebSocket connection.
+     * @param {string} url - The ws:// or wss:// URL.
+     * @param {Object} [options] - Options for the connection (see WebSocketConnection).
+     * @returns {WebSocketConnection} - The connection.
+     */
+    static websocket(url, options = {}) {
+        return new WebSocketConnection(url, options);
+    }
+
+    /**
+     * Opens a Server-Sent Events connection.
+     * @param {string} url - The URL of the event stream.
+     * @param {Object} [options] - Options for the connection (see EventSourceConnection).
+     * @returns {EventSourceConnection} - The connection.
+     */
+    static eventSource(url, options = {}) {
+        return new EventSourceConnection(url, options);
+    }
+
+    /**
+     * Converts an http(s) or relative URL to the matching ws(s) URL.
+     * @param {string} url - The URL to convert.
+     * @returns {string} - The WebSocket URL.
+     */
+    static toWebSocketURL(url) {
+        const absolute = new URL(url, window.location.href);
+        absolute.protocol = absolute.protocol.replace(/^http/, 'ws');
+        return absolute.href;
+    }
+
+    /**
+     * Converts a ws(s) URL to the matching http(s) URL.
+     * @param {string} url - The URL to convert.
+     * @returns {string} - The HTTP URL.
+     */
+    static toHttpURL(url) {
+        return url.replace(/^ws(s?):/i, 'http$1:');
+    }
+}
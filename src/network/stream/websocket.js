@@ -0,0 +1,74 @@
+/**
+ * @author - Ermiyas Arage
+ * @license MIT
+ */
+
+import { StreamConnection } from './connection.js';
+
+/**
+ * A WebSocket with automatic reconnection, heartbeats, queueing and typed message subscriptions.
+ * @class
+ *
+ * @example
+ * const socket = new WebSocketConnection('wss://example.com/live', { protocols: ['v1'] });
+ * socket.on('price', message => updateTicker(message.symbol, message.value));
+ * socket.send({ type: 'subscribe', symbol: 'ACME' }); // queued until the socket is open
+ */
+export class WebSocketConnection extends StreamConnection {
+    /**
+     * @constructor
+     * @param {string} url - The ws:// or wss:// URL to connect to.
+     * @param {Object} [options] - Options for the connection (see StreamConnection).
+     * @param {string|string[]} [options.protocols] - The WebSocket sub-protocols.
+     * @param {string} [options.binaryType='blob'] - How binary messages are received ('blob' or 'arraybuffer').
+     */
+    constructor(url, options = {}) {
+        super(url, options);
+        this.socket = null;
+    }
+
+    /**
+     * Creates the WebSocket and wires its events to the connection.
+     */
+    openTransport() {
+        const socket = new WebSocket(this.url, this.options.protocols);
+        socket.binaryType = this.options.binaryType || 'blob';
+
+        socket.onopen = (event) => this.handleOpen(event);
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onerror = (event) => this.handleError(event);
+        socket.onclose = (event) => {
+            this.socket = null;
+            this.handleClose(event);
+        };
+
+        this.socket = socket;
+    }
+
+    /**
+     * Sends serialized data over the socket.
+     * @param {*} data - The serialized message.
+     */
+    transmit(data) {
+        this.socket.send(data);
+    }
+
+    /**
+     * Closes the socket without triggering a reconnect from its close event.
+     * @param {number} [code=1000] - The close code.
+     * @param {string} [reason] - The close reason.
+     */
+    closeTransport(code = 1000, reason = '') {
+        const { socket } = this;
+        if (!socket) return;
+
+        socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+        this.socket = null;
+
+        // Browsers only accept 1000 and 3000-4999 from scripts
+        const safeCode = code === 1000 || (code >= 3000 && code <= 4999) ? code : 1000;
+        if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+            socket.close(safeCode, reason);
+        }
+    }
+}
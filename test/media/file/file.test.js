@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { File } from '../../../src/media/file/file.js';
+import { MockTransport } from '../../../src/network/request/mock.js';
+
+describe('File with an installed MockTransport', () => {
+    let mock;
+
+    beforeEach(() => {
+        mock = new MockTransport().install();
+    });
+
+    afterEach(() => {
+        mock.restore();
+        jest.useRealTimers();
+        delete globalThis.document;
+        delete globalThis.window;
+    });
+
+    test('uploadFile sends FormData with the file and extra fields, and reports progress', async () => {
+        mock.post('/upload', request => ({
+            status: 201,
+            body: {
+                name: request.body.get('avatar').name,
+                size: request.body.get('avatar').size,
+                user: request.body.get('user')
+            }
+        }));
+
+        const file = new globalThis.File(['hello'], 'hello.txt', { type: 'text/plain' });
+        const progress = jest.fn();
+
+        const body = await File.uploadFile(file, '/upload', progress, { fieldName: 'avatar', fields: { user: '7' } });
+
+        expect(body).toEqual({ name: 'hello.txt', size: 5, user: '7' });
+        expect(mock.lastCall('POST', '/upload').body).toBeInstanceOf(FormData);
+        expect(progress).toHaveBeenCalledWith(expect.objectContaining({ loaded: 6, total: 6, percent: 100 }));
+    });
+
+    test('downloadZip saves the blob through a temporary link and revokes its URL afterwards', async () => {
+        jest.useFakeTimers();
+        mock.get('/archive.zip', { body: new Uint8Array([0x50, 0x4b, 0x03, 0x04]), headers: { 'Content-Type': 'application/zip' } });
+
+        const link = { click: jest.fn() };
+        const createObjectURL = jest.fn(() => 'blob:archive');
+        const revokeObjectURL = jest.fn();
+        globalThis.document = { createElement: jest.fn(() => link) };
+        globalThis.window = { URL: { createObjectURL, revokeObjectURL } };
+        const progress = jest.fn();
+
+        await File.downloadZip('/archive.zip', 'backup.zip', progress);
+
+        const blob = createObjectURL.mock.calls[0][0];
+        expect(blob).toBeInstanceOf(Blob);
+        expect(blob.type).toBe('application/zip');
+        expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([0x50, 0x4b, 0x03, 0x04]));
+        expect(link).toMatchObject({ href: 'blob:archive', download: 'backup.zip' });
+        expect(link.click).toHaveBeenCalledTimes(1);
+        expect(progress).toHaveBeenCalledWith(expect.objectContaining({ loaded: 4, total: 4 }));
+
+        expect(revokeObjectURL).not.toHaveBeenCalled();
+        jest.runAllTimers();
+        expect(revokeObjectURL).toHaveBeenCalledWith('blob:archive');
+    });
+});
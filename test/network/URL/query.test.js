@@ -0,0 +1,48 @@
+import { QueryString } from '../../../src/network/URL/query.js';
+import { URLUtility } from '../../../src/network/URL/url.js';
+import { Obj } from '../../../src/DOM/composite/object.js';
+
+const roundTrip = (value, options) => QueryString.parse(QueryString.stringify(value, options), options);
+
+describe('QueryString round trips across the parse limits', () => {
+    test('keeps arrays of objects longer than arrayLimit', () => {
+        const value = { items: Array.from({ length: 22 }, (item, index) => ({ id: String(index), name: `item ${index}` })) };
+
+        expect(roundTrip(value)).toEqual(value);
+    });
+
+    test('keeps indexed arrays longer than arrayLimit', () => {
+        const value = { n: Array.from({ length: 25 }, (item, index) => String(index)) };
+
+        expect(roundTrip(value, { arrayFormat: 'indices' })).toEqual(value);
+    });
+
+    test('still refuses sparse indexes beyond arrayLimit', () => {
+        expect(QueryString.parse('a[999999]=x')).toEqual({ a: { 999999: 'x' } });
+    });
+
+    test('keeps objects nested up to depth', () => {
+        const value = { a: { b: { c: { d: { e: { f: '1' } } } } } };
+
+        expect(roundTrip(value)).toEqual(value);
+        expect(roundTrip(value, { depth: 5 })).toEqual(value);
+    });
+
+    test('refuses to write objects nested deeper than depth', () => {
+        const value = { a: { b: { c: { d: { e: { f: { g: '1' } } } } } } };
+
+        expect(() => QueryString.stringify(value)).toThrow(/deeper than 5 levels/);
+        expect(roundTrip(value, { depth: 6 })).toEqual(value);
+    });
+});
+
+describe('legacy query string helpers', () => {
+    test('parseQueryStringParameters reads keys without a value as empty strings', () => {
+        expect(URLUtility.parseQueryStringParameters('?a&b=1')).toEqual({ a: '', b: '1' });
+        expect(QueryString.parse('?a&b=1')).toEqual({ a: null, b: '1' });
+    });
+
+    test('objectToQueryString writes null and undefined values', () => {
+        expect(Obj.objectToQueryString({ a: null, b: undefined, c: 1 })).toBe('a=null&b=undefined&c=1');
+    });
+});
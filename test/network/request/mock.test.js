@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import { HttpClient } from '../../../src/network/request/client.js';
+import { MockTransport } from '../../../src/network/request/mock.js';
+import { HttpError, NetworkError, TimeoutError } from '../../../src/network/request/errors.js';
+
+describe('HttpClient with MockTransport', () => {
+    let mock;
+    let client;
+
+    beforeEach(() => {
+        mock = new MockTransport();
+        client = new HttpClient({ baseURL: 'https://api.example.com', transport: mock });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('answers a matched route and records the call', async () => {
+        mock.get('/users/:id', request => ({ body: { id: request.params.id, page: request.query.page } }));
+
+        const response = await client.get('/users/42', { page: 2 });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/json');
+        expect(response.body).toEqual({ id: '42', page: '2' });
+        mock.assertCalled('GET', '/users/:id', 1);
+    });
+
+    test('rejects non-2xx route responses with an HttpError', async () => {
+        mock.post('/users', { status: 422, body: { error: 'invalid' } });
+
+        const error = await client.post('/users', { name: '' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(422);
+        expect(error.body).toEqual({ error: 'invalid' });
+    });
+
+    test('rejects an unmatched route with a NetworkError', async () => {
+        mock.get('/users', { body: [] });
+
+        await expect(client.get('/orders')).rejects.toBeInstanceOf(NetworkError);
+        expect(mock.calls).toHaveLength(1);
+        mock.assertNotCalled('GET', '/users');
+    });
+
+    test('fails a request with a network error spec', async () => {
+        mock.get('/flaky', { error: 'network' }, { times: 1 });
+        mock.get('/flaky', { body: 'ok' });
+
+        await expect(client.get('/flaky')).rejects.toBeInstanceOf(NetworkError);
+        await expect(client.get('/flaky')).resolves.toMatchObject({ status: 200, body: 'ok' });
+    });
+
+    test('delays the response', async () => {
+        jest.useFakeTimers();
+        mock.get('/slow', { body: 'done' }, { delay: 100 });
+
+        const settled = jest.fn();
+        const request = client.get('/slow').then(settled);
+
+        await jest.advanceTimersByTimeAsync(99);
+        expect(settled).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        await request;
+        expect(settled).toHaveBeenCalledWith(expect.objectContaining({ body: 'done' }));
+    });
+
+    test('times out a delayed response that exceeds the request timeout', async () => {
+        jest.useFakeTimers();
+        mock.get('/slow', { body: 'done' }, { delay: 500 });
+
+        const request = client.get('/slow', null, { timeout: 200 }).catch(e => e);
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect(await request).toBeInstanceOf(TimeoutError);
+    });
+});
@@ -0,0 +1,75 @@
+import { RequestServer } from '../../../src/network/request/server.js';
+import { MockTransport } from '../../../src/network/request/mock.js';
+import { HttpError, NetworkError } from '../../../src/network/request/errors.js';
+
+describe('RequestServer with an installed MockTransport', () => {
+    let mock;
+
+    beforeEach(() => {
+        mock = new MockTransport().install();
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    test('resolves the promise form with the full response', async () => {
+        mock.get('/api/users', request => ({ body: [{ id: 1, page: request.query.page }] }));
+
+        const response = await RequestServer.get('/api/users', { page: 3 });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([{ id: 1, page: '3' }]);
+        mock.assertCalled('GET', '/api/users', 1);
+    });
+
+    test('sends the body of a POST and rejects on an error status', async () => {
+        mock.post('/api/users', request => ({ status: 409, body: { conflict: request.body.name } }));
+
+        const error = await RequestServer.post('/api/users', { name: 'ada' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(409);
+        expect(error.body).toEqual({ conflict: 'ada' });
+    });
+
+    test('calls a legacy callback with the parsed body', async () => {
+        mock.get('/api/status', { body: '{"ok":true}', headers: { 'Content-Type': 'text/plain' } });
+
+        const body = await new Promise(resolve => RequestServer.get('/api/status', null, resolve));
+
+        expect(body).toEqual({ ok: true });
+    });
+
+    test('calls a legacy callback with null when the request fails', async () => {
+        mock.put('/api/users/1', { error: 'network' });
+
+        const body = await new Promise(resolve => RequestServer.put('/api/users/1', { name: 'ada' }, resolve));
+
+        expect(body).toBeNull();
+    });
+
+    test('routes ajax results to the success and error callbacks', async () => {
+        mock.get('/text', { body: 'plain' });
+
+        const text = await new Promise(resolve => RequestServer.ajax({ method: 'GET', url: '/text', success: resolve }));
+        const [message, error] = await new Promise(resolve => RequestServer.ajax({
+            method: 'GET',
+            url: '/missing',
+            error: (...args) => resolve(args)
+        }));
+
+        expect(text).toBe('plain');
+        expect(message).toBe('Request failed');
+        expect(error).toBeInstanceOf(NetworkError);
+    });
+
+    test('restores the previous transport', async () => {
+        const other = new MockTransport().install();
+        other.get('/x', { body: 'other' });
+        other.restore();
+        mock.get('/x', { body: 'first' });
+
+        await expect(RequestServer.get('/x')).resolves.toMatchObject({ body: 'first' });
+    });
+});